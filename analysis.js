@@ -0,0 +1,1863 @@
+// ============================================================
+// Cycl3D Basic Bike Fit Tool – analysis.js
+// ============================================================
+// The headless fit-analysis engine. Everything that turns marker positions
+// into angles, range checks and advice lives here, so the canvas labels, the
+// results table, the PDF report and fit-file export all share one source of
+// truth instead of each re-implementing the formulas.
+//
+// Nothing in this file touches the DOM. In the browser it is loaded as a plain
+// <script> before script.js and exposes `window.Cycl3DAnalysis`; under Node it
+// is a CommonJS module, so the maths can be run and checked without a page.
+// ============================================================
+
+(function (root, factory) {
+    'use strict';
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;               // Node / CommonJS
+    } else {
+        root.Cycl3DAnalysis = api;          // Browser global
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ── Joint Indices ─────────────────────────────────────────────────────────
+    // Index i in a points array is always JOINT_NAMES[i]. Joints can be placed
+    // in any order, so a joint that has not been placed yet is null (or simply
+    // past the end of the array); every formula checks for the joints it reads.
+    //
+    //   Index 0 → Toe        (starting reference point)
+    //   Index 1 → Ankle      (angle calculated here)
+    //   Index 2 → Knee       (angle calculated here)
+    //   Index 3 → Hip        (back angle calculated here)
+    //   Index 4 → Shoulder   (angle calculated here)
+    //   Index 5 → Elbow      (angle calculated here)
+    //   Index 6 → Hand       (endpoint)
+    //   Index 7 → Heel       (optional – foot angle, heel-referenced ankle angle)
+    //   Index 8 → Cleat      (optional – pedal spindle under the ball of the foot)
+    //   Index 9 → Saddle     (optional – top of the saddle under the sit bones)
+    //   Index 10 → BB        (optional – bottom bracket centre)
+    //   Index 11 → Arm Pad   (optional – aero: centre of the elbow pad)
+    //   Index 12 → Ext Tip   (optional – aero: front end of the extensions)
+    //   Index 13 → Ear       (optional – aero: head position)
+    //
+    // The optional markers come last so fits saved with fewer markers keep the
+    // same indices and still load and analyse unchanged.
+    const JOINT_NAMES = ['Toe', 'Ankle', 'Knee', 'Hip', 'Shoulder', 'Elbow', 'Hand', 'Heel', 'Cleat', 'Saddle', 'BB', 'Arm Pad', 'Ext Tip', 'Ear'];
+
+    // The seven body joints (Toe → Hand) the simulator and planner need.
+    const BODY_JOINTS = [0, 1, 2, 3, 4, 5, 6];
+
+    /**
+     * hasJoints(points, joints)
+     *
+     * True when every listed joint index has a marker.
+     *
+     * @param {Array<{x: number, y: number}|null>} points
+     * @param {number[]} joints – Indices into JOINT_NAMES
+     * @returns {boolean}
+     */
+    function hasJoints(points, joints) {
+        return joints.every(i => !!points[i]);
+    }
+
+    // Lines drawn between markers, as [fromIndex, toIndex] pairs: the body chain
+    // Toe → Hand, the foot outline Ankle → Heel → Cleat → Toe, the seat tube
+    // Saddle → BB, then the aero extensions Arm Pad → Ext Tip and the neck
+    // Shoulder → Ear.
+    const SKELETON_LINKS = [
+        [0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6],
+        [1, 7], [7, 8], [8, 0],
+        [9, 10],
+        [11, 12], [4, 13]
+    ];
+
+    // ── Fit Axes ──────────────────────────────────────────────────────────────
+    // Bike type and riding style are separate axes: MTB + Aggressive is as valid
+    // a combination as Road + Relaxed.
+    const BIKE_TYPES       = ['Road', 'Gravel', 'MTB', 'TT'];
+    const RIDING_STYLES    = ['Relaxed', 'Balanced', 'Aggressive'];
+    const BIKE_TYPE_LABELS = { Road: 'Road', Gravel: 'Gravel', MTB: 'MTB', TT: 'TT / Tri' };
+
+    // ── Ideal Angle Ranges (degrees) ──────────────────────────────────────────
+    // Target angle ranges for each joint, per bike type and riding style.
+    // If a measured angle falls between [min, max] (inclusive) it is optimal.
+    // Format: { JointName: { BikeType: { StyleName: [minDegrees, maxDegrees] } } }
+    //
+    // Road and Gravel sit close together (Gravel a touch more upright with a
+    // little more elbow bend); MTB skews upright across every style; TT / Tri
+    // assumes the aero position – a low back and forearms on the pads.
+    const IDEAL_RANGES = {
+        Knee: {
+            Road:   { Relaxed: [145, 150], Balanced: [140, 145], Aggressive: [138, 142] },
+            Gravel: { Relaxed: [145, 150], Balanced: [140, 147], Aggressive: [138, 145] },
+            MTB:    { Relaxed: [145, 155], Balanced: [142, 150], Aggressive: [140, 148] },
+            TT:     { Relaxed: [142, 150], Balanced: [140, 148], Aggressive: [138, 145] }
+        },
+        // Torso to thigh (Shoulder–Hip–Knee) at 6 o'clock. It follows the back
+        // angle, so TT / Tri is far more closed; its Relaxed suits long-course
+        // triathlon (an open hip for the run) and Aggressive a short time trial.
+        Hip: {
+            Road:   { Relaxed: [105, 115], Balanced: [100, 110], Aggressive: [92, 102]  },
+            Gravel: { Relaxed: [108, 118], Balanced: [102, 112], Aggressive: [96, 106]  },
+            MTB:    { Relaxed: [115, 125], Balanced: [108, 120], Aggressive: [102, 112] },
+            TT:     { Relaxed: [82, 92],   Balanced: [76, 86],   Aggressive: [72, 82]   }
+        },
+        Back: {
+            Road:   { Relaxed: [45, 50],   Balanced: [40, 45],   Aggressive: [30, 40]  },
+            Gravel: { Relaxed: [48, 55],   Balanced: [42, 48],   Aggressive: [35, 42]  },
+            MTB:    { Relaxed: [55, 65],   Balanced: [48, 58],   Aggressive: [42, 50]  },
+            TT:     { Relaxed: [20, 28],   Balanced: [15, 22],   Aggressive: [8, 16]   }
+        },
+        Shoulder: {
+            Road:   { Relaxed: [80, 90],   Balanced: [90, 95],   Aggressive: [95, 105] },
+            Gravel: { Relaxed: [78, 88],   Balanced: [85, 95],   Aggressive: [90, 100] },
+            MTB:    { Relaxed: [70, 80],   Balanced: [75, 85],   Aggressive: [80, 90]  },
+            TT:     { Relaxed: [80, 90],   Balanced: [85, 95],   Aggressive: [90, 100] }
+        },
+        Elbow: {
+            Road:   { Relaxed: [10, 15],   Balanced: [15, 20],   Aggressive: [20, 30]  },
+            Gravel: { Relaxed: [10, 18],   Balanced: [15, 22],   Aggressive: [18, 28]  },
+            MTB:    { Relaxed: [15, 25],   Balanced: [20, 30],   Aggressive: [25, 35]  },
+            TT:     { Relaxed: [75, 90],   Balanced: [80, 95],   Aggressive: [85, 100] }
+        },
+        Ankle: {
+            Road:   { Relaxed: [95, 105],  Balanced: [100, 115], Aggressive: [110, 125] },
+            Gravel: { Relaxed: [95, 105],  Balanced: [100, 115], Aggressive: [110, 125] },
+            MTB:    { Relaxed: [95, 105],  Balanced: [100, 115], Aggressive: [105, 120] },
+            TT:     { Relaxed: [95, 110],  Balanced: [100, 115], Aggressive: [105, 120] }
+        },
+        // Ankle measured heel–ankle–knee (used instead of Toe–Ankle–Knee once a
+        // Heel marker is placed). The heel sits behind the ankle, so this angle
+        // CLOSES as the toe points down – the ranges mirror the Ankle ones.
+        HeelAnkle: {
+            Road:   { Relaxed: [120, 130], Balanced: [110, 125], Aggressive: [100, 115] },
+            Gravel: { Relaxed: [120, 130], Balanced: [110, 125], Aggressive: [100, 115] },
+            MTB:    { Relaxed: [120, 130], Balanced: [110, 125], Aggressive: [105, 120] },
+            TT:     { Relaxed: [115, 130], Balanced: [110, 125], Aggressive: [105, 120] }
+        },
+        // Heel → Toe line against the horizontal at the bottom of the stroke;
+        // positive = toe lower than heel. MTB riders run a flatter foot.
+        Foot: {
+            Road:   { Relaxed: [5, 15],    Balanced: [8, 18],    Aggressive: [10, 22]  },
+            Gravel: { Relaxed: [5, 15],    Balanced: [8, 18],    Aggressive: [10, 22]  },
+            MTB:    { Relaxed: [0, 12],    Balanced: [3, 15],    Aggressive: [5, 18]   },
+            TT:     { Relaxed: [5, 15],    Balanced: [8, 18],    Aggressive: [10, 20]  }
+        },
+        // Pedal spindle position relative to the ball of the foot, in % of foot
+        // length; negative = spindle behind the ball (cleat further back on the
+        // shoe). Off-road and TT fits favour a more rearward, midfoot cleat.
+        Cleat: {
+            Road:   { Relaxed: [-4, 2],    Balanced: [-3, 2],    Aggressive: [-3, 1]   },
+            Gravel: { Relaxed: [-5, 1],    Balanced: [-4, 2],    Aggressive: [-3, 1]   },
+            MTB:    { Relaxed: [-8, 0],    Balanced: [-7, 0],    Aggressive: [-6, 1]   },
+            TT:     { Relaxed: [-10, -2],  Balanced: [-9, -2],   Aggressive: [-8, -1]  }
+        },
+        // Knee over pedal spindle (KOPS) with the crank at 3 o'clock: mm from a
+        // plumb line dropped from the knee to the spindle, + = knee ahead.
+        // Endurance and off-road fits sit the knee a little behind; a TT
+        // position rolls the rider forward over the bottom bracket.
+        KOPS: {
+            Road:   { Relaxed: [-20, 5],   Balanced: [-10, 10],  Aggressive: [-5, 15]  },
+            Gravel: { Relaxed: [-25, 5],   Balanced: [-15, 10],  Aggressive: [-10, 10] },
+            MTB:    { Relaxed: [-30, 0],   Balanced: [-25, 5],   Aggressive: [-20, 10] },
+            TT:     { Relaxed: [0, 25],    Balanced: [5, 30],    Aggressive: [10, 40]  }
+        }
+    };
+
+    // Where the ball of the foot sits along the Heel → Toe line (fraction of
+    // foot length from the heel). The Cleat offset is measured from here.
+    const BALL_OF_FOOT = 0.72;
+
+    // ── Metric Labels & Units ─────────────────────────────────────────────────
+    // How each range key is shown in tables and on the canvas. Everything not
+    // listed is labelled by its key and measured in degrees.
+    const METRIC_LABELS = { HeelAnkle: 'Ankle (heel)', Foot: 'Foot angle', Cleat: 'Cleat fore/aft', Hip: 'Hip angle', KOPS: 'Knee over pedal' };
+    const METRIC_UNITS  = { Cleat: '%', KOPS: ' mm' };
+
+    // ── Custom Range Limits (degrees) ─────────────────────────────────────────
+    // Custom profiles let a fitter type their own [min, max] per joint. Anything
+    // outside these bounds is not a position a rider can actually hold, so it is
+    // rejected as a typo rather than silently turning every result red.
+    const RANGE_LIMITS = {
+        Ankle:     [60, 170],
+        Knee:      [90, 180],
+        Back:      [0, 90],
+        Shoulder:  [30, 150],
+        Elbow:     [0, 120],
+        HeelAnkle: [60, 170],
+        Foot:      [-30, 45],
+        Cleat:     [-20, 20],      // % of foot length
+        Hip:       [40, 150],
+        KOPS:      [-100, 100]     // mm
+    };
+
+    // Every range key, in the order custom profiles list them. Keys added
+    // after profiles first shipped (the foot metrics, then hip angle and KOPS)
+    // come last so older profiles that stop early can be back-filled.
+    const RANGE_JOINTS = Object.keys(RANGE_LIMITS);
+
+    /**
+     * validateRanges(ranges)
+     *
+     * Checks a custom range table: every joint present, numeric, min < max and
+     * inside RANGE_LIMITS.
+     *
+     * @param {Object} ranges – { JointName: [minDegrees, maxDegrees] }
+     * @returns {string[]} Human-readable problems; empty when the table is valid
+     */
+    function validateRanges(ranges) {
+        if (!ranges || typeof ranges !== 'object') return ['No ranges were given.'];
+        const errors = [];
+        RANGE_JOINTS.forEach(name => {
+            const r = ranges[name];
+            const [lo, hi] = RANGE_LIMITS[name];
+            if (!Array.isArray(r) || r.length !== 2 || !r.every(Number.isFinite)) {
+                errors.push(`${METRIC_LABELS[name] || name}: enter a minimum and a maximum.`);
+            } else if (r[0] >= r[1]) {
+                errors.push(`${METRIC_LABELS[name] || name}: the minimum must be less than the maximum.`);
+            } else if (r[0] < lo || r[1] > hi) {
+                const unit = METRIC_UNITS[name] || '°';
+                errors.push(`${METRIC_LABELS[name] || name}: keep the range between ${lo}${unit} and ${hi}${unit}.`);
+            }
+        });
+        return errors;
+    }
+
+    // ── Corrective Advice ─────────────────────────────────────────────────────
+    // "low"  = angle is below the minimum of the ideal range.
+    // "high" = angle is above the maximum of the ideal range.
+    // ADVICE holds the wording shared by every bike type; BIKE_ADVICE overrides
+    // individual entries where the fix is made with different parts.
+    const ADVICE = {
+        Knee:     { low: 'RAISE saddle height',       high: 'LOWER saddle height'         },
+        Back:     { low: 'Higher bars (add spacers)', high: 'Lower bars (remove spacers)' },
+        Shoulder: { low: 'Longer stem',               high: 'Shorter stem'                },
+        Elbow:    { low: 'Shorten reach',             high: 'Increase reach'              },
+        // Toe–Ankle–Knee: low = heel dropping, high = toe pointing. Moving the
+        // cleats back acts like a slightly higher saddle, and forward a lower one.
+        Ankle:    { low: 'Heel dropping – move cleats back ~2 mm or raise saddle slightly',
+                    high: 'Toe pointing – move cleats forward ~2 mm or lower saddle slightly' },
+        HeelAnkle: { low: 'Toe pointing – move cleats forward ~2 mm or lower saddle slightly',
+                     high: 'Heel dropping – move cleats back ~2 mm or raise saddle slightly' },
+        Foot:     { low: 'Foot too flat – raise saddle slightly or move cleats back',
+                    high: 'Toes pointing down – lower saddle slightly or move cleats forward' },
+        Cleat:    { low: 'Move cleats FORWARD on the shoe (toward the toe)',
+                    high: 'Move cleats BACK on the shoe (toward the heel)' },
+        Hip:      { low: 'Hip angle closed – higher bars (add spacers) or shorter cranks',
+                    high: 'Hip angle open – lower bars (remove spacers)' },
+        KOPS:     { low: 'Knee behind the pedal spindle – move saddle forward',
+                    high: 'Knee ahead of the pedal spindle – move saddle back' }
+    };
+
+    const BIKE_ADVICE = {
+        MTB: {
+            Back:     { low: 'Higher bars (riser bar or spacers)', high: 'Lower bars (flatter bar or remove spacers)' },
+            Shoulder: { low: 'Longer stem or wider bar',           high: 'Shorter stem'                               },
+            Hip:      { low: 'Hip angle closed – higher bars (riser bar or spacers) or shorter cranks',
+                        high: 'Hip angle open – lower bars (flatter bar or remove spacers)' }
+        },
+        TT: {
+            Back:     { low: 'Raise arm pads (add pad stack)',     high: 'Lower arm pads (remove pad stack)'          },
+            Shoulder: { low: 'Move arm pads forward',              high: 'Move arm pads back'                         },
+            Elbow:    { low: 'Shorten extension reach',            high: 'Lengthen extensions / move pads back'       },
+            Hip:      { low:  'Hip angle closed – raise arm pads (add pad stack), move the saddle forward or try shorter cranks',
+                        high: 'Hip angle open – lower arm pads (remove pad stack) for a flatter back' }
+        }
+    };
+
+    // Advice for one metric and direction, preferring the bike-specific wording
+    // for its range key over the metric's own.
+    function adviceFor(def, direction, bikeType) {
+        const specific = BIKE_ADVICE[bikeType] && BIKE_ADVICE[bikeType][def.range || def.key];
+        return (specific && specific[direction]) || def.advice[direction];
+    }
+
+    const OPTIMAL_TEXT = 'Optimal ✓';
+
+    /**
+     * calcAngle(p1, p2, p3)
+     *
+     * Calculates the angle in degrees at point p2, formed by the two vectors
+     * p2→p1 and p2→p3. Uses the dot-product formula for 2D vectors.
+     *
+     * Returns a plain NUMBER so comparisons against the ideal ranges are
+     * always numerically accurate (conversion to string only happens at display time).
+     *
+     * @param {{ x: number, y: number }} p1 – First outer point
+     * @param {{ x: number, y: number }} p2 – Middle joint (the vertex of the angle)
+     * @param {{ x: number, y: number }} p3 – Second outer point
+     * @returns {number} Angle in degrees (0–180)
+     */
+    function calcAngle(p1, p2, p3) {
+        // Build vectors pointing from the middle joint (p2) toward each outer point.
+        const vA = { x: p1.x - p2.x, y: p1.y - p2.y };
+        const vC = { x: p3.x - p2.x, y: p3.y - p2.y };
+
+        // Dot product tells us how much the two vectors point in the same direction.
+        const dot  = (vA.x * vC.x) + (vA.y * vC.y);
+
+        // Magnitudes are the lengths of the two vectors.
+        const magA = Math.sqrt(vA.x ** 2 + vA.y ** 2);
+        const magC = Math.sqrt(vC.x ** 2 + vC.y ** 2);
+
+        // Clamp the cosine value to the valid range [-1, 1] before passing to Math.acos.
+        // Floating-point arithmetic can occasionally produce values like 1.0000000002,
+        // which would cause Math.acos to return NaN (Not a Number).
+        const cosTheta = Math.max(-1, Math.min(1, dot / (magA * magC)));
+
+        // Convert from radians to degrees and return as a plain number.
+        return Math.acos(cosTheta) * (180 / Math.PI);
+    }
+
+    /**
+     * torsoAngle(hip, shoulder)
+     *
+     * The back angle: the hip→shoulder line measured against the horizontal,
+     * for a rider facing right (see facePoints()). 0° is a flat back, 90° sits
+     * bolt upright, and past 90° the shoulders lean back behind the hips.
+     *
+     * @param {{ x: number, y: number }} hip
+     * @param {{ x: number, y: number }} shoulder
+     * @returns {number} Angle in degrees (−180–180; 0–90 for a normal pose)
+     */
+    function torsoAngle(hip, shoulder) {
+        return Math.atan2(hip.y - shoulder.y, shoulder.x - hip.x) * (180 / Math.PI);
+    }
+
+    /**
+     * footAngle(heel, toe)
+     *
+     * The Heel → Toe line against the horizontal, positive when the toe is
+     * lower than the heel. Like torsoAngle() it expects a rider facing right.
+     *
+     * @param {{ x: number, y: number }} heel
+     * @param {{ x: number, y: number }} toe
+     * @returns {number} Angle in degrees (−180–180; −90–90 for a normal pose)
+     */
+    function footAngle(heel, toe) {
+        return Math.atan2(toe.y - heel.y, toe.x - heel.x) * (180 / Math.PI);
+    }
+
+    /**
+     * cleatOffset(heel, toe, cleat)
+     *
+     * How far the pedal spindle (Cleat marker) sits ahead of the ball of the
+     * foot, as a percentage of foot length. The Cleat marker is projected onto
+     * the Heel → Toe line, so a marker placed slightly above or below the foot
+     * still measures correctly.
+     *
+     * @param {{ x: number, y: number }} heel
+     * @param {{ x: number, y: number }} toe
+     * @param {{ x: number, y: number }} cleat
+     * @returns {number} Offset in % of foot length (negative = behind the ball)
+     */
+    function cleatOffset(heel, toe, cleat) {
+        const fx = toe.x - heel.x;
+        const fy = toe.y - heel.y;
+        const along = ((cleat.x - heel.x) * fx + (cleat.y - heel.y) * fy) / (fx * fx + fy * fy);
+        return (along - BALL_OF_FOOT) * 100;
+    }
+
+    // ── Level Reference ───────────────────────────────────────────────────────
+    // torsoAngle() and footAngle() measure against the image horizontal, so a
+    // camera held 3° off level puts 3° straight into the back angle. A level
+    // reference (a line through both wheel axles, or along the floor) gives the
+    // photo's tilt; rotating the markers by −tilt before measuring puts them
+    // back on a true horizon. Three-point joint angles are unaffected.
+
+    // Tilt beyond which the app warns that the photo is noticeably off level.
+    const TILT_WARN_DEG = 3;
+
+    /**
+     * tiltFromLine(a, b)
+     *
+     * The angle of a level reference line against the image horizontal,
+     * whichever end was placed first.
+     *
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     * @returns {number} Degrees in (−90, 90]; positive when the line falls to the right
+     */
+    function tiltFromLine(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        // Point the line rightwards so a line drawn right-to-left gives the same tilt.
+        return dx < 0 || (dx === 0 && dy < 0)
+            ? Math.atan2(-dy, -dx) * (180 / Math.PI)
+            : Math.atan2(dy, dx) * (180 / Math.PI);
+    }
+
+    // Rotates every point about the image origin by −tiltDeg (level) or +tiltDeg (back).
+    function rotatePoints(points, deg) {
+        const t = deg * Math.PI / 180;
+        const c = Math.cos(t);
+        const s = Math.sin(t);
+        return points.map(p => (p ? { x: p.x * c - p.y * s, y: p.x * s + p.y * c } : p));
+    }
+
+    /**
+     * levelPoints(points, tiltDeg)
+     *
+     * The markers as they would be in a level photo.
+     *
+     * @param {Array<{x: number, y: number}>} points
+     * @param {number} tiltDeg – Photo tilt from tiltFromLine() (0 = level)
+     * @returns {Array<{x: number, y: number}>}
+     */
+    function levelPoints(points, tiltDeg) {
+        return tiltDeg ? rotatePoints(points, -tiltDeg) : points;
+    }
+
+    // Inverse of levelPoints(): back into the tilted photo.
+    function unlevelPoints(points, tiltDeg) {
+        return tiltDeg ? rotatePoints(points, tiltDeg) : points;
+    }
+
+    // ── Rider Facing ──────────────────────────────────────────────────────────
+    // The horizontal-referenced formulas (back and foot angle, reach, the seat
+    // tube in the simulator) are written for a rider facing right, riding
+    // toward +x. A rider facing left is mirrored about x = 0 after levelling,
+    // so every formula sees the same pose either way; simulated markers are
+    // mirrored back before they are returned. Three-point joint angles do not
+    // care, but mirroring them is harmless.
+
+    const FACING_DIRECTIONS = ['right', 'left'];
+
+    /**
+     * inferFacing(points)
+     *
+     * Which way the rider faces, from the Toe's position relative to the Hip
+     * (the foot is ahead of the saddle for most of the pedal stroke), or the
+     * Hand's when the Toe is not placed yet.
+     *
+     * @param {Array<{x: number, y: number}|null>} points – Markers in JOINT_NAMES order
+     * @returns {'right'|'left'|null} null until Hip and Toe (or Hand) are placed
+     */
+    function inferFacing(points) {
+        const hip   = points[3];
+        const ahead = points[0] || points[6];
+        if (!hip || !ahead || ahead.x === hip.x) return null;
+        return ahead.x > hip.x ? 'right' : 'left';
+    }
+
+    // A known facing as given, otherwise inferred from the markers (right by default).
+    function resolveFacing(points, facing) {
+        return FACING_DIRECTIONS.includes(facing) ? facing : (inferFacing(points) || 'right');
+    }
+
+    function mirrorPoints(points) {
+        return points.map(p => (p ? { x: -p.x, y: p.y } : p));
+    }
+
+    /**
+     * facePoints(points, tiltDeg, facing)
+     *
+     * The markers levelled (see levelPoints()) and, for a rider facing left,
+     * mirrored so the rider faces right – the frame every formula measures in.
+     *
+     * @param {Array<{x: number, y: number}|null>} points
+     * @param {number} tiltDeg – Photo tilt from tiltFromLine() (0 = level)
+     * @param {string} [facing] – 'right' or 'left'; anything else is inferred
+     * @returns {Array<{x: number, y: number}|null>}
+     */
+    function facePoints(points, tiltDeg, facing) {
+        const level = levelPoints(points, tiltDeg);
+        return resolveFacing(points, facing) === 'left' ? mirrorPoints(level) : level;
+    }
+
+    // Inverse of facePoints(): back into the photo. `facing` must already be resolved.
+    function unfacePoints(points, tiltDeg, facing) {
+        return unlevelPoints(facing === 'left' ? mirrorPoints(points) : points, tiltDeg);
+    }
+
+    // ── Metric Registry ───────────────────────────────────────────────────────
+    // Every side-view metric analyzeFit() reports, declared once and in the
+    // order results are reported. The canvas labels, results rows, PDF rows
+    // and fit files all come from these entries:
+    //   key    – unique result key (plans, comparisons, hidden metrics)
+    //   name   – joint name the result is reported under (defaults to key)
+    //   range  – range key in IDEAL_RANGES, custom profiles and BIKE_ADVICE
+    //            when it differs from key (the heel-based Ankle, knee extension)
+    //   label, unit – display name and unit (defaults: METRIC_LABELS /
+    //            METRIC_UNITS for the range key, then the name and '°')
+    //   at     – marker index the canvas label is drawn next to
+    //   needs  – every marker index the formula reads
+    //   scale  – true when the formula needs a calibrated photo scale
+    //   skip   – drops the metric when a better one replaces it or it does not
+    //            apply to this photo
+    //   calc(p, mmPerPx) – the formula, on levelled rider-facing-right markers
+    //   ranges – { BikeType: { Style: [min, max] } }
+    //   advice – { low, high } wording; BIKE_ADVICE overrides it per bike type
+    //   plumb  – { from, to }: the canvas drops a vertical guide line from
+    //            marker `from` to the height of marker `to`
+    //
+    // Shoulder is the torso-to-upper-arm angle (Hip–Shoulder–Elbow); there is
+    // no separate torso-to-upper-arm metric.
+
+    // How far the crank may sit from horizontal (degrees) for KOPS to be
+    // measured; it only means something with the pedal at 3 o'clock.
+    const KOPS_CRANK_TOLERANCE = 15;
+
+    /**
+     * kneeExtension(hip, knee, ankle, spindle, bb)
+     *
+     * The knee angle at full extension, from a photo at any crank position:
+     * the pedal is turned to the point of its circle furthest from the hip
+     * (the foot carried with it) and the knee re-solved with the thigh and
+     * shin at their measured lengths.
+     *
+     * @returns {number} Degrees (180 = straight)
+     */
+    function kneeExtension(hip, knee, ankle, spindle, bb) {
+        const crank = dist(bb, spindle);
+        const away  = dist(hip, bb) || 1;
+        const far   = { x: bb.x + (bb.x - hip.x) / away * crank, y: bb.y + (bb.y - hip.y) / away * crank };
+        const ankleN = { x: ankle.x + far.x - spindle.x, y: ankle.y + far.y - spindle.y };
+        const thigh = dist(hip, knee);
+        const shin  = dist(knee, ankle);
+        const leg   = dist(hip, ankleN);
+        const cos   = (thigh * thigh + shin * shin - leg * leg) / (2 * thigh * shin);
+        return Math.acos(Math.max(-1, Math.min(1, cos))) * (180 / Math.PI);
+    }
+
+    // True when the crank (BB → spindle) points forward within KOPS_CRANK_TOLERANCE.
+    function atThreeOClock(spindle, bb) {
+        return spindle.x > bb.x && Math.abs(torsoAngle(bb, spindle)) <= KOPS_CRANK_TOLERANCE;
+    }
+
+    const METRICS = [
+        { key: 'Ankle',     at: 1, needs: [0, 1, 2], skip: p => !!p[7],
+          calc: p => calcAngle(p[0], p[1], p[2]),         ranges: IDEAL_RANGES.Ankle,     advice: ADVICE.Ankle },
+        { key: 'HeelAnkle', name: 'Ankle', at: 1, needs: [7, 1, 2],
+          calc: p => calcAngle(p[7], p[1], p[2]),         ranges: IDEAL_RANGES.HeelAnkle, advice: ADVICE.HeelAnkle },
+        { key: 'Knee',      at: 2, needs: [1, 2, 3],
+          calc: p => calcAngle(p[1], p[2], p[3]),         ranges: IDEAL_RANGES.Knee,      advice: ADVICE.Knee },
+        { key: 'KneeExtension', range: 'Knee', label: 'Knee (full extension)', at: 2, needs: [1, 2, 3, 8, 10],
+          calc: p => kneeExtension(p[3], p[2], p[1], p[8], p[10]), ranges: IDEAL_RANGES.Knee, advice: ADVICE.Knee },
+        { key: 'Hip',       at: 3, needs: [2, 3, 4],
+          calc: p => calcAngle(p[4], p[3], p[2]),         ranges: IDEAL_RANGES.Hip,       advice: ADVICE.Hip },
+        { key: 'Back',      at: 3, needs: [3, 4],
+          calc: p => torsoAngle(p[3], p[4]),              ranges: IDEAL_RANGES.Back,      advice: ADVICE.Back },
+        { key: 'Shoulder',  at: 4, needs: [3, 4, 5],
+          calc: p => calcAngle(p[3], p[4], p[5]),         ranges: IDEAL_RANGES.Shoulder,  advice: ADVICE.Shoulder },
+        // Elbow flexion is expressed as degrees of bend: 180° = fully straight arm.
+        { key: 'Elbow',     at: 5, needs: [4, 5, 6],
+          calc: p => Math.abs(180 - calcAngle(p[4], p[5], p[6])), ranges: IDEAL_RANGES.Elbow, advice: ADVICE.Elbow },
+        { key: 'Foot',      at: 7, needs: [7, 0],
+          calc: p => footAngle(p[7], p[0]),               ranges: IDEAL_RANGES.Foot,      advice: ADVICE.Foot },
+        { key: 'Cleat',     at: 8, needs: [7, 0, 8],
+          calc: p => cleatOffset(p[7], p[0], p[8]),       ranges: IDEAL_RANGES.Cleat,     advice: ADVICE.Cleat },
+        { key: 'KOPS',      at: 2, needs: [2, 8, 10], scale: true, skip: p => !atThreeOClock(p[8], p[10]),
+          calc: (p, mmPerPx) => (p[2].x - p[8].x) * mmPerPx, ranges: IDEAL_RANGES.KOPS, advice: ADVICE.KOPS,
+          plumb: { from: 2, to: 8 } }
+    ];
+
+    /**
+     * checkRange(angle, range)
+     *
+     * Classifies an angle against an inclusive [min, max] range.
+     *
+     * @param {number}   angle
+     * @param {number[]} range – [minDegrees, maxDegrees]
+     * @returns {'ok'|'low'|'high'}
+     */
+    function checkRange(angle, range) {
+        if (angle < range[0]) return 'low';
+        if (angle > range[1]) return 'high';
+        return 'ok';
+    }
+
+    /**
+     * analyzeFit({ points, style, bikeType, ranges, tilt, facing, mmPerPx })
+     *
+     * Calculates every METRICS entry the placed markers allow and checks each
+     * against the ideal range for the bike type and riding style – or against
+     * a custom range table when one is given. Points may be in any pixel space
+     * with equal x/y scale (natural-image pixels in the app).
+     *
+     * @param {Object} input
+     * @param {Array<{x: number, y: number}|null>} input.points – Markers in JOINT_NAMES order, null where not placed
+     * @param {string} input.style      – Riding style, one of RIDING_STYLES (e.g. 'Balanced')
+     * @param {string} [input.bikeType] – One of BIKE_TYPES; defaults to 'Road'
+     * @param {Object} [input.ranges]   – Custom { JointName: [min, max] } table
+     *        (see validateRanges); replaces IDEAL_RANGES and makes `style` unused
+     * @param {number} [input.tilt]     – Photo tilt in degrees (see tiltFromLine);
+     *        horizontal-referenced metrics are measured against the corrected horizon
+     * @param {string} [input.facing]   – 'right' or 'left' (see FACING_DIRECTIONS);
+     *        inferred from the markers when omitted
+     * @param {number} [input.mmPerPx]  – Calibrated photo scale; metrics in mm
+     *        (KOPS) are left out without it
+     * @returns {Array<{
+     *     name: string,       // Joint name, e.g. 'Knee'
+     *     key: string,        // METRICS key, e.g. 'HeelAnkle' for the heel-based Ankle
+     *     label: string,      // Display name, e.g. 'Ankle (heel)'
+     *     unit: string,       // '°', '%' (of foot length) for Cleat, ' mm' for KOPS
+     *     at: number,         // Marker index the joint is labelled at
+     *     angle: number,      // Measured value (degrees, or % for Cleat)
+     *     range: number[],    // Ideal [min, max] for the bike type and style (or custom)
+     *     status: string,     // 'ok' | 'low' | 'high'
+     *     isOk: boolean,
+     *     direction: string,  // 'low' | 'high' – side of the range the angle is on
+     *     advice: string,     // Corrective advice, or 'Optimal ✓'
+     *     plumb?: Object      // The entry's plumb guide, when it has one
+     * }>}
+     */
+    function analyzeFit({ points, style, bikeType = 'Road', ranges = null, tilt = 0, facing, mmPerPx }) {
+        points = facePoints(points, tilt, facing);
+        const results = [];
+        METRICS.forEach(def => {
+            if (!hasJoints(points, def.needs)) return; // Not all of its markers placed yet
+            if (def.scale && !(mmPerPx > 0)) return;
+            if (def.skip && def.skip(points)) return;
+            const rangeKey = def.range || def.key;
+            const angle  = def.calc(points, mmPerPx);
+            const range  = ranges ? ranges[rangeKey] : def.ranges[bikeType][style];
+            const status = checkRange(angle, range);
+            results.push(Object.assign({
+                name:      def.name || def.key,
+                key:       def.key,
+                label:     def.label || METRIC_LABELS[rangeKey] || def.name || def.key,
+                unit:      def.unit || METRIC_UNITS[rangeKey] || '°',
+                at:        def.at,
+                angle,
+                range,
+                status,
+                isOk:      status === 'ok',
+                direction: angle < range[0] ? 'low' : 'high',
+                advice:    status === 'ok' ? OPTIMAL_TEXT : adviceFor(def, status, bikeType)
+            }, def.plumb ? { plumb: def.plumb } : {}));
+        });
+        return results;
+    }
+
+    // ── Range Comparison ──────────────────────────────────────────────────────
+
+    // How far a value sits outside an inclusive [min, max] range (0 when inside).
+    function rangeDistance(value, range) {
+        if (value < range[0]) return range[0] - value;
+        if (value > range[1]) return value - range[1];
+        return 0;
+    }
+
+    /**
+     * compareToRange(before, after)
+     *
+     * Describes what a change does to one metric relative to its ideal range.
+     * Both arguments are analyzeFit() results for the same metric.
+     *
+     * @returns {'into'|'stays'|'out'|'closer'|'further'|'unchanged'} –
+     *          'into'    moves into range, 'stays' was and still is in range,
+     *          'out'     leaves the range, 'closer' / 'further' still outside,
+     *          'unchanged' still outside by the same amount (within 0.05)
+     */
+    function compareToRange(before, after) {
+        const was = rangeDistance(before.angle, before.range);
+        const now = rangeDistance(after.angle, after.range);
+        if (now === 0) return was === 0 ? 'stays' : 'into';
+        if (was === 0) return 'out';
+        if (Math.abs(now - was) < 0.05) return 'unchanged';
+        return now < was ? 'closer' : 'further';
+    }
+
+    // ── Adjustment Simulator ──────────────────────────────────────────────────
+    // Moves the contact points (saddle → Hip, bars → Hand, crank → foot) by a
+    // number of millimetres and re-solves the joints in between with every body
+    // segment kept at its measured length, so the result is a pose the same
+    // rider could actually hold.
+
+    // Seat tube angle used to turn "raise the saddle" into a hip movement: a
+    // saddle slides up AND back along the seat post.
+    const SEAT_TUBE_ANGLE = 73;
+
+    // Until a photo is calibrated, millimetres are converted to pixels by
+    // assuming an average adult thigh (hip joint → knee joint) length.
+    const ASSUMED_THIGH_MM = 440;
+
+    // Slider definitions for the simulator, in the order they are shown.
+    const ADJUSTMENTS = [
+        { key: 'saddleHeight',  label: 'Saddle height',  min: -40, max: 40, step: 1,   plus: 'higher',       minus: 'lower'           },
+        { key: 'saddleSetback', label: 'Saddle setback', min: -30, max: 30, step: 1,   plus: 'further back', minus: 'further forward' },
+        { key: 'barHeight',     label: 'Bar height',     min: -40, max: 40, step: 1,   plus: 'higher',       minus: 'lower'           },
+        { key: 'stemLength',    label: 'Stem length',    min: -40, max: 40, step: 5,   plus: 'longer',       minus: 'shorter'         },
+        { key: 'crankLength',   label: 'Crank length',   min: -10, max: 10, step: 2.5, plus: 'longer',       minus: 'shorter'         }
+    ];
+
+    function dist(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    // Which side of the line a → c the point b lies on (sign of the 2D cross product).
+    function side(a, b, c) {
+        return Math.sign((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) || 1;
+    }
+
+    /**
+     * solveTwoLink(root, end, l1, l2, bendSide)
+     *
+     * Two-link inverse kinematics: finds the middle joint of a root → middle →
+     * end chain with fixed link lengths l1 and l2. Of the two mirror-image
+     * solutions the one on `bendSide` of the root → end line is returned (see
+     * side()), so a knee keeps bending forward and an elbow keeps bending down.
+     * An end point out of reach leaves the chain fully straightened toward it.
+     *
+     * @param {{x: number, y: number}} root
+     * @param {{x: number, y: number}} end
+     * @param {number} l1 – root → middle length
+     * @param {number} l2 – middle → end length
+     * @param {number} bendSide – 1 or −1
+     * @returns {{ point: {x: number, y: number}, reachable: boolean }}
+     */
+    function solveTwoLink(root, end, l1, l2, bendSide) {
+        const d  = dist(root, end);
+        const ux = d ? (end.x - root.x) / d : 1;
+        const uy = d ? (end.y - root.y) / d : 0;
+
+        const reachable = d <= l1 + l2 && d >= Math.abs(l1 - l2);
+        const dc = Math.min(Math.max(d, Math.abs(l1 - l2)), l1 + l2);
+        const a  = (l1 * l1 - l2 * l2 + dc * dc) / (2 * dc || 1);
+        const h  = Math.sqrt(Math.max(0, l1 * l1 - a * a));
+
+        // The perpendicular (−uy, ux) lies on side() = +1 of the line.
+        return {
+            point:     { x: root.x + ux * a - uy * h * bendSide, y: root.y + uy * a + ux * h * bendSide },
+            reachable
+        };
+    }
+
+    /**
+     * estimateMmPerPx(points)
+     *
+     * A rough photo scale from the rider's thigh, used until the photo has been
+     * calibrated: ASSUMED_THIGH_MM divided by the Hip → Knee distance.
+     *
+     * @param {Array<{x: number, y: number}>} points
+     * @returns {number|null} Millimetres per pixel, or null without Knee and Hip
+     */
+    function estimateMmPerPx(points) {
+        if (!points[2] || !points[3]) return null;
+        const thigh = dist(points[3], points[2]);
+        return thigh ? ASSUMED_THIGH_MM / thigh : null;
+    }
+
+    /**
+     * simulateAdjustment({ points, adjust, mmPerPx, tilt, facing })
+     *
+     * Applies saddle, bar and crank changes to a fit and re-solves the pose:
+     *   • Saddle height moves the Hip along the seat tube; setback moves it
+     *     horizontally. The Knee is re-solved between Hip and Ankle.
+     *   • Crank length moves the whole foot (Toe, Ankle, Heel, Cleat) down at
+     *     the bottom of the stroke.
+     *   • Bar height and stem length move the Hand (and the Arm Pad and Ext
+     *     Tip with it). The rider is assumed to keep the same elbow bend, so
+     *     the torso pivots at the hip to reach the bars (Shoulder solved with
+     *     torso + shoulder-to-hand lengths); only if the bars are then still
+     *     out of reach do the elbows straighten. The Ear follows the Shoulder.
+     *
+     * Needs the seven body markers (Toe → Hand); the rest are optional.
+     *
+     * @param {Object} input
+     * @param {Array<{x: number, y: number}>} input.points – Markers in JOINT_NAMES order
+     * @param {Object} input.adjust  – Millimetres per ADJUSTMENTS key; positive =
+     *        higher saddle, more setback, higher bars, longer stem, longer cranks
+     * @param {number} input.mmPerPx – Photo scale
+     * @param {number} [input.tilt]  – Photo tilt in degrees; "up" and the seat
+     *        tube are taken from the corrected horizon
+     * @param {string} [input.facing] – 'right' or 'left'; inferred when omitted
+     * @returns {{ points: Array<{x: number, y: number}>, warnings: string[] }|null}
+     *          The proposed markers (in the photo, tilt included), or null when markers are missing
+     */
+    function simulateAdjustment({ points, adjust, mmPerPx, tilt = 0, facing }) {
+        if (!hasJoints(points, BODY_JOINTS) || !(mmPerPx > 0)) return null;
+        facing = resolveFacing(points, facing);
+        const sim = simulateLevel(facePoints(points, tilt, facing), adjust, mmPerPx);
+        sim.points = unfacePoints(sim.points, tilt, facing);
+        return sim;
+    }
+
+    // simulateAdjustment() on markers already levelled and facing right.
+    function simulateLevel(points, adjust, mmPerPx) {
+        const [toe, ankle, knee, hip, shoulder, elbow, hand] = points;
+        const px   = mm => (Number(adjust[mm]) || 0) / mmPerPx;
+        const tilt = SEAT_TUBE_ANGLE * Math.PI / 180;
+        const warnings = [];
+
+        // New contact points.
+        const hipN = {
+            x: hip.x - (px('saddleHeight') * Math.cos(tilt) + px('saddleSetback')),
+            y: hip.y - px('saddleHeight') * Math.sin(tilt)
+        };
+        const handN = { x: hand.x + px('stemLength'), y: hand.y - px('barHeight') };
+        const footDrop = px('crankLength');
+        const moveFoot = p => (p ? { x: p.x, y: p.y + footDrop } : p);
+        // The saddle moves with the hip and the aero pads and extensions with
+        // the bars; the bottom bracket stays put.
+        const moveSaddle = p => (p ? { x: p.x + hipN.x - hip.x, y: p.y + hipN.y - hip.y } : p);
+        const moveBars   = p => (p ? { x: p.x + handN.x - hand.x, y: p.y + handN.y - hand.y } : p);
+        const ankleN   = moveFoot(ankle);
+
+        // Leg: thigh and shin keep their lengths; the knee keeps bending the same way.
+        const leg = solveTwoLink(hipN, ankleN, dist(hip, knee), dist(knee, ankle), side(hip, knee, ankle));
+        if (!leg.reachable) warnings.push('The leg cannot reach the pedal at this saddle height – the knee is shown locked straight.');
+
+        // Upper body: torso + (shoulder → hand) first, then the elbow within the arm.
+        const upperArm = dist(shoulder, elbow);
+        const forearm  = dist(elbow, hand);
+        const torso = solveTwoLink(hipN, handN, dist(hip, shoulder), dist(shoulder, hand), side(hip, shoulder, hand));
+        const arm   = solveTwoLink(torso.point, handN, upperArm, forearm, side(shoulder, elbow, hand));
+        if (!arm.reachable) warnings.push('The bars are out of reach at this position – the arms are shown fully straight.');
+
+        // The head is carried with the shoulders.
+        const moveHead = p => (p ? { x: p.x + torso.point.x - shoulder.x, y: p.y + torso.point.y - shoulder.y } : p);
+
+        const result = [
+            moveFoot(toe), ankleN, leg.point, hipN, torso.point, arm.point, handN
+        ].concat(points.slice(7, 9).map(moveFoot), points.slice(9, 10).map(moveSaddle), points.slice(10, 11),
+                 points.slice(11, 13).map(moveBars), points.slice(13).map(moveHead));
+
+        return { points: result, warnings };
+    }
+
+    // ── Real-World Lengths ────────────────────────────────────────────────────
+    // With a calibrated photo scale (mm per pixel) the markers also give the
+    // segment lengths and cockpit numbers fitters write on a fit sheet. Drop
+    // and reach here are measured from the Hip marker, which every fit has
+    // (reach & drop measures them from the optional Saddle marker).
+    // `axis` measures only the vertical ('y', + = hands below the hip) or
+    // horizontal ('x', + = hands ahead of the hip) component instead of the
+    // straight-line distance.
+    const LENGTH_DEFS = [
+        { name: 'Thigh',               from: 3, to: 2 },
+        { name: 'Shin',                from: 2, to: 1 },
+        { name: 'Torso',               from: 3, to: 4 },
+        { name: 'Upper arm',           from: 4, to: 5 },
+        { name: 'Forearm',             from: 5, to: 6 },
+        { name: 'Saddle-to-hand drop', from: 3, to: 6, axis: 'y' },
+        { name: 'Horizontal reach',    from: 3, to: 6, axis: 'x' }
+    ];
+
+    /**
+     * scaleFromLine(a, b, lengthMm)
+     *
+     * Photo scale from a calibration line drawn over something of known size.
+     *
+     * @param {{x: number, y: number}} a – One end of the line
+     * @param {{x: number, y: number}} b – The other end
+     * @param {number} lengthMm – Real length of the line
+     * @returns {number|null} Millimetres per pixel, or null for a zero-length line
+     */
+    function scaleFromLine(a, b, lengthMm) {
+        const px = dist(a, b);
+        return px && lengthMm > 0 ? lengthMm / px : null;
+    }
+
+    /**
+     * measureLengths(points, mmPerPx, tilt, facing, defs)
+     *
+     * @param {Array<{x: number, y: number}>} points – Markers in JOINT_NAMES order
+     * @param {number} mmPerPx – Calibrated photo scale
+     * @param {number} [tilt=0] – Photo tilt in degrees; drop and reach follow the corrected horizon
+     * @param {string} [facing] – 'right' or 'left'; inferred when omitted
+     * @param {Array} [defs=LENGTH_DEFS] – Lengths to measure (FRONT_LENGTH_DEFS
+     *        for a front view, with facing 'right')
+     * @returns {Array<{ name: string, mm: number }>} Every length whose markers are placed
+     */
+    function measureLengths(points, mmPerPx, tilt = 0, facing, defs = LENGTH_DEFS) {
+        points = facePoints(points, tilt, facing);
+        return defs.filter(def => points[def.from] && points[def.to]).map(def => {
+            const a  = points[def.from];
+            const b  = points[def.to];
+            const px = def.axis === 'y' ? b.y - a.y
+                     : def.axis === 'x' ? b.x - a.x
+                     : dist(a, b);
+            return { name: def.name, mm: px * mmPerPx };
+        });
+    }
+
+    // ── Quantified Advice ─────────────────────────────────────────────────────
+    // Turns "RAISE saddle height" into "Raise saddle ~6–9 mm" by running the
+    // adjustment simulator until each joint reaches its ideal range. Changes
+    // are planned in the order a fitter makes them – saddle height, then
+    // setback, then the cockpit – each solved on top of the previous ones,
+    // because raising the saddle also changes the back and shoulder angles.
+    // Cleat position is measured directly on the foot, so it comes last.
+
+    // Scale from a rider-entered inseam: the hip joint sits a little above the
+    // crotch and the ankle joint a little above the floor.
+    const HIP_ABOVE_CROTCH_MM = 40;
+    const ANKLE_HEIGHT_MM     = 80;
+
+    // Largest change (mm) the planner will suggest before calling it out of reach.
+    const PLAN_LIMIT_MM = 80;
+
+    // Which adjustment fixes which metric, in priority order; a step plans for
+    // the first of its metrics the markers give. Saddle height prefers the
+    // knee at full extension, which does not depend on the crank position.
+    // Setback is set from KOPS, which needs a calibrated scale and a photo at
+    // 3 o'clock.
+    const PLAN_STEPS = [
+        { adjust: 'saddleHeight',  metrics: ['KneeExtension', 'Knee'] },
+        { adjust: 'saddleSetback', metrics: ['KOPS'] },
+        { adjust: 'barHeight',     metrics: ['Back'] },
+        { adjust: 'stemLength',    metrics: ['Shoulder'] }
+    ];
+
+    // Wording for each adjustment; {mm} becomes e.g. "6–9 mm".
+    const PLAN_PHRASES = {
+        saddleHeight: { plus: 'Raise saddle ~{mm}',               minus: 'Lower saddle ~{mm}'                },
+        saddleSetback: { plus: 'Move saddle back ~{mm}',          minus: 'Move saddle forward ~{mm}'         },
+        barHeight:    { plus: 'Raise bars ~{mm} (add spacers)',   minus: 'Lower bars ~{mm} (remove spacers)' },
+        stemLength:   { plus: 'Fit a stem ~{mm} longer',          minus: 'Fit a stem ~{mm} shorter'          },
+        cleat:        { plus: 'Move cleats back ~{mm}',           minus: 'Move cleats forward ~{mm}'         }
+    };
+
+    const BIKE_PLAN_PHRASES = {
+        MTB: {
+            barHeight:  { plus: 'Raise bars ~{mm} (riser bar or spacers)', minus: 'Lower bars ~{mm} (flatter bar or remove spacers)' }
+        },
+        TT: {
+            barHeight:  { plus: 'Raise arm pads ~{mm} (add pad stack)',    minus: 'Lower arm pads ~{mm} (remove pad stack)' },
+            stemLength: { plus: 'Move arm pads forward ~{mm}',             minus: 'Move arm pads back ~{mm}' }
+        }
+    };
+
+    /**
+     * scaleFromInseam(points, inseamMm)
+     *
+     * Photo scale from the rider's inseam: hip-joint-to-ankle-joint length in
+     * mm (inseam + HIP_ABOVE_CROTCH_MM − ANKLE_HEIGHT_MM) over thigh + shin in pixels.
+     *
+     * @param {Array<{x: number, y: number}>} points
+     * @param {number} inseamMm
+     * @returns {number|null} Millimetres per pixel, or null without Ankle, Knee and Hip
+     */
+    function scaleFromInseam(points, inseamMm) {
+        if (!points[1] || !points[2] || !points[3] || !(inseamMm > 0)) return null;
+        const legPx = dist(points[3], points[2]) + dist(points[2], points[1]);
+        return legPx ? (inseamMm + HIP_ABOVE_CROTCH_MM - ANKLE_HEIGHT_MM) / legPx : null;
+    }
+
+    // "6–9 mm", or "6 mm" when both ends round to the same number.
+    function formatMmBand(a, b) {
+        const lo = Math.round(Math.min(Math.abs(a), Math.abs(b)));
+        const hi = Math.round(Math.max(Math.abs(a), Math.abs(b)));
+        return lo === hi ? `${lo} mm` : `${lo}–${hi} mm`;
+    }
+
+    function planPhrase(key, mmToRange, mmToCentre, bikeType) {
+        const phrases = (BIKE_PLAN_PHRASES[bikeType] && BIKE_PLAN_PHRASES[bikeType][key]) || PLAN_PHRASES[key];
+        return phrases[mmToCentre > 0 ? 'plus' : 'minus'].replace('{mm}', formatMmBand(mmToRange, mmToCentre));
+    }
+
+    // Finds the mm in [−PLAN_LIMIT_MM, PLAN_LIMIT_MM] where valueAt(mm) = target
+    // by bisection (the simulator's response is monotonic over that span).
+    // Returns null when the target is outside what the span can reach, or when
+    // valueAt() gives NaN anywhere on the way (the metric dropped out).
+    function solveMm(valueAt, target) {
+        let lo = -PLAN_LIMIT_MM;
+        let hi = PLAN_LIMIT_MM;
+        let fLo = valueAt(lo) - target;
+        const fHi = valueAt(hi) - target;
+        if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) return null;
+        for (let i = 0; i < 40; i++) {
+            const mid  = (lo + hi) / 2;
+            const fMid = valueAt(mid) - target;
+            if (!Number.isFinite(fMid)) return null;
+            if (fMid * fLo <= 0) {
+                hi = mid;
+            } else {
+                lo = mid;
+                fLo = fMid;
+            }
+        }
+        return (lo + hi) / 2;
+    }
+
+    /**
+     * planAdjustments({ points, style, bikeType, ranges, mmPerPx, tilt, facing })
+     *
+     * Estimates how many millimetres each contact point must move to bring every
+     * out-of-range joint into its ideal range (first number) and to the centre
+     * of that range (second number).
+     *
+     * @param {Object} input – Same fields as analyzeFit(), plus:
+     * @param {number} input.mmPerPx – Photo scale (calibrated, from the inseam, or estimated)
+     * @param {number} [input.calibrated] – The calibrated scale alone, which
+     *        analyzeFit() needs for KOPS (and so the setback step)
+     * @returns {Array<{
+     *     step: number,       // 1-based priority
+     *     adjust: string,     // ADJUSTMENTS key, or 'cleat'
+     *     metric: string,     // Result key the step fixes, e.g. 'Knee'
+     *     mmToRange: number,  // Signed mm that just reaches the range (null: out of reach)
+     *     mmToCentre: number, // Signed mm that reaches the range centre (null: out of reach)
+     *     text: string        // e.g. 'Raise saddle ~6–9 mm'
+     * }>}
+     */
+    function planAdjustments({ points, style, bikeType = 'Road', ranges = null, mmPerPx, calibrated, tilt = 0, facing }) {
+        const plan = [];
+        if (!(mmPerPx > 0)) return plan;
+
+        // Resolved once, so simulated markers never flip the inferred facing.
+        facing = resolveFacing(points, facing);
+        const analyse = pts => analyzeFit({ points: pts, style, bikeType, ranges, tilt, facing, mmPerPx: calibrated });
+        const current = analyse(points);
+        const adjust  = {};
+
+        if (hasJoints(points, BODY_JOINTS)) {
+            PLAN_STEPS.forEach(step => {
+                const key = step.metrics.find(k => current.some(m => m.key === k));
+                if (!key) return;
+                const base = simulateAdjustment({ points, adjust, mmPerPx, tilt, facing });
+                const now  = analyse(base.points).find(m => m.key === key);
+                if (!now || now.isOk) return;
+
+                const valueAt = mm => {
+                    const sim = simulateAdjustment({ points, adjust: Object.assign({}, adjust, { [step.adjust]: (adjust[step.adjust] || 0) + mm }), mmPerPx, tilt, facing });
+                    const after = analyse(sim.points).find(m => m.key === key);
+                    return after ? after.angle : NaN; // e.g. KOPS once the crank leaves 3 o'clock
+                };
+                const edge   = now.direction === 'low' ? now.range[0] : now.range[1];
+                const centre = (now.range[0] + now.range[1]) / 2;
+                const toRange  = solveMm(valueAt, edge);
+                const toCentre = solveMm(valueAt, centre);
+
+                if (toRange === null) {
+                    plan.push({ adjust: step.adjust, metric: key, mmToRange: null, mmToCentre: null,
+                                text: `${now.advice} – more than ${PLAN_LIMIT_MM} mm needed; recheck the markers` });
+                    return;
+                }
+                if (toCentre === null) {
+                    // The range is within reach but its centre is not: give the
+                    // change that reaches the range and say the centre is further.
+                    plan.push({ adjust: step.adjust, metric: key, mmToRange: toRange, mmToCentre: null,
+                                text: `${planPhrase(step.adjust, toRange, toRange, bikeType)} – the range centre is more than ${PLAN_LIMIT_MM} mm away` });
+                    adjust[step.adjust] = (adjust[step.adjust] || 0) + toRange;
+                    return;
+                }
+                plan.push({ adjust: step.adjust, metric: key, mmToRange: toRange, mmToCentre: toCentre,
+                            text: planPhrase(step.adjust, toRange, toCentre, bikeType) });
+                // Later steps are planned on top of this change.
+                adjust[step.adjust] = (adjust[step.adjust] || 0) + toCentre;
+            });
+        }
+
+        // Cleat: the offset is already a fraction of foot length, so convert directly.
+        const cleat = current.find(m => m.key === 'Cleat');
+        if (cleat && !cleat.isOk) {
+            const footMm = dist(points[7], points[0]) * mmPerPx;
+            const edge   = cleat.direction === 'low' ? cleat.range[0] : cleat.range[1];
+            const centre = (cleat.range[0] + cleat.range[1]) / 2;
+            // A spindle too far toward the toe (high) needs the cleat moved back.
+            const toRange  = (cleat.angle - edge) / 100 * footMm;
+            const toCentre = (cleat.angle - centre) / 100 * footMm;
+            plan.push({ adjust: 'cleat', metric: 'Cleat', mmToRange: toRange, mmToCentre: toCentre,
+                        text: planPhrase('cleat', toRange, toCentre, bikeType) });
+        }
+
+        return plan.map((p, i) => Object.assign({ step: i + 1 }, p));
+    }
+
+    // ── Fit Comparison ────────────────────────────────────────────────────────
+    // Lines up a second fit (A, "before") over the current one (B, "after") so
+    // both skeletons can be drawn on the same photo, and tabulates the change
+    // in every metric. Each fit keeps its own photo scale, so a photo taken
+    // from further away still overlays at the right size.
+
+    // Crank length assumed when locating the bottom bracket from the pedal.
+    const ASSUMED_CRANK_MM = 172.5;
+
+    // Points the two skeletons can be aligned on.
+    const COMPARE_ANCHORS = ['Hip', 'BB'];
+
+    /**
+     * bottomBracket(points, mmPerPx, crankMm)
+     *
+     * The bottom bracket centre: the BB marker when placed, otherwise estimated
+     * from the pedal – at 6 o'clock it sits one crank length straight above the
+     * pedal spindle (the Cleat marker).
+     *
+     * @param {Array<{x: number, y: number}>} points
+     * @param {number} mmPerPx
+     * @param {number} [crankMm=ASSUMED_CRANK_MM]
+     * @returns {{x: number, y: number}|null} null without the BB marker, or
+     *          without the Cleat marker or a scale to estimate it from
+     */
+    function bottomBracket(points, mmPerPx, crankMm = ASSUMED_CRANK_MM) {
+        if (points[10]) return { x: points[10].x, y: points[10].y };
+        const spindle = points[8];
+        if (!spindle || !(mmPerPx > 0)) return null;
+        return { x: spindle.x, y: spindle.y - crankMm / mmPerPx };
+    }
+
+    /**
+     * compareAnchor(points, anchor, mmPerPx)
+     *
+     * The point a skeleton is aligned on: the Hip marker, or the bottom
+     * bracket (marked or estimated) for 'BB'.
+     *
+     * @returns {{x: number, y: number}|null} null when the needed marker is missing
+     */
+    function compareAnchor(points, anchor, mmPerPx) {
+        if (anchor === 'BB') return bottomBracket(points, mmPerPx);
+        return points[3] ? { x: points[3].x, y: points[3].y } : null;
+    }
+
+    /**
+     * alignFit({ points, mmPerPx, onto, ontoMmPerPx, anchor, facing, ontoFacing })
+     *
+     * Moves and rescales fit A's markers into fit B's photo so the two anchors
+     * coincide and one millimetre is the same length in both. A fit photographed
+     * from the other side of the bike is mirrored to face the same way as B.
+     *
+     * @param {Object} input
+     * @param {Array}  input.points      – Fit A markers (its own pixel space)
+     * @param {number} input.mmPerPx     – Fit A scale
+     * @param {Array}  input.onto        – Fit B markers
+     * @param {number} input.ontoMmPerPx – Fit B scale
+     * @param {string} input.anchor      – One of COMPARE_ANCHORS
+     * @param {string} [input.facing]     – Fit A facing ('right' / 'left'); inferred when omitted
+     * @param {string} [input.ontoFacing] – Fit B facing; inferred when omitted
+     * @returns {Array<{x: number, y: number}>|null} null when either fit lacks the anchor
+     */
+    function alignFit({ points, mmPerPx, onto, ontoMmPerPx, anchor, facing, ontoFacing }) {
+        const from = compareAnchor(points, anchor, mmPerPx);
+        const to   = compareAnchor(onto, anchor, ontoMmPerPx);
+        if (!from || !to || !(mmPerPx > 0) || !(ontoMmPerPx > 0)) return null;
+        const k  = mmPerPx / ontoMmPerPx;
+        const kx = resolveFacing(points, facing) === resolveFacing(onto, ontoFacing) ? k : -k;
+        return points.map(p => (p ? { x: to.x + (p.x - from.x) * kx, y: to.y + (p.y - from.y) * k } : null));
+    }
+
+    /**
+     * compareAnalyses(before, after)
+     *
+     * Pairs two analyzeFit() results metric by metric. Metrics only one fit
+     * has (e.g. Cleat when only B has the marker) get null for the other side.
+     *
+     * @param {Array} before – analyzeFit() for fit A
+     * @param {Array} after  – analyzeFit() for fit B, with the same ranges
+     * @returns {Array<{
+     *     key: string, label: string, unit: string, range: number[],
+     *     before: number|null, after: number|null,
+     *     change: number|null,  // after − before
+     *     outcome: string|null  // compareToRange() result
+     * }>}
+     */
+    function compareAnalyses(before, after) {
+        const keys = after.map(m => m.key);
+        before.forEach(m => { if (!keys.includes(m.key)) keys.push(m.key); });
+        return keys.map(key => {
+            const a = before.find(m => m.key === key);
+            const b = after.find(m => m.key === key);
+            const any = b || a;
+            return {
+                key,
+                label:   any.label,
+                unit:    any.unit,
+                range:   any.range,
+                before:  a ? a.angle : null,
+                after:   b ? b.angle : null,
+                change:  a && b ? b.angle - a.angle : null,
+                outcome: a && b ? compareToRange(a, b) : null
+            };
+        });
+    }
+
+    // ── Reach & Drop (RAD) ────────────────────────────────────────────────────
+    // A second fit theory whose outputs are lengths rather than joint angles,
+    // the way many fitters write up a position: saddle height from the bottom
+    // bracket, saddle setback behind it, and the reach and drop from the
+    // saddle to the hands. It needs the Saddle marker (top of the saddle under
+    // the sit bones), the bottom bracket (the BB marker, or estimated from the
+    // Cleat) and a photo scale. Targets come from the rider's body:
+    //   • saddle height – RAD_SADDLE_HEIGHT × inseam (LeMond's 0.883, ±~1%);
+    //   • setback – that height laid back along the bike type's effective seat
+    //     angle (RAD_SEAT_ANGLES);
+    //   • reach and drop – where a torso (hip → shoulder joint) and an arm
+    //     (shoulder joint → centre of the grip, measured straight) put the
+    //     hands when held at the ideal back, shoulder and elbow angles for the
+    //     bike type and riding style, from a hip joint HIP_ABOVE_CROTCH_MM
+    //     above the saddle.
+    // Reach and drop inside their ranges therefore also put the back and
+    // shoulder angles inside theirs.
+    //
+    // A side-view fit is read with one theory at a time (the TT / Tri aero
+    // theory follows below); fits saved before RAD existed use joint angles.
+    const FIT_THEORIES  = ['angles', 'rad', 'aero'];
+    const THEORY_LABELS = { angles: 'Joint angles', rad: 'Reach & drop', aero: 'TT / Tri aero' };
+
+    const RAD_SADDLE_HEIGHT = [0.875, 0.890];
+
+    // Effective seat angle ranges (degrees from horizontal).
+    const RAD_SEAT_ANGLES = {
+        Road:   [72.5, 74.5],
+        Gravel: [72,   74],
+        MTB:    [73,   77],
+        TT:     [76,   81]
+    };
+
+    // The measured lengths, in the levelled rider-facing-right frame (see
+    // measureLengths): setback is + when the saddle is behind the bottom
+    // bracket, reach + when the hands are ahead of the saddle and drop + when
+    // they are below it. `at` is the marker the canvas label is drawn at.
+    const RAD_DEFS = [
+        { key: 'SaddleHeight', name: 'Saddle height (BB)', at: 9, from: 10, to: 9 },
+        { key: 'Setback',      name: 'Saddle setback',     at: 9, from: 9,  to: 10, axis: 'x' },
+        { key: 'Reach',        name: 'Hand reach',         at: 6, from: 9,  to: 6,  axis: 'x' },
+        { key: 'Drop',         name: 'Hand drop',          at: 6, from: 9,  to: 6,  axis: 'y' }
+    ];
+
+    // Wording for each length; {mm} becomes e.g. "6–9 mm".
+    const RAD_PHRASES = {
+        SaddleHeight: { plus: 'Raise saddle ~{mm}',                 minus: 'Lower saddle ~{mm}'                },
+        Setback:      { plus: 'Move saddle back ~{mm}',             minus: 'Move saddle forward ~{mm}'         },
+        Reach:        { plus: 'Fit a stem ~{mm} longer',            minus: 'Fit a stem ~{mm} shorter'          },
+        Drop:         { plus: 'Lower bars ~{mm} (remove spacers)',  minus: 'Raise bars ~{mm} (add spacers)'    }
+    };
+
+    const BIKE_RAD_PHRASES = {
+        MTB: {
+            Drop:  { plus: 'Lower bars ~{mm} (flatter bar or remove spacers)', minus: 'Raise bars ~{mm} (riser bar or spacers)' }
+        },
+        TT: {
+            Reach: { plus: 'Move arm pads forward ~{mm}',             minus: 'Move arm pads back ~{mm}' },
+            Drop:  { plus: 'Lower arm pads ~{mm} (remove pad stack)', minus: 'Raise arm pads ~{mm} (add pad stack)' }
+        }
+    };
+
+    /**
+     * radTargets({ inseamMm, torsoMm, armMm, style, bikeType, ranges })
+     *
+     * Target [min, max] ranges in mm for each RAD length the given body
+     * measurements allow: saddle height and setback need the inseam, reach and
+     * drop need the torso and arm lengths.
+     *
+     * @param {Object} input
+     * @param {number} [input.inseamMm] – Rider inseam (floor to crotch)
+     * @param {number} [input.torsoMm]  – Hip joint to shoulder joint
+     * @param {number} [input.armMm]    – Shoulder joint to the centre of the grip
+     * @param {string} input.style      – One of RIDING_STYLES
+     * @param {string} [input.bikeType] – One of BIKE_TYPES; defaults to 'Road'
+     * @param {Object} [input.ranges]   – Custom angle ranges; their Back,
+     *        Shoulder and Elbow ranges replace the ideal ones
+     * @returns {Object} { SaddleHeight?, Setback?, Reach?, Drop? } → [min, max] mm
+     */
+    function radTargets({ inseamMm, torsoMm, armMm, style, bikeType = 'Road', ranges = null }) {
+        const targets = {};
+        const rad = deg => deg * Math.PI / 180;
+        const spanOf = values => [Math.min(...values), Math.max(...values)];
+
+        if (inseamMm > 0) {
+            const height = RAD_SADDLE_HEIGHT.map(k => k * inseamMm);
+            const centre = (height[0] + height[1]) / 2;
+            targets.SaddleHeight = height;
+            targets.Setback      = spanOf(RAD_SEAT_ANGLES[bikeType].map(a => centre * Math.cos(rad(a))));
+        }
+
+        if (torsoMm > 0 && armMm > 0) {
+            const pick     = key => (ranges ? ranges[key] : IDEAL_RANGES[key][bikeType][style]);
+            const elbow    = rad((pick('Elbow')[0] + pick('Elbow')[1]) / 2);
+            const halfArm  = armMm / 2;
+            // Every corner of the back × shoulder range. Angles run anticlockwise
+            // from straight ahead with y up: the upper arm hangs (back +
+            // shoulder − 180)° from the horizontal and the forearm turns up
+            // from it by the ideal elbow bend (upper arm ≈ forearm + hand).
+            const reach = [];
+            const drop  = [];
+            pick('Back').forEach(b => pick('Shoulder').forEach(s => {
+                const upper = rad(b + s - 180);
+                reach.push(torsoMm * Math.cos(rad(b)) + halfArm * (Math.cos(upper) + Math.cos(upper + elbow)));
+                drop.push(-torsoMm * Math.sin(rad(b)) - halfArm * (Math.sin(upper) + Math.sin(upper + elbow)) - HIP_ABOVE_CROTCH_MM);
+            }));
+            targets.Reach = spanOf(reach);
+            targets.Drop  = spanOf(drop);
+        }
+
+        return targets;
+    }
+
+    /**
+     * radLengths(points, mmPerPx, tilt, facing)
+     *
+     * The RAD lengths the placed markers allow, in mm (see measureLengths);
+     * the bottom bracket is estimated from the Cleat when BB is not marked.
+     *
+     * @returns {Array<{ key: string, name: string, mm: number }>}
+     */
+    function radLengths(points, mmPerPx, tilt = 0, facing) {
+        if (!(mmPerPx > 0)) return [];
+        const bb  = bottomBracket(points, mmPerPx);
+        const pts = JOINT_NAMES.map((_, i) => points[i] || null);
+        pts[10] = bb;
+        return measureLengths(pts, mmPerPx, tilt, resolveFacing(points, facing), RAD_DEFS)
+            .map(l => Object.assign({ key: RAD_DEFS.find(def => def.name === l.name).key }, l));
+    }
+
+    /**
+     * analyzeRad({ points, mmPerPx, inseamMm, torsoMm, armMm, style, bikeType, ranges, tilt, facing })
+     *
+     * The reach-and-drop counterpart of analyzeFit: every RAD length that has
+     * both its markers and a target, checked against radTargets(). Lengths
+     * are rounded to the millimetre before the check, as they are shown.
+     *
+     * @param {Object} input – radTargets() fields, plus:
+     * @param {Array<{x: number, y: number}|null>} input.points – Markers in JOINT_NAMES order
+     * @param {number} input.mmPerPx  – Photo scale (calibrated or from the inseam)
+     * @param {number} [input.tilt]   – Photo tilt in degrees
+     * @param {string} [input.facing] – 'right' or 'left'; inferred when omitted
+     * @returns {Array} Results in the analyzeFit() shape with unit ' mm';
+     *          `name` and `key` are the RAD_DEFS key (e.g. 'SaddleHeight') and
+     *          `advice` gives the change in mm, e.g. 'Raise saddle ~6–9 mm'
+     */
+    function analyzeRad({ points, mmPerPx, inseamMm, torsoMm, armMm, style, bikeType = 'Road', ranges = null, tilt = 0, facing }) {
+        const targets = radTargets({ inseamMm, torsoMm, armMm, style, bikeType, ranges });
+        return radLengths(points, mmPerPx, tilt, facing).filter(l => targets[l.key]).map(l => {
+            const def    = RAD_DEFS.find(d => d.key === l.key);
+            const angle  = Math.round(l.mm);
+            const range  = targets[l.key].map(Math.round);
+            const status = checkRange(angle, range);
+            const edge   = status === 'low' ? range[0] : range[1];
+            const phrases = (BIKE_RAD_PHRASES[bikeType] && BIKE_RAD_PHRASES[bikeType][l.key]) || RAD_PHRASES[l.key];
+            return {
+                name:      l.key,
+                key:       l.key,
+                label:     l.name,
+                unit:      ' mm',
+                at:        def.at,
+                angle,
+                range,
+                status,
+                isOk:      status === 'ok',
+                direction: status === 'low' ? 'low' : 'high',
+                advice:    status === 'ok' ? OPTIMAL_TEXT
+                         : phrases[status === 'low' ? 'plus' : 'minus'].replace('{mm}', formatMmBand(edge - angle, (range[0] + range[1]) / 2 - angle))
+            };
+        });
+    }
+
+    // ── TT / Tri Aero ─────────────────────────────────────────────────────────
+    // In the aero position the Hand sits on the extensions and the forearms
+    // rest on the pads, so the hoods-based Shoulder and Elbow angles no longer
+    // mean anything (a 90° elbow is "way out of range" for a road fit). The
+    // aero theory keeps the leg, hip, back and foot metrics with their TT / Tri
+    // ranges and replaces the arm ones with what a TT fitter measures:
+    //   • hip angle – torso to femur (the Hip metric, on its TT / Tri ranges);
+    //   • shoulder over pads – the upper arm (Shoulder → Arm Pad, or the Elbow
+    //     without it) against the vertical, + when the pads are ahead;
+    //   • forearm angle – Arm Pad → Ext Tip (or Elbow → Hand) against the
+    //     horizontal, + when the hands are higher than the elbows;
+    //   • head position – Shoulder → Ear against the back line, + when the head
+    //     sits above it.
+    // Riding style reads as the event: Relaxed suits long-course triathlon,
+    // Aggressive a short time trial.
+
+    // METRICS keys the aero theory drops from analyzeFit().
+    const AERO_SKIPPED = ['Shoulder', 'Elbow'];
+
+    // Format: { Metric: { StyleName: [min, max] } } in degrees.
+    const AERO_RANGES = {
+        PadReach:  { Relaxed: [-5, 5],   Balanced: [0, 10],   Aggressive: [5, 15]   },
+        Forearm:   { Relaxed: [0, 15],   Balanced: [5, 20],   Aggressive: [10, 30]  },
+        Head:      { Relaxed: [15, 35],  Balanced: [10, 30],  Aggressive: [5, 25]   }
+    };
+
+    const AERO_ADVICE = {
+        PadReach: { low:  'Elbows behind the shoulders – move arm pads forward',
+                    high: 'Elbows well ahead of the shoulders – move arm pads back' },
+        Forearm:  { low:  'Forearms flat or dipping – tilt the extensions up (risers or a wedge)',
+                    high: 'Hands high – flatten the extensions (lower risers)' },
+        Head:     { low:  'Head dropped below the back line – lift the eyes so the road ahead stays in view',
+                    high: 'Head high – drop the head toward the shoulders to cut frontal area' }
+    };
+
+    /**
+     * padAngle(shoulder, pad)
+     *
+     * The Shoulder → pad line against the vertical, for a rider facing right.
+     *
+     * @returns {number} Degrees; 0 = pads straight below the shoulder, + = ahead of it
+     */
+    function padAngle(shoulder, pad) {
+        return Math.atan2(pad.x - shoulder.x, pad.y - shoulder.y) * (180 / Math.PI);
+    }
+
+    // One entry per aero metric, in the same shape as FRONT_DEFS (indices are
+    // JOINT_NAMES). The pad and extension markers replace the Elbow and Hand
+    // once they are placed, like the Heel does for the Ankle.
+    const AERO_DEFS = [
+        { key: 'PadReach', label: 'Shoulder over pads', at: 4,  needs: [4, 5],   skip: p => !!p[11],
+          calc: p => padAngle(p[4], p[5]) },
+        { key: 'PadReach', label: 'Shoulder over pads', at: 11, needs: [4, 11],
+          calc: p => padAngle(p[4], p[11]) },
+        { key: 'Forearm',  label: 'Forearm angle',      at: 5,  needs: [5, 6],   skip: p => !!(p[11] && p[12]),
+          calc: p => torsoAngle(p[5], p[6]) },
+        { key: 'Forearm',  label: 'Forearm angle',      at: 11, needs: [11, 12],
+          calc: p => torsoAngle(p[11], p[12]) },
+        { key: 'Head',     label: 'Head position',      at: 13, needs: [3, 4, 13],
+          calc: p => torsoAngle(p[4], p[13]) - torsoAngle(p[3], p[4]) }
+    ];
+
+    /**
+     * analyzeAero({ points, style, ranges, tilt, facing, mmPerPx })
+     *
+     * The TT / Tri counterpart of analyzeFit: the leg, hip, back and foot
+     * metrics against the TT / Tri ranges (or a custom table), followed by the aero
+     * metrics against AERO_RANGES. The aero ranges are not part of custom
+     * profiles; with one in use they are read for a Balanced style.
+     *
+     * @param {Object} input – Same fields as analyzeFit(); the bike type is
+     *        always 'TT'
+     * @returns {Array} Results in the analyzeFit() shape; aero rows have `key`
+     *          set to an AERO_RANGES key (e.g. 'PadReach')
+     */
+    function analyzeAero({ points, style, ranges = null, tilt = 0, facing, mmPerPx }) {
+        const results  = analyzeFit({ points, style, bikeType: 'TT', ranges, tilt, facing, mmPerPx })
+            .filter(m => !AERO_SKIPPED.includes(m.key));
+        const aeroStyle = RIDING_STYLES.includes(style) ? style : 'Balanced';
+        points = facePoints(points, tilt, facing);
+        AERO_DEFS.forEach(def => {
+            if (!hasJoints(points, def.needs)) return;
+            if (def.skip && def.skip(points)) return;
+            const angle  = def.calc(points);
+            const range  = AERO_RANGES[def.key][aeroStyle];
+            const status = checkRange(angle, range);
+            results.push({
+                name:      def.key,
+                key:       def.key,
+                label:     def.label,
+                unit:      '°',
+                at:        def.at,
+                angle,
+                range,
+                status,
+                isOk:      status === 'ok',
+                direction: angle < range[0] ? 'low' : 'high',
+                advice:    status === 'ok' ? OPTIMAL_TEXT : AERO_ADVICE[def.key][status]
+            });
+        });
+        return results;
+    }
+
+    // ── Pedal Stroke (video) ──────────────────────────────────────────────────
+    // A photo shows one crank position; a video lets the same rider be marked
+    // at several (6 o'clock, 3 o'clock, 12 o'clock …). Each marked frame is
+    // analysed on its own and the stroke summary is the span each metric covers
+    // – for the knee, the maximum is full extension near the bottom of the
+    // stroke and the minimum is the flexion at the top.
+
+    /**
+     * strokeExtremes(frames)
+     *
+     * Per-metric minimum and maximum across the marked frames of a video.
+     *
+     * @param {Array<{ label: string, analysis: Array }>} frames – analyzeFit()
+     *        results for each marked frame, with a caption for that frame
+     * @returns {Array<{
+     *     key: string,        // Range / advice key, e.g. 'Knee'
+     *     label: string,      // Display name
+     *     unit: string,
+     *     range: number[],    // Ideal [min, max] (defined at the bottom of the stroke)
+     *     count: number,      // Frames the metric was measured on
+     *     min: { value: number, frame: string },
+     *     max: { value: number, frame: string }
+     * }>} In the order metrics are first reported
+     */
+    function strokeExtremes(frames) {
+        const byKey = new Map();
+        frames.forEach(({ label, analysis }) => analysis.forEach(m => {
+            const row = byKey.get(m.key);
+            if (!row) {
+                byKey.set(m.key, {
+                    key:   m.key,
+                    label: m.label,
+                    unit:  m.unit,
+                    range: m.range,
+                    count: 1,
+                    min:   { value: m.angle, frame: label },
+                    max:   { value: m.angle, frame: label }
+                });
+                return;
+            }
+            row.count++;
+            if (m.angle < row.min.value) row.min = { value: m.angle, frame: label };
+            if (m.angle > row.max.value) row.max = { value: m.angle, frame: label };
+        }));
+        return Array.from(byKey.values());
+    }
+
+    // ── Pose Landmarks ────────────────────────────────────────────────────────
+    // Automatic joint detection runs a 33-point pose model (the MediaPipe /
+    // BlazePose landmark set) in the browser. Only the body joints are mapped;
+    // a side-view photo shows one side of the rider well, so both limbs of the
+    // side nearest the camera are used and the far side is ignored.
+    const POSE_LANDMARKS = {
+        //          Toe Ankle Knee Hip Shoulder Elbow Hand (wrist)
+        left:  [31, 27, 25, 23, 11, 13, 15],
+        right: [32, 28, 26, 24, 12, 14, 16]
+    };
+
+    // Detected joints below this confidence (0–1) are flagged for checking.
+    const POSE_LOW_CONFIDENCE = 0.6;
+
+    // A landmark's confidence: its visibility score, else its presence score.
+    function landmarkConfidence(l) {
+        if (Number.isFinite(l.visibility)) return l.visibility;
+        if (Number.isFinite(l.presence))   return l.presence;
+        return 0;
+    }
+
+    /**
+     * jointsFromLandmarks(landmarks, width, height)
+     *
+     * Maps one detected pose onto the Toe → Hand markers. The camera-side limbs
+     * are those with the smaller mean depth (z), falling back to the higher mean
+     * confidence when the model reports no depth. Landmarks outside the photo
+     * are pulled onto its edge and given zero confidence.
+     *
+     * @param {Array<{x: number, y: number, z?: number, visibility?: number, presence?: number}>} landmarks
+     *        – 33 landmarks with x / y as fractions of the photo width / height
+     * @param {number} width  – Photo width in pixels
+     * @param {number} height – Photo height in pixels
+     * @returns {{ side: string, points: Array<{x: number, y: number}>, confidence: number[] }|null}
+     *          Seven points in JOINT_NAMES order (pixels), or null for an incomplete pose
+     */
+    function jointsFromLandmarks(landmarks, width, height) {
+        if (!Array.isArray(landmarks) || landmarks.length < 33) return null;
+        const sideScore = side => {
+            const marks = POSE_LANDMARKS[side].map(i => landmarks[i]);
+            const depth = marks.map(l => l.z);
+            return depth.every(Number.isFinite)
+                ? -depth.reduce((sum, z) => sum + z, 0) / marks.length // Nearer = smaller z
+                : marks.reduce((sum, l) => sum + landmarkConfidence(l), 0) / marks.length;
+        };
+        const side = sideScore('left') >= sideScore('right') ? 'left' : 'right';
+
+        const points     = [];
+        const confidence = [];
+        for (const i of POSE_LANDMARKS[side]) {
+            const l = landmarks[i];
+            if (!l || !Number.isFinite(l.x) || !Number.isFinite(l.y)) return null;
+            const inside = l.x >= 0 && l.x <= 1 && l.y >= 0 && l.y <= 1;
+            points.push({
+                x: Math.max(0, Math.min(1, l.x)) * width,
+                y: Math.max(0, Math.min(1, l.y)) * height
+            });
+            confidence.push(inside ? Math.max(0, Math.min(1, landmarkConfidence(l))) : 0);
+        }
+        return { side, points, confidence };
+    }
+
+    // ── Generic Pose ──────────────────────────────────────────────────────────
+    // A starting skeleton for riders placing markers by hand: a mid-range road
+    // position (knee 142°, hip 104°, back 42°, shoulder 92°, elbow 17°, ankle
+    // 108° – every angle inside the Road Balanced ranges) facing right, in rider
+    // units with the hip at the origin. Dropped onto the photo it shows which
+    // marker goes where, ready to be dragged onto the real joints.
+    const GENERIC_POSE = [
+        { x: 0.302, y:  0.937 },  // Toe
+        { x: 0.126, y:  0.842 },  // Ankle
+        { x: 0.208, y:  0.399 },  // Knee
+        { x: 0,     y:  0     },  // Hip
+        { x: 0.409, y: -0.368 },  // Shoulder
+        { x: 0.617, y: -0.152 },  // Elbow
+        { x: 0.862, y: -0.016 }   // Hand
+    ];
+
+    // Share of the photo the generic skeleton fills along its tighter side.
+    const GENERIC_POSE_FILL = 0.7;
+
+    /**
+     * genericPose(width, height, facing, pose)
+     *
+     * A template pose scaled to fill GENERIC_POSE_FILL of the photo, keeping
+     * its proportions, centred, and mirrored for a rider facing left.
+     *
+     * @param {number} width  – Photo width in pixels
+     * @param {number} height – Photo height in pixels
+     * @param {string} [facing='right'] – 'right' or 'left'
+     * @param {Array<{x: number, y: number}>} [pose=GENERIC_POSE] – Template in
+     *        rider units (FRONT_GENERIC_POSE for a front view, with facing 'right')
+     * @returns {Array<{x: number, y: number}>} The template's points in marker order (pixels)
+     */
+    function genericPose(width, height, facing = 'right', pose = GENERIC_POSE) {
+        const xs = pose.map(p => p.x);
+        const ys = pose.map(p => p.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const scale = GENERIC_POSE_FILL * Math.min(width / (maxX - minX), height / (maxY - minY));
+        const left  = (width  - (maxX - minX) * scale) / 2;
+        const top   = (height - (maxY - minY) * scale) / 2;
+        return pose.map(p => {
+            const x = left + (p.x - minX) * scale;
+            return { x: facing === 'left' ? width - x : x, y: top + (p.y - minY) * scale };
+        });
+    }
+
+    // ── Front View ────────────────────────────────────────────────────────────
+    // A second analysis mode for a photo taken from in front of the rider. It
+    // has its own marker set and measures alignment rather than joint angles.
+    // "L" and "R" are the rider's left and right, so with the rider facing the
+    // camera the L markers are on the right of the photo.
+    //
+    //   Index 0 → L Shoulder            Index 6  → L Knee Bottom (6 o'clock)
+    //   Index 1 → R Shoulder            Index 7  → R Knee Top
+    //   Index 2 → L Hand (on the hoods) Index 8  → R Knee Bottom
+    //   Index 3 → R Hand                Index 9  → L Foot
+    //   Index 4 → Hip (saddle centre)   Index 10 → R Foot
+    //   Index 5 → L Knee Top (12 o'clock)
+    //
+    // With the cranks vertical one knee is at the top of the stroke and the
+    // other at the bottom; the remaining two are marked on a second frame
+    // (video mode carries the markers over) or left out. Every metric only
+    // needs its own markers.
+    const FRONT_JOINT_NAMES = [
+        'L Shoulder', 'R Shoulder', 'L Hand', 'R Hand', 'Hip',
+        'L Knee Top', 'L Knee Bottom', 'R Knee Top', 'R Knee Bottom', 'L Foot', 'R Foot'
+    ];
+
+    // Shoulders and bars, shoulders to hip, and hip → knee → foot for each knee marker.
+    const FRONT_LINKS = [
+        [0, 1], [2, 3], [0, 2], [1, 3], [0, 4], [1, 4],
+        [4, 5], [5, 9], [4, 6], [6, 9], [4, 7], [7, 10], [4, 8], [8, 10]
+    ];
+
+    // Front-view ranges: one [min, max] for every bike type, or one per bike
+    // type. Bar / shoulder and stance are % of shoulder width (shoulder joint
+    // centre to centre); knee tracking is % of hip-to-foot length; hip tilt is
+    // degrees from vertical (+ = toward the rider's left).
+    //
+    // Straight knees track slightly OUTSIDE the line from the saddle centre to
+    // the foot, because the hip joints sit either side of the saddle – hence a
+    // range above zero. Road bars roughly match the shoulders, MTB bars are far
+    // wider and TT / Tri extensions are set narrow.
+    const FRONT_RANGES = {
+        ShoulderBar: { Road: [95, 110], Gravel: [100, 125], MTB: [160, 200], TT: [85, 105] },
+        KneeTrack:   [0, 10],
+        HipTilt:     [-2, 2],
+        Stance:      { Road: [50, 70], Gravel: [50, 72], MTB: [55, 80], TT: [48, 68] }
+    };
+
+    const FRONT_ADVICE = {
+        ShoulderBar: { low:  'Bars narrower than the shoulders – try a wider bar',
+                       high: 'Bars wider than the shoulders – try a narrower bar' },
+        KneeTrack:   { low:  'Knee diving inward – check cleat rotation and float, try arch support or a varus wedge',
+                       high: 'Knee bowing outward – check cleat rotation, try a narrower stance; a high saddle also pushes knees out' },
+        HipTilt:     { low:  "Hips shifted to the rider's right – check saddle height (too high makes the hips rock), saddle tilt and leg length",
+                       high: "Hips shifted to the rider's left – check saddle height (too high makes the hips rock), saddle tilt and leg length" },
+        Stance:      { low:  'Feet close together – move cleats toward the inside of the shoe or fit pedal spacers / longer axles',
+                       high: 'Feet wide apart – move cleats toward the outside of the shoe or fit shorter pedal axles' }
+    };
+
+    /**
+     * kneeTracking(hip, knee, foot, outward)
+     *
+     * Sideways offset of a knee from the hip → foot line, measured at the
+     * knee's height, as a % of the hip-to-foot length.
+     *
+     * @param {{x: number, y: number}} hip
+     * @param {{x: number, y: number}} knee
+     * @param {{x: number, y: number}} foot
+     * @param {number} outward – +1 when outward is +x in the photo, −1 when it is −x
+     * @returns {number} + = knee outside the line, − = inside
+     */
+    function kneeTracking(hip, knee, foot, outward) {
+        const leg = dist(hip, foot);
+        if (!leg || foot.y === hip.y) return 0;
+        const lineX = hip.x + (foot.x - hip.x) * (knee.y - hip.y) / (foot.y - hip.y);
+        return (knee.x - lineX) * outward / leg * 100;
+    }
+
+    /**
+     * hipTilt(hip, leftFoot, rightFoot)
+     *
+     * Lean of the line from midway between the feet up to the hip, in degrees
+     * from vertical.
+     *
+     * @returns {number} + = hip toward the rider's left (the right of the photo)
+     */
+    function hipTilt(hip, leftFoot, rightFoot) {
+        const mid = { x: (leftFoot.x + rightFoot.x) / 2, y: (leftFoot.y + rightFoot.y) / 2 };
+        return Math.atan2(hip.x - mid.x, mid.y - hip.y) * 180 / Math.PI;
+    }
+
+    // One entry per front-view metric, in the same shape as METRICS; `metric`
+    // picks the range and advice shared by the four knee-tracking rows. The
+    // rider's left is the right of the photo, so its outward direction is +x.
+    const FRONT_DEFS = [
+        { key: 'ShoulderBar', label: 'Bar / shoulder width', unit: '%', at: 3, needs: [0, 1, 2, 3],
+          calc: p => dist(p[2], p[3]) / dist(p[0], p[1]) * 100 },
+        { key: 'LKneeTop',    metric: 'KneeTrack', label: 'L knee tracking (top)',    unit: '%', at: 5, needs: [4, 5, 9],
+          calc: p => kneeTracking(p[4], p[5], p[9], 1) },
+        { key: 'LKneeBottom', metric: 'KneeTrack', label: 'L knee tracking (bottom)', unit: '%', at: 6, needs: [4, 6, 9],
+          calc: p => kneeTracking(p[4], p[6], p[9], 1) },
+        { key: 'RKneeTop',    metric: 'KneeTrack', label: 'R knee tracking (top)',    unit: '%', at: 7, needs: [4, 7, 10],
+          calc: p => kneeTracking(p[4], p[7], p[10], -1) },
+        { key: 'RKneeBottom', metric: 'KneeTrack', label: 'R knee tracking (bottom)', unit: '%', at: 8, needs: [4, 8, 10],
+          calc: p => kneeTracking(p[4], p[8], p[10], -1) },
+        { key: 'HipTilt',     label: 'Hip lateral tilt', unit: '°', at: 4,  needs: [4, 9, 10],
+          calc: p => hipTilt(p[4], p[9], p[10]) },
+        { key: 'Stance',      label: 'Stance width',     unit: '%', at: 10, needs: [0, 1, 9, 10],
+          calc: p => Math.abs(p[9].x - p[10].x) / dist(p[0], p[1]) * 100 }
+    ];
+
+    /**
+     * analyzeFront({ points, bikeType, tilt })
+     *
+     * The front-view counterpart of analyzeFit: every alignment metric the
+     * placed markers allow, checked against FRONT_RANGES for the bike type.
+     * Riding style and custom ranges do not apply to the front view.
+     *
+     * @param {Object} input
+     * @param {Array<{x: number, y: number}|null>} input.points – Markers in FRONT_JOINT_NAMES order
+     * @param {string} [input.bikeType] – One of BIKE_TYPES; defaults to 'Road'
+     * @param {number} [input.tilt]     – Photo tilt in degrees; hip tilt and
+     *        stance are measured against the corrected horizon
+     * @returns {Array} Results in the analyzeFit() shape; `name` and `key` are
+     *          the row's key (e.g. 'LKneeTop' for the left knee at the top)
+     */
+    function analyzeFront({ points, bikeType = 'Road', tilt = 0 }) {
+        points = levelPoints(points, tilt);
+        const results = [];
+        FRONT_DEFS.forEach(def => {
+            if (!hasJoints(points, def.needs)) return;
+            const metric = def.metric || def.key;
+            const angle  = def.calc(points);
+            const range  = Array.isArray(FRONT_RANGES[metric]) ? FRONT_RANGES[metric] : FRONT_RANGES[metric][bikeType];
+            const status = checkRange(angle, range);
+            results.push({
+                name:      def.key,
+                key:       def.key,
+                label:     def.label,
+                unit:      def.unit,
+                at:        def.at,
+                angle,
+                range,
+                status,
+                isOk:      status === 'ok',
+                direction: angle < range[0] ? 'low' : 'high',
+                advice:    status === 'ok' ? OPTIMAL_TEXT : FRONT_ADVICE[metric][status]
+            });
+        });
+        return results;
+    }
+
+    // Calibrated front-view lengths (see measureLengths); stance is measured
+    // across the photo from the right foot to the left.
+    const FRONT_LENGTH_DEFS = [
+        { name: 'Shoulder width',    from: 1,  to: 0 },
+        { name: 'Bar width (hands)', from: 3,  to: 2 },
+        { name: 'Stance width',      from: 10, to: 9, axis: 'x' }
+    ];
+
+    // A front-view starting skeleton (road bars at 108% of shoulder width,
+    // stance 58%, knees tracking 6–8% outside the hip–foot line, hips centred)
+    // in rider units with the hip at the origin, for genericPose().
+    const FRONT_GENERIC_POSE = [
+        { x:  0.120, y: -0.270 },  // L Shoulder
+        { x: -0.120, y: -0.270 },  // R Shoulder
+        { x:  0.130, y: -0.090 },  // L Hand
+        { x: -0.130, y: -0.090 },  // R Hand
+        { x:  0,     y:  0     },  // Hip
+        { x:  0.045, y:  0.070 },  // L Knee Top
+        { x:  0.060, y:  0.210 },  // L Knee Bottom
+        { x: -0.045, y:  0.070 },  // R Knee Top
+        { x: -0.060, y:  0.210 },  // R Knee Bottom
+        { x:  0.070, y:  0.450 },  // L Foot
+        { x: -0.070, y:  0.450 }   // R Foot
+    ];
+
+    // ── Fit Views ─────────────────────────────────────────────────────────────
+    // The marker set each analysis mode uses. A fit is one view or the other;
+    // fits saved before the front view existed are side views.
+    const FIT_VIEWS   = ['side', 'front'];
+    const VIEW_LABELS = { side: 'Side view', front: 'Front view' };
+    const VIEW_MARKERS = {
+        side:  { names: JOINT_NAMES,       links: SKELETON_LINKS, optional: ['Heel', 'Cleat', 'Saddle', 'BB', 'Arm Pad', 'Ext Tip', 'Ear'] },
+        front: { names: FRONT_JOINT_NAMES, links: FRONT_LINKS,    optional: [] }
+    };
+
+    return Object.freeze({
+        JOINT_NAMES,
+        BODY_JOINTS,
+        hasJoints,
+        SKELETON_LINKS,
+        BIKE_TYPES,
+        BIKE_TYPE_LABELS,
+        RIDING_STYLES,
+        IDEAL_RANGES,
+        ADVICE,
+        BIKE_ADVICE,
+        RANGE_LIMITS,
+        RANGE_JOINTS,
+        METRIC_LABELS,
+        METRIC_UNITS,
+        BALL_OF_FOOT,
+        OPTIMAL_TEXT,
+        calcAngle,
+        torsoAngle,
+        TILT_WARN_DEG,
+        tiltFromLine,
+        levelPoints,
+        FACING_DIRECTIONS,
+        inferFacing,
+        facePoints,
+        footAngle,
+        cleatOffset,
+        checkRange,
+        validateRanges,
+        METRICS,
+        KOPS_CRANK_TOLERANCE,
+        kneeExtension,
+        analyzeFit,
+        ADJUSTMENTS,
+        SEAT_TUBE_ANGLE,
+        ASSUMED_THIGH_MM,
+        rangeDistance,
+        compareToRange,
+        solveTwoLink,
+        estimateMmPerPx,
+        simulateAdjustment,
+        LENGTH_DEFS,
+        scaleFromLine,
+        measureLengths,
+        scaleFromInseam,
+        planAdjustments,
+        ASSUMED_CRANK_MM,
+        COMPARE_ANCHORS,
+        bottomBracket,
+        alignFit,
+        compareAnalyses,
+        FIT_THEORIES,
+        THEORY_LABELS,
+        RAD_SADDLE_HEIGHT,
+        RAD_SEAT_ANGLES,
+        RAD_DEFS,
+        radTargets,
+        radLengths,
+        analyzeRad,
+        AERO_RANGES,
+        AERO_ADVICE,
+        AERO_DEFS,
+        padAngle,
+        analyzeAero,
+        strokeExtremes,
+        POSE_LANDMARKS,
+        POSE_LOW_CONFIDENCE,
+        jointsFromLandmarks,
+        GENERIC_POSE,
+        genericPose,
+        FRONT_JOINT_NAMES,
+        FRONT_LINKS,
+        FRONT_RANGES,
+        FRONT_ADVICE,
+        kneeTracking,
+        hipTilt,
+        analyzeFront,
+        FRONT_LENGTH_DEFS,
+        FRONT_GENERIC_POSE,
+        FIT_VIEWS,
+        VIEW_LABELS,
+        VIEW_MARKERS
+    });
+});
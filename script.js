@@ -23,7 +23,13 @@ document.addEventListener('DOMContentLoaded', () => {
     const ctx           = canvas.getContext('2d');                    // The 2D drawing context (the "paintbrush")
     const img           = document.getElementById('displayImg');       // The bike photo element
     const fitTypeSelect = document.getElementById('fitType');          // The riding style dropdown
+    const bikeTypeSelect = document.getElementById('bikeType');        // The bike type dropdown
+    const fitViewSelect = document.getElementById('fitView');          // Side / front analysis view
+    const fitTheorySelect = document.getElementById('fitTheory');      // Joint angles / reach & drop / TT / Tri aero
     const resultsArea   = document.getElementById('results-area');     // The feedback table below the image
+    const riderInseam   = document.getElementById('riderInseam');      // Optional inseam (mm) for millimetre estimates
+    const riderTorso    = document.getElementById('riderTorso');       // Optional torso length (mm) for reach & drop targets
+    const riderArm      = document.getElementById('riderArm');         // Optional arm length (mm) for reach & drop targets
 
     // ── Brand Colors ──────────────────────────────────────────────────────────
     // Defined as constants so they are easy to change in one place.
@@ -32,44 +38,109 @@ document.addEventListener('DOMContentLoaded', () => {
     const COLOR_GOOD  = '#28a745'; // Green  – angle is within the ideal range
     const COLOR_WARN  = '#dc3545'; // Red    – angle is outside the ideal range
     const COLOR_SKEL  = '#00ff00'; // Lime   – skeleton lines and joint dots
+    const COLOR_SIM   = '#f39c12'; // Orange – simulator's proposed skeleton
+    const COLOR_CALIB = '#ff00ff'; // Magenta – scale calibration line
+    const COLOR_COMPARE = '#00bfff'; // Sky blue – comparison fit (A) skeleton
+    const COLOR_LEVEL = '#ffd700'; // Gold   – level reference line and corrected horizon
+    const COLOR_UNSURE = '#ff4500'; // Orange-red – ring around a low-confidence detected joint
 
-    // ── Joint Point Placement Order ───────────────────────────────────────────
-    // The user clicks joint markers in this exact left-to-right order on the photo.
-    // The index (position in the array) determines which joint calculation applies.
-    //
-    //   Index 0 → Toe        (starting reference point)
-    //   Index 1 → Ankle      (angle calculated here)
-    //   Index 2 → Knee       (angle calculated here)
-    //   Index 3 → Hip        (back angle calculated here)
-    //   Index 4 → Shoulder   (angle calculated here)
-    //   Index 5 → Elbow      (angle calculated here)
-    //   Index 6 → Hand       (endpoint)
-    const MAX_POINTS = 7; // Maximum number of joint markers the user can place
-
-    // ── Ideal Angle Ranges (degrees) ──────────────────────────────────────────
-    // These are the target angle ranges for each joint at each riding style.
-    // If a measured angle falls between [min, max] it is considered optimal.
-    // Format: { JointName: { StyleName: [minDegrees, maxDegrees] } }
-    const IDEAL_RANGES = {
-        Knee:     { Relaxed: [145, 150], Balanced: [140, 145], Aggressive: [138, 142] },
-        Back:     { Relaxed: [45, 50],   Balanced: [40, 45],   Aggressive: [30, 40]  },
-        Shoulder: { Relaxed: [80, 90],   Balanced: [90, 95],   Aggressive: [95, 105] },
-        Elbow:    { Relaxed: [10, 15],   Balanced: [15, 20],   Aggressive: [20, 30]  },
-        Ankle:    { Relaxed: [95, 105],  Balanced: [100, 115], Aggressive: [110, 125] }
-    };
+    // ── Analysis Engine ───────────────────────────────────────────────────────
+    // Joint order, ideal ranges, advice and all angle formulas live in
+    // analysis.js (loaded before this file) so the canvas, results table, PDF
+    // and fit-file export all report identical numbers.
+    const {
+        JOINT_NAMES, SKELETON_LINKS, BIKE_TYPES, BIKE_TYPE_LABELS, RIDING_STYLES,
+        IDEAL_RANGES, RANGE_LIMITS, RANGE_JOINTS, METRIC_LABELS, METRIC_UNITS,
+        validateRanges, analyzeFit,
+        ADJUSTMENTS, ASSUMED_THIGH_MM, compareToRange, estimateMmPerPx, simulateAdjustment,
+        scaleFromLine, measureLengths, scaleFromInseam, planAdjustments, BODY_JOINTS, hasJoints,
+        alignFit, compareAnalyses, strokeExtremes, TILT_WARN_DEG, tiltFromLine,
+        POSE_LOW_CONFIDENCE, jointsFromLandmarks, FACING_DIRECTIONS, inferFacing, genericPose,
+        analyzeFront, FRONT_LENGTH_DEFS, FRONT_GENERIC_POSE, FIT_VIEWS, VIEW_LABELS, VIEW_MARKERS,
+        LENGTH_DEFS, analyzeRad, FIT_THEORIES, THEORY_LABELS, analyzeAero, AERO_RANGES,
+        levelPoints
+    } = window.Cycl3DAnalysis;
+
+    // One marker per name in the current view's marker set (see VIEW_MARKERS):
+    // the side view's joints (Toe → Hand, then the optional Heel, Cleat,
+    // Saddle, BB, Arm Pad, Ext Tip and Ear) or
+    // the front view's alignment markers. The joint palette lets them be placed
+    // in any order.
+    function fitView() {
+        return FIT_VIEWS.includes(fitViewSelect.value) ? fitViewSelect.value : 'side';
+    }
+
+    function isFrontView() {
+        return fitView() === 'front';
+    }
+
+    // Marker names of the current view: points[i] is markerNames()[i].
+    function markerNames() {
+        return VIEW_MARKERS[fitView()].names;
+    }
+
+    // The side view is read with one of three fit theories: joint angles
+    // against ideal ranges, reach & drop (RAD) – lengths against targets from
+    // the rider's body – or the TT / Tri aero position. The front view has its
+    // own metrics and ignores the choice.
+    function fitTheory() {
+        return FIT_THEORIES.includes(fitTheorySelect.value) ? fitTheorySelect.value : 'angles';
+    }
+
+    function isRadTheory() {
+        return !isFrontView() && fitTheory() === 'rad';
+    }
+
+    function isAeroTheory() {
+        return !isFrontView() && fitTheory() === 'aero';
+    }
 
     // ── Application State ─────────────────────────────────────────────────────
     // These variables track what the user has placed and what is being dragged.
     // They are scoped inside DOMContentLoaded (not global) to prevent accidental
     // modification by other scripts on the page.
-    let points        = [];    // Array of { x, y } joint marker positions (grows as user clicks)
+    let points        = [];    // Joint markers { x, y } in natural-image pixels, indexed by markerNames() (null = not placed)
     let draggingPoint = null;  // The specific point currently being dragged (null if none)
-    let ghostPoint    = null;  // Live drag-preview position – committed to points on pointerup
-    let isTouchDrag   = false; // True only while a touch-pointer drag is active (Phase 3 loupe)
+    let ghostPoint    = null;  // Live drag-preview position (natural-image pixels) – committed on pointerup
+    let isTouchDrag   = false; // True while a touch-pointer drag is active (lifts the loupe clear of the finger)
     let lastX         = 0;    // Last recorded pointer X position during drag
     let lastY         = 0;    // Last recorded pointer Y position during drag
     let demoLoading   = false; // Prevents multiple simultaneous demo image requests
     let isHelpImage   = false; // True while the help placeholder is shown (not a real fit photo)
+    let simAdjust     = {};    // Simulator slider values in mm, keyed by ADJUSTMENTS key
+    let calibration   = null;  // Scale line { a, b, mm } in natural-image pixels, or null
+    let calibPending  = null;  // First end of a calibration line still being drawn
+    let calibrating   = false; // True while the next presses draw the calibration line
+    let comparison    = null;  // Fit A { name, points, mmPerPx, tilt } compared against the current fit, or null
+    let levelLine     = null;  // Level reference line { a, b } in natural-image pixels, or null
+    let levelPending  = null;  // First end of a level line still being drawn
+    let leveling      = false; // True while the next presses draw the level line
+    let view          = { zoom: 1, x: 0, y: 0 }; // Zoom level and top-left of the visible area (fractions of the photo)
+    let panning       = null;  // Last pointer position while drag-panning, or null
+    let pinch         = null;  // Two-finger pinch in progress { dist, zoom, fx, fy }, or null
+    let panMode       = false; // True while the Pan toggle is on (single-pointer drags pan)
+    let spaceHeld     = false; // True while Space is held over the photo (drags pan)
+    let pressedNew    = null;  // Marker created by the current press (undone if it turns into a pinch)
+    let hiddenMetrics = [];    // Metric keys switched off in the results table (left off the canvas and PDF)
+    const activePointers = new Map(); // pointerId → latest canvas position, for pinch zoom
+
+    // ── App Version ───────────────────────────────────────────────────────────
+    // Written into exported fit files so an archived file records which build made it.
+    const APP_VERSION = '1.1.0';
+
+    // ── Scale Limits ──────────────────────────────────────────────────────────
+    // Declared up here because a #fit= link is imported during start-up,
+    // before the calibration section below has run.
+    const CALIB_MIN_MM  = 10;   // Shortest known calibration length accepted (mm)
+    const CALIB_MAX_MM  = 5000; // Longest known calibration length accepted (mm)
+    const INSEAM_MIN_MM = 500;  // Plausible adult inseam range (mm); anything else
+    const INSEAM_MAX_MM = 1100; // is treated as not entered
+    const TORSO_MIN_MM  = 300;  // Plausible hip-to-shoulder torso range (mm)
+    const TORSO_MAX_MM  = 900;
+    const ARM_MIN_MM    = 400;  // Plausible shoulder-to-grip arm range (mm)
+    const ARM_MAX_MM    = 1000;
+    const TILT_MAX_DEG  = 15;   // Manual tilt slider range (±°)
+    const LEVEL_MAX_DEG = 45;   // Steeper "level" lines are rejected as mis-drawn
 
     // ── Demo Image URL ────────────────────────────────────────────────────────
     const DEMO_URL = 'Assets/Bike_fit_demo_image.png';
@@ -80,6 +151,269 @@ document.addEventListener('DOMContentLoaded', () => {
     // replaced with gif file
     const HELP_URL = 'Assets/bikefitpreview.gif';
 
+    // ============================================================
+    // COORDINATE SPACES
+    // ============================================================
+
+    // Markers are stored in natural-image pixels (the photo's full resolution),
+    // not canvas pixels. The displayed photo changes size whenever the window is
+    // resized, a phone is rotated or the embedding iframe reflows, so anything
+    // stored in display pixels would drift off the joints it marks. Everything
+    // that draws or hit-tests projects through these two helpers instead.
+    // Both include the zoom / pan view, so markers, the 25px grab radius, the
+    // ghost dot and the loupe all work unchanged on a zoomed photo.
+
+    /**
+     * toDisplay(p)
+     *
+     * Projects a natural-image point into current canvas (display) pixels.
+     *
+     * @param {{ x: number, y: number }} p – Point in natural-image pixels
+     * @returns {{ x: number, y: number }}
+     */
+    function toDisplay(p) {
+        return {
+            x: (p.x / img.naturalWidth  - view.x) * view.zoom * canvas.width,
+            y: (p.y / img.naturalHeight - view.y) * view.zoom * canvas.height
+        };
+    }
+
+    /**
+     * toImage(pos)
+     *
+     * Converts a canvas (display) position into natural-image pixels.
+     *
+     * @param {{ x: number, y: number }} pos – Point in canvas pixels
+     * @returns {{ x: number, y: number }}
+     */
+    function toImage(pos) {
+        return {
+            x: (pos.x / (view.zoom * canvas.width)  + view.x) * img.naturalWidth,
+            y: (pos.y / (view.zoom * canvas.height) + view.y) * img.naturalHeight
+        };
+    }
+
+    // ============================================================
+    // ZOOM & PAN
+    // ============================================================
+
+    // The photo is scaled with a CSS transform (the browser resamples it from
+    // full resolution) while the canvas stays the size of the visible area, so
+    // dots, lines and labels keep their on-screen size at any zoom. `view`
+    // stores the zoom and the top-left of the visible area as fractions of the
+    // photo, which keeps it valid when the layout resizes.
+    const ZOOM_MIN  = 1;
+    const ZOOM_MAX  = 8;
+    const ZOOM_STEP = 1.5; // Factor for the + / − buttons
+
+    const zoomLevel  = document.getElementById('zoomLevel');
+    const panModeBtn = document.getElementById('panModeBtn');
+
+    // Keeps the visible area inside the photo.
+    function clampView() {
+        const span = 1 - 1 / view.zoom;
+        view.x = Math.max(0, Math.min(span, view.x));
+        view.y = Math.max(0, Math.min(span, view.y));
+    }
+
+    // Transforms the photo to match `view`; called by draw() after the canvas is sized.
+    function applyView() {
+        img.style.transform = view.zoom === 1 ? '' :
+            `translate(${-view.x * view.zoom * canvas.width}px, ${-view.y * view.zoom * canvas.height}px) scale(${view.zoom})`;
+        zoomLevel.textContent = `${Math.round(view.zoom * 100)}%`;
+    }
+
+    /**
+     * zoomAt(pos, zoom)
+     *
+     * Zooms to `zoom`, keeping the photo point under `pos` (canvas pixels) still.
+     *
+     * @param {{ x: number, y: number }} pos
+     * @param {number} zoom
+     */
+    function zoomAt(pos, zoom) {
+        const next = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, zoom));
+        const fx   = view.x + pos.x / (view.zoom * canvas.width);
+        const fy   = view.y + pos.y / (view.zoom * canvas.height);
+        view.zoom  = next;
+        view.x     = fx - pos.x / (next * canvas.width);
+        view.y     = fy - pos.y / (next * canvas.height);
+        clampView();
+        draw();
+    }
+
+    // Moves the view with a pointer drag of (dx, dy) canvas pixels.
+    function panBy(dx, dy) {
+        view.x -= dx / (view.zoom * canvas.width);
+        view.y -= dy / (view.zoom * canvas.height);
+        clampView();
+        draw();
+    }
+
+    function resetView() {
+        view = { zoom: 1, x: 0, y: 0 };
+        if (img.naturalWidth) draw(); else applyView();
+    }
+
+    // Distance and midpoint of the two active pointers.
+    function pinchGeometry() {
+        const [a, b] = Array.from(activePointers.values());
+        return { dist: Math.hypot(b.x - a.x, b.y - a.y) || 1, mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+    }
+
+    // Records the zoom and the photo point under the fingers' midpoint.
+    function startPinch() {
+        const { dist, mid } = pinchGeometry();
+        pinch = {
+            dist,
+            zoom: view.zoom,
+            fx:   view.x + mid.x / (view.zoom * canvas.width),
+            fy:   view.y + mid.y / (view.zoom * canvas.height)
+        };
+    }
+
+    // Zooms with the finger spread and keeps the pinched photo point under the midpoint.
+    function movePinch() {
+        const { dist, mid } = pinchGeometry();
+        view.zoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, pinch.zoom * dist / pinch.dist));
+        view.x    = pinch.fx - mid.x / (view.zoom * canvas.width);
+        view.y    = pinch.fy - mid.y / (view.zoom * canvas.height);
+        clampView();
+        draw();
+    }
+
+    function setPanMode(on) {
+        panMode = on;
+        panModeBtn.setAttribute('aria-pressed', String(on));
+        canvas.classList.toggle('pan-ready', on);
+    }
+
+    // Mouse wheel / trackpad zoom around the cursor.
+    canvas.addEventListener('wheel', (e) => {
+        if (!hasFitPhoto()) return;
+        e.preventDefault(); // Zoom the photo instead of scrolling the page
+        const lines = e.deltaMode === 1 ? 16 : 1; // Firefox reports wheel steps in lines
+        zoomAt(getPos(e), view.zoom * Math.exp(-e.deltaY * lines * 0.0015));
+    }, { passive: false });
+
+    // Space + drag pans while the pointer is over the photo (as in image editors).
+    let pointerOverCanvas = false;
+    canvas.addEventListener('pointerenter', () => { pointerOverCanvas = true; });
+    canvas.addEventListener('pointerleave', () => { pointerOverCanvas = false; });
+
+    window.addEventListener('keydown', (e) => {
+        if (e.code !== 'Space' || !pointerOverCanvas || !hasFitPhoto()) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, button')) return;
+        e.preventDefault(); // Don't scroll the page
+        spaceHeld = true;
+        canvas.classList.add('pan-ready');
+    });
+    window.addEventListener('keyup', (e) => {
+        if (e.code !== 'Space') return;
+        spaceHeld = false;
+        canvas.classList.toggle('pan-ready', panMode);
+    });
+
+    const zoomCentre = () => ({ x: canvas.width / 2, y: canvas.height / 2 });
+    document.getElementById('zoomInBtn').addEventListener('click', () => {
+        if (hasFitPhoto()) zoomAt(zoomCentre(), view.zoom * ZOOM_STEP);
+    });
+    document.getElementById('zoomOutBtn').addEventListener('click', () => {
+        if (hasFitPhoto()) zoomAt(zoomCentre(), view.zoom / ZOOM_STEP);
+    });
+    document.getElementById('zoomResetBtn').addEventListener('click', resetView);
+    panModeBtn.addEventListener('click', () => setPanMode(!panMode));
+
+    // ============================================================
+    // ANALYSIS
+    // ============================================================
+
+    /**
+     * analyzeCurrentFit(pts, facing, tilt, mmPerPx)
+     *
+     * Runs the analysis engine on the placed markers with the bike type and
+     * riding style currently selected – or the active custom range profile when
+     * the style is Custom. A front view goes through analyzeFront() instead,
+     * which only uses the bike type, the reach & drop theory through
+     * analyzeRad() with the rider's body measurements, and the TT / Tri aero
+     * theory through analyzeAero(), which always reads the TT / Tri ranges.
+     * Every renderer (canvas, table, PDF, fit file) goes through here so they
+     * always agree.
+     *
+     * @param {Array} [pts=points] – Markers to analyse (a video key frame's)
+     * @param {string} [facing=riderFacing()] – Rider facing for a side view
+     * @param {number} [tilt=photoTilt()] – Photo tilt of those markers
+     * @param {number} [mmPerPx=calibratedMmPerPx()] – Their photo scale (reach & drop lengths, KOPS)
+     * @returns {Array<Object>} Results from analyzeFit(), analyzeFront(), analyzeRad() or analyzeAero()
+     */
+    function analyzeCurrentFit(pts = points, facing = riderFacing(), tilt = photoTilt(), mmPerPx = calibratedMmPerPx()) {
+        if (isFrontView()) {
+            return analyzeFront({ points: pts, bikeType: bikeTypeSelect.value, tilt });
+        }
+        if (isRadTheory()) {
+            return analyzeRad({
+                points:   pts,
+                mmPerPx,
+                inseamMm: riderInseamMm(),
+                torsoMm:  riderTorsoMm(),
+                armMm:    riderArmMm(),
+                style:    fitTypeSelect.value,
+                bikeType: bikeTypeSelect.value,
+                ranges:   customRanges(),
+                tilt,
+                facing
+            });
+        }
+        if (isAeroTheory()) {
+            return analyzeAero({
+                points: pts,
+                style:  fitTypeSelect.value,
+                ranges: customRanges(),
+                tilt,
+                facing,
+                mmPerPx
+            });
+        }
+        return analyzeFit({
+            points:   pts,
+            style:    fitTypeSelect.value,
+            bikeType: bikeTypeSelect.value,
+            ranges:   customRanges(),
+            tilt,
+            facing,
+            mmPerPx
+        });
+    }
+
+    // Human-readable "Gravel · Balanced" caption for the two fit axes
+    // ("Gravel · Front view" – riding style does not apply to the front view;
+    // "Gravel · Balanced · Reach & drop" for the RAD theory; "TT / Tri aero ·
+    // Balanced" for the aero theory, which does not use the bike type).
+    function fitAxesLabel() {
+        return `${isAeroTheory() ? THEORY_LABELS.aero : BIKE_TYPE_LABELS[bikeTypeSelect.value]} · ${
+            isFrontView() ? VIEW_LABELS.front : styleLabel(fitTypeSelect.value, activeProfile)}${
+            isRadTheory() ? ` · ${THEORY_LABELS.rad}` : ''}`;
+    }
+
+    // First column heading of the results tables for the current view and theory.
+    function metricHeading() {
+        return isFrontView() || isAeroTheory() ? 'Metric' : isRadTheory() ? 'Length' : 'Joint';
+    }
+
+    // Range column heading: RAD ranges are targets for this rider, not norms.
+    function rangeHeading() {
+        return isRadTheory() ? 'Target Range' : 'Ideal Range';
+    }
+
+    // Calibrated lengths for the current view (see measureLengths()). The RAD
+    // table already reports drop and reach from the saddle, so the hip-based
+    // ones are left out of the measurements under it.
+    function measureCurrentLengths(mmPerPx) {
+        if (isFrontView()) return measureLengths(points, mmPerPx, photoTilt(), 'right', FRONT_LENGTH_DEFS);
+        return measureLengths(points, mmPerPx, photoTilt(), riderFacing(),
+            isRadTheory() ? LENGTH_DEFS.filter(def => !def.axis) : LENGTH_DEFS);
+    }
+
     // ============================================================
     // DRAWING
     // ============================================================
@@ -90,115 +424,184 @@ document.addEventListener('DOMContentLoaded', () => {
      * Redraws the entire canvas overlay from scratch:
      *   1. Resizes the canvas to match the photo's current display size.
      *   2. Clears any previous drawing.
-     *   3. Draws a skeleton line connecting all placed joint markers.
-     *   4. Draws a circular dot at each joint marker.
-     *   5. Calculates the angle at qualifying joints and labels them on the canvas.
-     *   6. Passes the angle data to updateTable() to refresh the results below.
+     *   3. Draws the skeleton lines (the view's links) between placed markers.
+     *   4. Draws a circular dot and the joint name at each joint marker.
+     *   5. Runs the analysis and labels each measured joint on the canvas.
+     *   6. Draws the simulator's proposed skeleton, if a slider is moved.
+     *   7. Passes the angle data to updateTable() to refresh the results below.
+     *   8. Updates the canvas's accessible description to match.
      *
-     * This function is called every time a point is added, moved, or the
-     * riding style dropdown changes.
+     * A comparison fit (A) is drawn first, under the current skeleton. In video
+     * mode the key frame on screen is kept in step with its markers first.
+     *
+     * This function is called every time a point is added, moved, the riding
+     * style dropdown changes, or the photo's displayed size changes.
      */
     function draw() {
         // Resize the canvas to exactly match the displayed image size.
         // This keeps the drawing coordinates aligned with the photo at all zoom levels.
         canvas.width  = img.clientWidth;
         canvas.height = img.clientHeight;
+        applyView();
 
         // Clear any previous drawing before painting a fresh frame.
         ctx.clearRect(0, 0, canvas.width, canvas.height);
+        syncKeyFrame();
+
+        // The level and calibration lines can exist before any joint marker is placed.
+        if (img.naturalWidth) {
+            drawLevel();
+            drawCalibration();
+        }
 
         // Nothing to draw if the user hasn't placed any markers yet.
-        if (points.length < 1) return;
+        if (points.length < 1 || !img.naturalWidth) {
+            updateSimStatus(null);
+            updateTheoryStatus();
+            updateCompareStatus(null);
+            updateCanvasDescription([]);
+            updateJointPalette();
+            updateFacingLabel();
+            return;
+        }
+
+        // ── Comparison Skeleton (fit A) ───────────────────────────────────────
+        const compared = comparedPoints();
+        if (compared) drawComparison(compared.map(p => p && toDisplay(p)));
+        updateCompareStatus(compared);
+
+        // Project every marker into display space once; angles are still
+        // calculated from the natural-image coordinates in `points`.
+        const shown = points.map(p => p && toDisplay(p));
 
         // ── Draw Skeleton Lines ───────────────────────────────────────────────
-        // Connect all placed points with a single continuous lime-green polyline.
+        // Lime-green lines along the body chain and around the foot (or between
+        // the front-view markers), for every link whose two markers are placed.
         ctx.strokeStyle = COLOR_SKEL;
         ctx.lineWidth   = 4;
-        ctx.lineJoin    = 'round'; // Rounds the corners where lines meet
+        ctx.lineCap     = 'round'; // Rounds the ends where lines meet at a joint
         ctx.beginPath();
-        ctx.moveTo(points[0].x, points[0].y);
-        points.forEach(p => ctx.lineTo(p.x, p.y));
+        VIEW_MARKERS[fitView()].links.forEach(([a, b]) => {
+            if (!shown[a] || !shown[b]) return;
+            ctx.moveTo(shown[a].x, shown[a].y);
+            ctx.lineTo(shown[b].x, shown[b].y);
+        });
         ctx.stroke();
+        if (isFrontView()) drawTrackingLines(ctx, shown, 1);
 
-        // ── Draw Joint Dots & Calculate Angles ───────────────────────────────
-        // Loop through every placed marker. Draw a dot, then check if this marker
-        // is the middle point of a three-point angle calculation.
-        const angleData = []; // Collects results to pass to the results table
-
-        points.forEach((p, i) => {
-
-            // Draw a filled circle at each joint position.
-            ctx.fillStyle = COLOR_SKEL;
+        // ── Draw Joint Dots ───────────────────────────────────────────────────
+        // Draw a filled circle at each joint position, with the joint's name
+        // below-right of it (the angle label sits above-right).
+        ctx.fillStyle = COLOR_SKEL;
+        shown.forEach(p => {
+            if (!p) return;
             ctx.beginPath();
             ctx.arc(p.x, p.y, 8, 0, Math.PI * 2);
             ctx.fill();
+        });
+        drawJointNames(ctx, shown, 1);
 
-            // Each angle is calculated at a MIDDLE point using the point before and after it.
-            // We check that the next required point actually exists before calculating.
-            let angle = null; // Stays null if this point is not a middle joint
-            let name  = '';
-
-            if (i === 1 && points[2]) {
-                name  = 'Ankle';
-                angle = calcAngle(points[0], points[1], points[2]);
-            }
-            if (i === 2 && points[3]) {
-                name  = 'Knee';
-                angle = calcAngle(points[1], points[2], points[3]);
-            }
-            if (i === 3 && points[4]) {
-                name  = 'Back';
-                // The back angle is measured against the horizontal plane,
-                // not as a three-point joint flex. Math.atan2 returns the
-                // angle of the torso line (hip-to-shoulder) from horizontal.
-                angle = Math.abs(
-                    Math.atan2(points[4].y - points[3].y, points[4].x - points[3].x) * (180 / Math.PI)
-                );
-            }
-            if (i === 4 && points[5]) {
-                name  = 'Shoulder';
-                angle = calcAngle(points[3], points[4], points[5]);
-            }
-            if (i === 5 && points[6]) {
-                name  = 'Elbow';
-                // Elbow flexion is expressed as degrees of bend.
-                // 180° = fully straight arm. We subtract from 180 to get the bend amount.
-                angle = Math.abs(180 - calcAngle(points[4], points[5], points[6]));
-            }
+        // Dashed ring around auto-detected joints the model was unsure of.
+        ctx.save();
+        ctx.strokeStyle = COLOR_UNSURE;
+        ctx.lineWidth   = 3;
+        ctx.setLineDash([5, 4]);
+        shown.forEach((p, i) => {
+            if (!p || !isUncertain(points[i])) return;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 16, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.restore();
 
-            // Only render a label if an angle was actually calculated at this point.
-            // We check `!== null` explicitly (not just `if (angle)`) to avoid a
-            // false-negative in the unlikely case that angle evaluates to 0.
-            if (angle !== null) {
-                const range   = IDEAL_RANGES[name][fitTypeSelect.value];
-                const isOk    = (angle >= range[0] && angle <= range[1]);
-                const display = angle.toFixed(1); // Format to one decimal for display only
+        // Ring around the keyboard-selected marker while the canvas has focus.
+        const selected = selectedMarker();
+        if (selected !== null && document.activeElement === canvas) {
+            ctx.save();
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth   = 3;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.arc(shown[selected].x, shown[selected].y, 14, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
 
-                // Draw a colour-coded angle label next to the joint dot on the canvas.
-                ctx.fillStyle = isOk ? COLOR_GOOD : COLOR_WARN;
-                ctx.font      = 'bold 16px Arial';
-                ctx.fillText(`${name}: ${display}°`, p.x + 15, p.y - 15);
+        // ── Angle Labels ──────────────────────────────────────────────────────
+        // The analysis engine measures every joint the placed markers allow and
+        // reports which marker each result belongs to, so the label can be drawn
+        // next to that joint's dot in a colour that reflects the range check.
+        const angleData = analyzeCurrentFit();
+        const labelled  = shownMetrics(angleData);
+        updateCanvasDescription(labelled);
+        updateTheoryStatus();
+        drawPlumbLines(ctx, shown, labelled, 1);
 
-                // Collect this joint's data for the results table.
-                angleData.push({ name, angle, display, isOk, range });
-            }
+        // Results that share a marker (saddle height and setback at the Saddle)
+        // stack upwards.
+        ctx.font = 'bold 16px Arial';
+        const stacked = {};
+        labelled.forEach(m => {
+            const p   = shown[m.at];
+            const row = stacked[m.at] = (stacked[m.at] || 0) + 1;
+            ctx.fillStyle = m.isOk ? COLOR_GOOD : COLOR_WARN;
+            ctx.fillText(`${m.label}: ${formatValue(m.angle, m.unit)}`, p.x + 15, p.y - 15 - (row - 1) * 20);
         });
 
+        // Caption the ranges in use (bike type · riding style) in the top-left
+        // corner, on a dark backing so it reads on any photo.
+        if (angleData.length) {
+            const caption = `Ranges: ${fitAxesLabel()}`;
+            ctx.font = 'bold 14px Arial';
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(8, 8, ctx.measureText(caption).width + 16, 26);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(caption, 16, 26);
+        }
+
+        // ── Proposed Skeleton (adjustment simulator) ─────────────────────────
+        // Dashed orange overlay of the re-solved pose, on top of the original.
+        const sim = simulateCurrentFit();
+        if (sim) {
+            const proposed = sim.points.map(p => p && toDisplay(p));
+            ctx.save();
+            ctx.strokeStyle = COLOR_SIM;
+            ctx.fillStyle   = COLOR_SIM;
+            ctx.lineWidth   = 3;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            SKELETON_LINKS.forEach(([a, b]) => {
+                if (!proposed[a] || !proposed[b]) return;
+                ctx.moveTo(proposed[a].x, proposed[a].y);
+                ctx.lineTo(proposed[b].x, proposed[b].y);
+            });
+            ctx.stroke();
+            proposed.forEach(p => {
+                if (!p) return;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+        }
+        updateSimStatus(sim);
+
         // Refresh the results table with the latest angle data.
-        updateTable(angleData);
+        updateTable(angleData, sim && sim.analysis, planCurrentFit(), compareCurrentFit(), strokeCurrentFit());
 
         // ── Draw Ghost Dot (Phase 2 – drag preview) ──────────────────────────
         // During a drag, ghostPoint holds the live pointer position but the real
         // point in `points` stays frozen so all angle math remains stable.
         // Rendered last so it always appears on top of skeleton lines and labels.
         if (ghostPoint) {
+            const ghost = toDisplay(ghostPoint);
             ctx.save();
             // Dashed cyan outline to distinguish the ghost from committed points.
             ctx.strokeStyle = 'rgba(0, 220, 255, 0.9)';
             ctx.lineWidth   = 3;
             ctx.setLineDash([6, 4]);
             ctx.beginPath();
-            ctx.arc(ghostPoint.x, ghostPoint.y, 12, 0, Math.PI * 2);
+            ctx.arc(ghost.x, ghost.y, 12, 0, Math.PI * 2);
             ctx.stroke();
             // Semi-transparent fill so the photo is still visible underneath.
             ctx.fillStyle = 'rgba(0, 220, 255, 0.35)';
@@ -206,54 +609,189 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.restore();
         }
 
-        // Phase 3: draw the drag loupe for touch interactions.
+        updateJointPalette();
+        updateFacingLabel();
+
+        // Draw the drag loupe (any pointer type) over everything else.
         drawLoupe();
     }
 
+    /**
+     * drawJointNames(context, shown, scale)
+     *
+     * Writes each placed joint's name below-right of its dot, outlined in
+     * black so it reads on any photo. Shared by the canvas and the PDF image.
+     *
+     * @param {CanvasRenderingContext2D} context
+     * @param {Array<{x: number, y: number}|null>} shown – Marker positions in the context's pixels
+     * @param {number} scale – Size relative to the on-screen canvas
+     */
+    function drawJointNames(context, shown, scale) {
+        context.save();
+        context.font        = `bold ${Math.round(12 * scale)}px Arial`;
+        context.lineWidth   = 3 * scale;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+        context.fillStyle   = '#fff';
+        const names = markerNames();
+        shown.forEach((p, i) => {
+            if (!p) return;
+            context.strokeText(names[i], p.x + 12 * scale, p.y + 22 * scale);
+            context.fillText(names[i], p.x + 12 * scale, p.y + 22 * scale);
+        });
+        context.restore();
+    }
+
+    // Front view: white dashed lines from the Hip to each foot – the lines knee
+    // tracking is measured from (Hip, L Foot and R Foot in FRONT_JOINT_NAMES).
+    function drawTrackingLines(context, shown, scale) {
+        const hip = shown[4];
+        if (!hip) return;
+        context.save();
+        context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        context.lineWidth   = 2 * scale;
+        context.setLineDash([6 * scale, 5 * scale]);
+        context.beginPath();
+        [shown[9], shown[10]].forEach(foot => {
+            if (!foot) return;
+            context.moveTo(hip.x, hip.y);
+            context.lineTo(foot.x, foot.y);
+        });
+        context.stroke();
+        context.restore();
+    }
+
+    // Side view: white dashed plumb lines for results that carry a `plumb`
+    // guide (KOPS) – straight down from the knee to the pedal spindle's
+    // height, along the true vertical of a tilted photo.
+    function drawPlumbLines(context, shown, analysis, scale) {
+        const tilt = photoTilt();
+        const rad  = tilt * Math.PI / 180;
+        context.save();
+        context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        context.lineWidth   = 2 * scale;
+        context.setLineDash([6 * scale, 5 * scale]);
+        context.beginPath();
+        analysis.forEach(m => {
+            if (!m.plumb) return;
+            const from = shown[m.plumb.from];
+            const to   = shown[m.plumb.to];
+            if (!from || !to) return;
+            const [a, b] = levelPoints([from, to], tilt);
+            const drop   = b.y - a.y;
+            context.moveTo(from.x, from.y);
+            context.lineTo(from.x - Math.sin(rad) * drop, from.y + Math.cos(rad) * drop);
+        });
+        context.stroke();
+        context.restore();
+    }
+
     // ============================================================
-    // DRAG LOUPE (Phase 3 – touch magnifier)
+    // DRAG LOUPE (magnifier for every pointer type)
     // ============================================================
 
+    // Started as the Phase 3 touch magnifier; now shown for mouse and pen drags
+    // too. The user picks the magnification and where the loupe sits – above
+    // the pointer, or docked in the lower-right corner of the photo where it
+    // never hides the joint being placed – or turns it off. The choice is kept
+    // in localStorage.
+    const LOUPE_PREFS_KEY   = 'cycl3d-loupe';
+    const LOUPE_MODES       = ['above', 'corner', 'off'];
+    const LOUPE_MAGS        = [1.5, 2, 3, 4, 6];
+    const LOUPE_RADIUS      = 60;  // Display radius of the loupe circle (px)
+    const LOUPE_MARGIN      = 10;  // Gap between a docked / clamped loupe and the canvas edge (px)
+
+    const loupeModeSelect = document.getElementById('loupeMode');
+    const loupeMagSelect  = document.getElementById('loupeMag');
+
+    // Saved loupe settings, falling back to the defaults for anything unknown.
+    function readLoupePrefs() {
+        let prefs = {};
+        try {
+            prefs = JSON.parse(localStorage.getItem(LOUPE_PREFS_KEY)) || {};
+        } catch (err) {
+            prefs = {};
+        }
+        return {
+            mode: LOUPE_MODES.includes(prefs.mode) ? prefs.mode : 'above',
+            mag:  LOUPE_MAGS.includes(prefs.mag)   ? prefs.mag  : 2
+        };
+    }
+
+    function saveLoupePrefs() {
+        try {
+            localStorage.setItem(LOUPE_PREFS_KEY, JSON.stringify({
+                mode: loupeModeSelect.value,
+                mag:  Number(loupeMagSelect.value)
+            }));
+        } catch (err) {
+            console.warn('Loupe settings could not be saved:', err);
+        }
+    }
+
+    /**
+     * loupeCentre(ghost)
+     *
+     * Where the loupe is drawn for a ghost at `ghost` (canvas pixels): docked
+     * in the lower-right corner (lower-left while the ghost is under it), or
+     * above the pointer – further above a finger than a cursor – clamped to
+     * stay inside the canvas.
+     *
+     * @param {{ x: number, y: number }} ghost
+     * @returns {{ x: number, y: number }}
+     */
+    function loupeCentre(ghost) {
+        const edge = LOUPE_RADIUS + LOUPE_MARGIN;
+        if (loupeModeSelect.value === 'corner') {
+            const y      = canvas.height - edge;
+            const right  = canvas.width - edge;
+            const under  = Math.hypot(ghost.x - right, ghost.y - y) < LOUPE_RADIUS + 30;
+            return { x: under ? edge : right, y };
+        }
+        const lift = isTouchDrag ? 150 : 100; // A finger hides more than a cursor
+        return {
+            x: Math.max(edge, Math.min(canvas.width - edge, ghost.x)),
+            y: Math.max(edge, ghost.y - lift)
+        };
+    }
+
     /**
      * drawLoupe()
      *
-     * Renders a circular magnifying loupe above the user's finger during a
-     * touch drag so the exact placement position is always visible.
+     * Renders a circular magnifier with a crosshair reticle during a marker
+     * drag, so the exact placement position is always visible.
      *
      * Only active when:
-     *   - isTouchDrag is true  (pointer type was 'touch')
-     *   - ghostPoint is set    (a drag is in progress)
+     *   - ghostPoint is set    (a drag is in progress – any pointer type)
+     *   - the loupe is not turned off
      *   - the photo is loaded  (img.naturalWidth > 0)
      *
      * ghostPoint is the single source of truth: it is what the loupe samples
      * AND what handleEnd() commits into draggingPoint – so the loupe center
-     * and the final placement are identical by construction.
+     * and the final placement are identical by construction. The crop is
+     * taken from the full-resolution photo, not the scaled-down display.
      */
     function drawLoupe() {
-        // ── Early exit on desktop / no drag / no image ───────────────────────
-        if (!ghostPoint || !isTouchDrag || !img.naturalWidth) return;
+        // ── Early exit when no drag / loupe off / no image ───────────────────
+        if (!ghostPoint || loupeModeSelect.value === 'off' || !img.naturalWidth) return;
 
-        const LOUPE_RADIUS    = 60;  // Display radius of the loupe circle (px)
-        const LOUPE_DIAMETER  = LOUPE_RADIUS * 2;
-        const MAGNIFICATION   = 1.5;
+        const LOUPE_DIAMETER = LOUPE_RADIUS * 2;
+        const MAGNIFICATION  = Number(loupeMagSelect.value) || 2;
         // Radius of the canvas-space window that the loupe shows.
-        const SRC_RADIUS      = LOUPE_RADIUS / MAGNIFICATION; // 40px canvas-space
-
-        // ── Loupe centre position (clamped to stay inside the canvas) ────────
-        const rawLoupeX = ghostPoint.x;
-        const rawLoupeY = ghostPoint.y - 150; // Default: 150px above the finger
+        const SRC_RADIUS     = LOUPE_RADIUS / MAGNIFICATION;
 
-        const loupeX = Math.max(LOUPE_RADIUS + 10, Math.min(canvas.width  - LOUPE_RADIUS - 10, rawLoupeX));
-        const loupeY = Math.max(LOUPE_RADIUS + 10, rawLoupeY);
+        // ── Loupe centre position ─────────────────────────────────────────────
+        const { x: loupeX, y: loupeY } = loupeCentre(toDisplay(ghostPoint));
 
-        // ── Map canvas-space ghost position to natural-image pixels ──────────
-        const scaleX = img.naturalWidth  / canvas.width;
-        const scaleY = img.naturalHeight / canvas.height;
+        // ── Source window around the ghost, in natural-image pixels ──────────
+        // ghostPoint is already in natural-image space; only the window size
+        // needs converting from canvas pixels (which shrink as the view zooms in).
+        const scaleX = img.naturalWidth  / (canvas.width  * view.zoom);
+        const scaleY = img.naturalHeight / (canvas.height * view.zoom);
 
         const srcW = SRC_RADIUS * 2 * scaleX;
         const srcH = SRC_RADIUS * 2 * scaleY;
-        const srcX = (ghostPoint.x - SRC_RADIUS) * scaleX;
-        const srcY = (ghostPoint.y - SRC_RADIUS) * scaleY;
+        const srcX = ghostPoint.x - SRC_RADIUS * scaleX;
+        const srcY = ghostPoint.y - SRC_RADIUS * scaleY;
 
         ctx.save();
 
@@ -262,7 +800,13 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.arc(loupeX, loupeY, LOUPE_RADIUS, 0, Math.PI * 2);
         ctx.clip();
 
+        // Black first, so a crop hanging off the photo edge isn't transparent.
+        ctx.fillStyle = '#000';
+        ctx.fillRect(loupeX - LOUPE_RADIUS, loupeY - LOUPE_RADIUS, LOUPE_DIAMETER, LOUPE_DIAMETER);
+
         // Draw the magnified photo crop filling the clipped circle.
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
         ctx.drawImage(
             img,
             srcX, srcY, srcW, srcH,                                        // source rect (natural-image coords)
@@ -290,112 +834,126 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.stroke();
         ctx.restore();
 
-        // ── Small filled centre dot – marks exact landing position ────────────
+        // ── Crosshair reticle – a gap in the middle keeps the target visible ──
+        const GAP = 6;
+        ctx.save();
+        ctx.lineCap = 'butt';
+        [['rgba(0, 0, 0, 0.6)', 3], ['rgba(0, 220, 255, 0.95)', 1]].forEach(([color, width]) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth   = width;
+            ctx.beginPath();
+            ctx.moveTo(loupeX - LOUPE_RADIUS, loupeY);
+            ctx.lineTo(loupeX - GAP, loupeY);
+            ctx.moveTo(loupeX + GAP, loupeY);
+            ctx.lineTo(loupeX + LOUPE_RADIUS, loupeY);
+            ctx.moveTo(loupeX, loupeY - LOUPE_RADIUS);
+            ctx.lineTo(loupeX, loupeY - GAP);
+            ctx.moveTo(loupeX, loupeY + GAP);
+            ctx.lineTo(loupeX, loupeY + LOUPE_RADIUS);
+            ctx.stroke();
+        });
+        ctx.restore();
+
+        // ── Small centre dot – marks exact landing position ───────────────────
         ctx.save();
         ctx.fillStyle = 'rgba(0, 220, 255, 0.9)';
         ctx.beginPath();
-        ctx.arc(loupeX, loupeY, 4, 0, Math.PI * 2);
+        ctx.arc(loupeX, loupeY, 1.5, 0, Math.PI * 2);
         ctx.fill();
         ctx.restore();
     }
 
+    // Restore the saved settings into the controls, and save any change.
+    const loupePrefs = readLoupePrefs();
+    loupeModeSelect.value = loupePrefs.mode;
+    loupeMagSelect.value  = String(loupePrefs.mag);
+    loupeModeSelect.addEventListener('change', saveLoupePrefs);
+    loupeMagSelect.addEventListener('change', saveLoupePrefs);
+
     // ============================================================
-    // ANGLE CALCULATION
+    // RESULTS TABLE
     // ============================================================
 
-    /**
-     * calcAngle(p1, p2, p3)
-     *
-     * Calculates the angle in degrees at point p2, formed by the two vectors
-     * p2→p1 and p2→p3. Uses the dot-product formula for 2D vectors.
-     *
-     * Returns a plain NUMBER so comparisons against the ideal ranges are
-     * always numerically accurate (conversion to string only happens at display time).
-     *
-     * @param {{ x: number, y: number }} p1 – First outer point
-     * @param {{ x: number, y: number }} p2 – Middle joint (the vertex of the angle)
-     * @param {{ x: number, y: number }} p3 – Second outer point
-     * @returns {number} Angle in degrees (0–180)
-     */
-    function calcAngle(p1, p2, p3) {
-        // Build vectors pointing from the middle joint (p2) toward each outer point.
-        const vA = { x: p1.x - p2.x, y: p1.y - p2.y };
-        const vC = { x: p3.x - p2.x, y: p3.y - p2.y };
-
-        // Dot product tells us how much the two vectors point in the same direction.
-        const dot  = (vA.x * vC.x) + (vA.y * vC.y);
-
-        // Magnitudes are the lengths of the two vectors.
-        const magA = Math.sqrt(vA.x ** 2 + vA.y ** 2);
-        const magC = Math.sqrt(vC.x ** 2 + vC.y ** 2);
-
-        // Clamp the cosine value to the valid range [-1, 1] before passing to Math.acos.
-        // Floating-point arithmetic can occasionally produce values like 1.0000000002,
-        // which would cause Math.acos to return NaN (Not a Number).
-        const cosTheta = Math.max(-1, Math.min(1, dot / (magA * magC)));
+    // "142.3°", "2.5%" – or "655 mm" for reach & drop lengths, which are
+    // measured to the millimetre.
+    function formatValue(value, unit) {
+        return `${value.toFixed(unit === ' mm' ? 0 : 1)}${unit}`;
+    }
 
-        // Convert from radians to degrees and return as a plain number.
-        return Math.acos(cosTheta) * (180 / Math.PI);
+    // The results (or comparison rows) for metrics not switched off with
+    // their checkbox in the results table – what the canvas, plan and PDF show.
+    function shownMetrics(rows) {
+        return rows.filter(m => !hiddenMetrics.includes(m.key));
     }
 
-    // ============================================================
-    // RESULTS TABLE
-    // ============================================================
+    // A saved list of switched-off metric keys, dropping anything that is not a string.
+    function metricKeyList(keys) {
+        return Array.isArray(keys) ? keys.filter(k => typeof k === 'string') : [];
+    }
 
     /**
      * updateTable(data)
      *
      * Builds and injects an HTML results table into the results area element.
      * Displays each measured angle, its ideal target range, and a corrective
-     * suggestion if the angle is outside the ideal window.
+     * suggestion if the angle is outside the ideal window. While the adjustment
+     * simulator is in use a Proposed column shows each joint after the change
+     * and whether it moves into range.
+     *
+     * Out-of-range joints the planner can quantify get a millimetre estimate
+     * ("Raise saddle ~6–9 mm") instead of the generic advice, and the steps are
+     * listed below the table in the order to make them.
+     *
+     * Each row has a checkbox that switches its metric off: the row stays,
+     * greyed out, so it can be switched back on, but the metric leaves the
+     * canvas, the plan and the PDF.
      *
-     * @param {Array} data – Array of angle result objects from draw()
+     * @param {Array} data       – Results from analyzeCurrentFit()
+     * @param {Array} [proposed] – Results for the simulated position
+     * @param {Array} [plan]     – Steps from planAdjustments()
+     * @param {Array} [compared] – Rows from compareAnalyses() while a comparison fit is loaded
+     * @param {Array} [stroke]   – Rows from strokeExtremes() once video key frames are marked
      */
-    function updateTable(data) {
+    function updateTable(data, proposed, plan = [], compared = null, stroke = null) {
         // Clear the results area if there is nothing to show yet.
         if (!data.length) {
             resultsArea.innerHTML = '';
             return;
         }
 
-        // Corrective advice for each joint when the angle is too low or too high.
-        // "low" = angle is below the minimum of the ideal range.
-        // "high" = angle is above the maximum of the ideal range.
-        const ADVICE = {
-            Knee:     { low: 'RAISE saddle height',       high: 'LOWER saddle height'       },
-            Back:     { low: 'Higher bars (add spacers)', high: 'Lower bars (remove spacers)' },
-            Shoulder: { low: 'Longer stem',               high: 'Shorter stem'               },
-            Elbow:    { low: 'Shorten reach',             high: 'Increase reach'             },
-            Ankle:    { low: 'Check cleat fore/aft',      high: 'Check cleat fore/aft'       }
-        };
-
         // Build the table HTML row by row.
-        // All values here come from internal calculations, not from user text input,
-        // so using innerHTML is safe in this context.
+        // All values here come from internal calculations and fixed dropdown
+        // options. The one piece of user text – a custom profile's name in the
+        // caption – is filled in with textContent once the HTML is in place.
         let html = `
             <div class="table-scroll-wrap">
             <table>
+                <caption></caption>
                 <thead>
                     <tr>
-                        <th>Joint</th>
+                        <th>${metricHeading()}</th>
                         <th>Measured</th>
-                        <th>Ideal Range</th>
+                        ${proposed ? '<th>Proposed</th>' : ''}
+                        <th>${rangeHeading()}</th>
                         <th>Recommendation</th>
                     </tr>
                 </thead>
                 <tbody>`;
 
         data.forEach(m => {
-            // Determine which direction the angle is out of range.
-            const direction  = m.angle < m.range[0] ? 'low' : 'high';
-            const adviceText = m.isOk ? 'Optimal ✓' : ADVICE[m.name][direction];
-
+            const after  = proposed && proposed.find(p => p.key === m.key);
+            const step   = plan.find(p => p.metric === m.key);
+            const hidden = hiddenMetrics.includes(m.key);
+            const proposedCell = after ? `
+                        <td class="${after.isOk ? 'status-ok' : 'status-warn'}">${formatValue(after.angle, after.unit)}
+                            <small class="sim-outcome">${SIM_OUTCOME_TEXT[compareToRange(m, after)]}</small></td>` : '';
             html += `
-                    <tr>
-                        <td>${m.name}</td>
-                        <td class="${m.isOk ? 'status-ok' : 'status-warn'}">${m.display}°</td>
-                        <td>${m.range[0]}&ndash;${m.range[1]}°</td>
-                        <td class="advice-box">${adviceText}</td>
+                    <tr${hidden ? ' class="metric-hidden"' : ''}>
+                        <td><label class="metric-toggle"><input type="checkbox" data-metric="${m.key}"${hidden ? '' : ' checked'}
+                            title="Show on the photo and in the PDF"> ${m.label}</label></td>
+                        <td class="${m.isOk ? 'status-ok' : 'status-warn'}">${formatValue(m.angle, m.unit)}</td>${proposedCell}
+                        <td>${m.range[0]}&ndash;${m.range[1]}${m.unit}</td>
+                        <td class="advice-box">${step ? `<strong>${step.step}.</strong> ${step.text}` : m.advice}</td>
                     </tr>`;
         });
 
@@ -404,7 +962,108 @@ document.addEventListener('DOMContentLoaded', () => {
             </table>
             </div>`;
 
+        // What the front-view, RAD and aero numbers mean, under their table.
+        const note = theoryNote();
+        if (note) html += `
+            <p class="adjust-plan-note">${note}</p>`;
+
+        // The quantified changes, in the order to make them.
+        if (plan.length) {
+            html += `
+            <div class="adjust-plan">
+                <p class="adjust-plan-title">Suggested order of changes</p>
+                <ol>`;
+            plan.forEach(p => {
+                html += `
+                    <li>${p.text} <small>(${data.find(m => m.key === p.metric).label})</small></li>`;
+            });
+            html += `
+                </ol>
+                <p class="adjust-plan-note">${PLAN_SCALE_TEXT[fitScale().source]} Make one change at a time, then re-photograph and re-check.</p>
+            </div>`;
+        }
+
+        // Before/after comparison against fit A.
+        if (compared && compared.length) {
+            html += `
+            <div class="table-scroll-wrap">
+            <table class="compare-table">
+                <caption>Comparison: A = compared fit, B = current fit</caption>
+                <thead>
+                    <tr><th>${metricHeading()}</th><th>A</th><th>B</th><th>Change</th><th>${rangeHeading()}</th></tr>
+                </thead>
+                <tbody>`;
+            compared.forEach(r => {
+                const cell = v => v === null ? '&ndash;' : `${formatValue(v, r.unit)}`;
+                const change = r.change === null ? '&ndash;'
+                    : `${r.change >= 0 ? '+' : ''}${formatValue(r.change, r.unit)}
+                            <small class="sim-outcome">${SIM_OUTCOME_TEXT[r.outcome]}</small>`;
+                html += `
+                    <tr>
+                        <td>${r.label}</td>
+                        <td>${cell(r.before)}</td>
+                        <td>${cell(r.after)}</td>
+                        <td class="${r.outcome ? COMPARE_OUTCOME_CLASS[r.outcome] : ''}">${change}</td>
+                        <td>${r.range[0]}&ndash;${r.range[1]}${r.unit}</td>
+                    </tr>`;
+            });
+            html += `
+                </tbody>
+            </table>
+            </div>`;
+        }
+
+        // Pedal-stroke range across the marked video frames.
+        if (stroke && stroke.length) {
+            html += `
+            <div class="table-scroll-wrap">
+            <table class="stroke-table">
+                <caption>Pedal stroke: ${video.frames.length} marked frame${video.frames.length === 1 ? '' : 's'}</caption>
+                <thead>
+                    <tr><th>${metricHeading()}</th><th>Min</th><th>Max</th><th>${strokeRangeHeading()}</th></tr>
+                </thead>
+                <tbody>`;
+            stroke.forEach(r => {
+                html += `
+                    <tr>
+                        <td>${r.label}</td>
+                        <td>${formatValue(r.min.value, r.unit)} <small class="sim-outcome">${r.min.frame}</small></td>
+                        <td>${formatValue(r.max.value, r.unit)} <small class="sim-outcome">${r.max.frame}</small></td>
+                        <td>${r.range[0]}&ndash;${r.range[1]}${r.unit}</td>
+                    </tr>`;
+            });
+            html += `
+                </tbody>
+            </table>
+            </div>
+            <p class="adjust-plan-note">${strokeNote()}</p>`;
+        }
+
+        // Real-world lengths, once the photo scale is calibrated.
+        const mmPerPx = calibratedMmPerPx();
+        const lengths = mmPerPx ? measureCurrentLengths(mmPerPx) : [];
+        if (lengths.length) {
+            html += `
+            <div class="table-scroll-wrap">
+            <table class="lengths-table">
+                <caption>Measurements (calibrated scale)</caption>
+                <thead>
+                    <tr><th>Measurement</th><th>Length</th></tr>
+                </thead>
+                <tbody>`;
+            lengths.forEach(l => {
+                html += `
+                    <tr><td>${l.name}</td><td>${Math.round(l.mm)} mm</td></tr>`;
+            });
+            html += `
+                </tbody>
+            </table>
+            </div>`;
+        }
+
         resultsArea.innerHTML = html;
+        resultsArea.querySelector('caption').textContent =
+            `${isRadTheory() ? 'Target lengths' : 'Ideal ranges'} for ${fitAxesLabel()}`;
 
         // Tell the parent iframe to resize now that the results table is visible.
         if (typeof window.cycl3dSendHeight === 'function') {
@@ -412,8 +1071,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // ============================================================
-    // POINTER & TOUCH EVENT HELPERS
+    // A row's checkbox switches its metric off or back on – one undo step.
+    resultsArea.addEventListener('change', (e) => {
+        const box = e.target.closest('input[data-metric]');
+        if (!box) return;
+        const key = box.dataset.metric;
+        hiddenMetrics = box.checked ? hiddenMetrics.filter(k => k !== key) : hiddenMetrics.concat(key);
+        recordChange(`${box.checked ? 'Show' : 'Hide'} ${box.parentNode.textContent.trim()}`);
+        draw();
+    });
+
+    // ============================================================
+    // POINTER & TOUCH EVENT HELPERS
     // ============================================================
 
     /**
@@ -442,30 +1111,86 @@ document.addEventListener('DOMContentLoaded', () => {
      * setPointerCapture ensures pointermove/pointerup continue firing even if
      * the finger or cursor leaves the canvas boundary during a drag.
      *
-     * If the pointer lands within 25px of an existing joint dot, that dot becomes
-     * the active drag target. Otherwise, if fewer than MAX_POINTS exist, a new
-     * joint marker is placed at the pointer position.
+     * If a placed joint was picked in the palette, the press re-places it at the
+     * pointer. Otherwise, if the pointer lands within 25px of an existing joint
+     * dot, that dot becomes the active drag target, and if not, the next missing
+     * joint (see nextJoint()) is placed at the pointer position. The grab radius
+     * is measured on screen; the new marker is stored in natural-image pixels.
+     *
+     * A second finger turns the press into a pinch zoom, and presses in pan
+     * mode, with Space held or with the middle mouse button pan the view.
      */
     function handleStart(e) {
         canvas.setPointerCapture(e.pointerId); // Keep receiving events outside the canvas
         const pos = getPos(e);
+        activePointers.set(e.pointerId, pos);
 
         // Do not place or drag markers while the help placeholder is displayed.
         if (isHelpImage) return;
 
+        // Second finger down: undo what the first one started and pinch instead.
+        if (activePointers.size === 2) {
+            if (pressedNew) removeMarker(points.indexOf(pressedNew));
+            pressedNew    = null;
+            draggingPoint = null;
+            ghostPoint    = null;
+            isTouchDrag   = false;
+            startPinch();
+            draw();
+            return;
+        }
+        if (activePointers.size > 2) return;
+
+        if (panMode || spaceHeld || e.button === 1) {
+            panning = pos;
+            canvas.classList.add('is-panning');
+            return;
+        }
+
         ghostPoint  = null; // Clear any stale ghost from a previous drag
-        isTouchDrag = (e.pointerType === 'touch'); // Phase 3: track whether this is a touch drag
+        isTouchDrag = (e.pointerType === 'touch'); // A finger needs the loupe lifted further
 
-        // Look for an existing joint dot within the 25px grab radius.
-        draggingPoint = points.find(p =>
-            Math.sqrt((p.x - pos.x) ** 2 + (p.y - pos.y) ** 2) < 25
-        );
+        // While calibrating or levelling, presses mark the ends of that line instead.
+        if (calibrating) {
+            placeCalibrationPoint(toImage(pos));
+            draw();
+            return;
+        }
+        if (leveling) {
+            placeLevelPoint(toImage(pos));
+            draw();
+            return;
+        }
+
+        // A placed joint picked in the palette jumps to the press and follows the
+        // drag from there; it is committed in handleEnd() like any drag.
+        pressedNew = null;
+        if (activeJoint !== null && points[activeJoint]) {
+            draggingPoint = points[activeJoint];
+            ghostPoint    = toImage(pos);
+            lastX = pos.x;
+            lastY = pos.y;
+            draw();
+            return;
+        }
 
-        // If no nearby dot was found and there is still room, create a new marker.
+        // Look for an existing joint dot (or calibration / level line end) within
+        // the 25px (screen) grab radius.
+        const placed  = points.filter(Boolean);
+        let grabbable = calibration ? placed.concat(calibration.a, calibration.b) : placed;
+        if (levelLine) grabbable = grabbable.concat(levelLine.a, levelLine.b);
+        draggingPoint = grabbable.find(p => {
+            const d = toDisplay(p);
+            return Math.sqrt((d.x - pos.x) ** 2 + (d.y - pos.y) ** 2) < 25;
+        });
+
+        // If no nearby dot was found and a joint is still missing, place it.
         // The point is added at the tap position so the ghost can track from here.
-        if (!draggingPoint && points.length < MAX_POINTS) {
-            draggingPoint = { x: pos.x, y: pos.y };
-            points.push(draggingPoint);
+        const next = nextJoint();
+        if (!draggingPoint && next !== -1) {
+            draggingPoint = toImage(pos);
+            placeMarker(next, draggingPoint);
+            pressedNew = draggingPoint;
         }
 
         lastX = pos.x;
@@ -482,13 +1207,23 @@ document.addEventListener('DOMContentLoaded', () => {
      * canvas – no e.preventDefault() needed here.
      */
     function handleMove(e) {
-        if (!draggingPoint) return; // No active drag – nothing to do
         const pos = getPos(e);
+        if (activePointers.has(e.pointerId)) activePointers.set(e.pointerId, pos);
+        if (pinch) {
+            movePinch();
+            return;
+        }
+        if (panning) {
+            panBy(pos.x - panning.x, pos.y - panning.y);
+            panning = pos;
+            return;
+        }
+        if (!draggingPoint) return; // No active drag – nothing to do
         // Phase 2: write to ghostPoint instead of mutating the real point.
         // This keeps `points` frozen during the drag so angle math in draw()
         // always operates on the last committed state – preventing the
         // stale-coordinate bug that affected points 5 & 6.
-        ghostPoint = { x: pos.x, y: pos.y };
+        ghostPoint = toImage(pos);
         lastX = pos.x;
         lastY = pos.y;
         draw();
@@ -499,18 +1234,42 @@ document.addEventListener('DOMContentLoaded', () => {
      *
      * Called when the pointer is released (pointerup or pointercancel).
      * Clears the active drag reference so the next press starts fresh.
+     * A placed or moved marker is recorded as one undo step.
+     *
+     * @param {PointerEvent} e
      */
-    function handleEnd() {
+    function handleEnd(e) {
+        activePointers.delete(e.pointerId);
+        const placed = pressedNew;
+        pressedNew = null;
+        // A pinch ends when a finger lifts; the other finger then does nothing
+        // until it is lifted too, so it cannot drop a stray marker.
+        if (pinch || panning) {
+            if (activePointers.size < 2) pinch = null;
+            panning = null;
+            canvas.classList.remove('is-panning');
+            return;
+        }
+
         // Phase 2: commit the ghost position into the real point before clearing.
         // If the user only tapped (no move), ghostPoint is null – the point is
         // already in its correct position from handleStart, so nothing extra needed.
         if (draggingPoint && ghostPoint) {
             draggingPoint.x = ghostPoint.x;
             draggingPoint.y = ghostPoint.y;
+            detectedConfidence.delete(draggingPoint); // The user has checked a detected joint
         }
+        const movedLevel = levelLine && (draggingPoint === levelLine.a || draggingPoint === levelLine.b);
+        const marker     = points.indexOf(draggingPoint);
         ghostPoint    = null;
-        isTouchDrag   = false; // Phase 3: hide the loupe on release
+        isTouchDrag   = false;
         draggingPoint = null;
+        updateCalibStatus();   // A dragged calibration end changes the scale
+        if (movedLevel) updateLevelStatus(); // … and a dragged level end the tilt
+        if (marker >= 0) {
+            if (marker === activeJoint) activeJoint = null; // A picked joint is placed once, then back to the next missing one
+            recordChange(`${placed ? 'Place' : 'Move'} ${markerNames()[marker]}`);
+        }
         draw();
     }
 
@@ -530,145 +1289,3710 @@ document.addEventListener('DOMContentLoaded', () => {
     canvas.addEventListener('pointercancel', handleEnd);
 
     // ============================================================
-    // IMAGE UPLOAD
+    // JOINT PALETTE
+    // ============================================================
+
+    // `points` is indexed by joint (points[i] is markerNames()[i], null until
+    // placed), so joints can be placed in any order and removed one at a time.
+    // Each click places the first missing joint unless the user picks another
+    // one in the palette under the photo; picking a joint that is already placed
+    // makes the next click re-place it. The palette shows which joints are placed
+    // and has a × to remove each one.
+    const jointPalette = document.getElementById('jointPalette');
+    const jointHint    = document.getElementById('jointHint');
+
+    let activeJoint = null; // Joint index picked in the palette for the next click, or null for the first missing one
+    let jointChips  = [];   // One { chip, pick, conf, remove } per marker of paletteView
+    let paletteView = null; // The view the palette (and `points`) were built for
+
+    // Optional markers of the current view are marked as such in the palette.
+    function isOptionalJoint(name) {
+        return VIEW_MARKERS[fitView()].optional.includes(name);
+    }
+
+    // The joint index the next click (or the N key) places, or -1 when all are placed.
+    function nextJoint() {
+        if (activeJoint !== null) return activeJoint;
+        for (let i = 0; i < markerNames().length; i++) {
+            if (!points[i]) return i;
+        }
+        return -1;
+    }
+
+    function placedCount() {
+        return points.filter(Boolean).length;
+    }
+
+    // Puts a marker on a joint, padding any joints before it with null.
+    function placeMarker(index, p) {
+        while (points.length < index) points.push(null);
+        points[index] = p;
+    }
+
+    // Removes one joint's marker; trailing empty joints are trimmed.
+    function removeMarker(index) {
+        if (index < 0 || index >= points.length) return;
+        points[index] = null;
+        while (points.length && !points[points.length - 1]) points.pop();
+    }
+
+    // Copies a saved or decoded marker list: null for missing joints, no trailing gaps.
+    function copyMarkers(list, sx = 1, sy = 1) {
+        const copy = (list || []).slice(0, markerNames().length).map(p => (p ? { x: p.x * sx, y: p.y * sy } : null));
+        while (copy.length && !copy[copy.length - 1]) copy.pop();
+        return copy;
+    }
+
+    // One chip per marker of the current view, rebuilt when the view changes:
+    // the joint name picks it, × removes it.
+    function buildJointPalette() {
+        paletteView = fitView();
+        jointPalette.textContent = '';
+        jointChips = markerNames().map((name, i) => {
+            const chip   = document.createElement('span');
+            chip.className = 'joint-chip';
+            const pick   = document.createElement('button');
+            pick.type        = 'button';
+            pick.textContent = name;
+            pick.dataset.joint = String(i);
+            pick.className   = 'joint-pick';
+            const remove = document.createElement('button');
+            remove.type        = 'button';
+            remove.textContent = '×';
+            remove.dataset.remove = String(i);
+            remove.className   = 'joint-remove';
+            remove.setAttribute('aria-label', `Remove ${name} marker`);
+            const conf   = document.createElement('small');
+            conf.className = 'joint-conf';
+            if (isOptionalJoint(name)) chip.classList.add('is-optional');
+            chip.append(pick, conf, remove);
+            jointPalette.appendChild(chip);
+            return { chip, pick, conf, remove };
+        });
+    }
+
+    buildJointPalette();
+
+    /**
+     * updateJointPalette()
+     *
+     * Marks each chip placed / missing / next (and shows the confidence of
+     * auto-detected joints) and updates the hint line.
+     * Called from draw().
+     */
+    function updateJointPalette() {
+        const next = nextJoint();
+        jointChips.forEach(({ chip, pick, conf, remove }, i) => {
+            const placed     = !!points[i];
+            const confidence = markerConfidence(points[i]);
+            chip.classList.toggle('is-placed', placed);
+            chip.classList.toggle('is-next', i === next);
+            chip.classList.toggle('is-uncertain', isUncertain(points[i]));
+            pick.setAttribute('aria-pressed', String(i === activeJoint));
+            pick.title    = placed ? `Re-place ${markerNames()[i]}` : `Place ${markerNames()[i]} next`;
+            // Detection confidence until the user moves the marker.
+            conf.textContent = confidence !== null ? `${Math.round(confidence * 100)}%` : '';
+            conf.title       = confidence !== null ? 'Detection confidence – drag the marker once checked' : '';
+            remove.hidden = !placed;
+        });
+
+        if (!hasFitPhoto()) {
+            jointHint.textContent = '';
+        } else if (next === -1) {
+            jointHint.textContent = 'All joints placed – drag a marker to adjust it.';
+        } else if (points[next]) {
+            jointHint.textContent = `Next click moves ${markerNames()[next]} to the new spot.`;
+        } else {
+            jointHint.textContent = `Next click places ${markerNames()[next]}` +
+                (isOptionalJoint(markerNames()[next]) ? ' (optional).' : '.');
+        }
+    }
+
+    jointPalette.addEventListener('click', (e) => {
+        const pick   = e.target.closest('button[data-joint]');
+        const remove = e.target.closest('button[data-remove]');
+        if (pick) {
+            const i = Number(pick.dataset.joint);
+            activeJoint = activeJoint === i ? null : i; // Picking it again goes back to the first missing joint
+            draw();
+            announce(jointHint.textContent);
+        }
+        if (remove) {
+            const i = Number(remove.dataset.remove);
+            removeMarker(i);
+            if (activeJoint === i) activeJoint = null;
+            recordChange(`Remove ${markerNames()[i]}`);
+            draw();
+            announce(`${markerNames()[i]} marker removed.`);
+        }
+    });
+
+    // ============================================================
+    // AUTO-DETECT JOINTS (on-device pose model)
+    // ============================================================
+
+    // "Auto-detect Joints" runs a pose-landmark model on the photo and places
+    // the Toe → Hand markers for the user to check and drag. It all runs in
+    // this browser: the runtime, its WebAssembly and the model weights are
+    // served from Assets/pose/ alongside the app (see Assets/pose/README.md),
+    // so the photo never leaves the device and the CSP only has to allow
+    // 'self' plus WebAssembly compilation. The model is loaded on first use.
+    const POSE_DIR     = 'Assets/pose/';
+    const POSE_RUNTIME = 'pose.js'; // MediaPipe Pose; defines window.Pose and loads the rest itself
+    const POSE_OPTIONS = {
+        modelComplexity:    0,     // pose_landmark_lite.tflite
+        useCpuInference:    true,  // WebAssembly on the CPU, no GPU delegate
+        selfieMode:         false,
+        smoothLandmarks:    false, // Single photos, not a video stream
+        enableSegmentation: false
+    };
+
+    const autoDetectBtn    = document.getElementById('autoDetectBtn');
+    const markerToolStatus = document.getElementById('markerToolStatus');
+
+    // Confidence (0–1) of markers placed by detection, keyed by the marker
+    // object. The entry is dropped once the user moves that marker.
+    const detectedConfidence = new WeakMap();
+    let poseModel            = null; // Loaded model, reused for every photo
+
+    function setMarkerToolStatus(message, isError) {
+        markerToolStatus.textContent = message;
+        markerToolStatus.classList.toggle('is-error', !!isError);
+        markerToolStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    // Detection confidence of a marker still where detection put it, or null.
+    function markerConfidence(p) {
+        return p && detectedConfidence.has(p) ? detectedConfidence.get(p) : null;
+    }
+
+    function isUncertain(p) {
+        const confidence = markerConfidence(p);
+        return confidence !== null && confidence < POSE_LOW_CONFIDENCE;
+    }
+
+    // Adds the runtime's <script> (same origin, so allowed by script-src 'self').
+    function loadPoseRuntime() {
+        if (window.Pose) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const script   = document.createElement('script');
+            script.src     = POSE_DIR + POSE_RUNTIME;
+            script.onload  = resolve;
+            script.onerror = () => reject(new Error(`${script.src} could not be loaded`));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Loads the runtime, its WebAssembly and the model from Assets/pose/ once.
+    async function loadPoseModel() {
+        if (poseModel) return poseModel;
+        await loadPoseRuntime();
+        const base  = new URL(POSE_DIR, document.baseURI).href;
+        const model = new window.Pose({ locateFile: file => base + file });
+        model.setOptions(POSE_OPTIONS);
+        await model.initialize();
+        poseModel = model;
+        return poseModel;
+    }
+
+    // Runs the model on one image; resolves with its 33 landmarks, or null
+    // when nobody is found. reset() drops the tracking state of the last photo.
+    function detectPose(model, image) {
+        return new Promise((resolve, reject) => {
+            model.reset();
+            model.onResults(results => resolve(results.poseLandmarks || null));
+            model.send({ image }).catch(reject);
+        });
+    }
+
+    /**
+     * autoDetectJoints()
+     *
+     * Detects the rider's pose in the current photo and places the seven body
+     * markers (camera-side limbs, see jointsFromLandmarks()), replacing any
+     * already placed after confirmation. Heel and Cleat are left alone. The
+     * whole detection is one undo step; joints below POSE_LOW_CONFIDENCE are
+     * ringed on the photo and flagged in the joint palette.
+     */
+    async function autoDetectJoints() {
+        if (!hasFitPhoto()) {
+            alert('Please upload a photo before detecting joints.');
+            return;
+        }
+        if (isFrontView()) {
+            setMarkerToolStatus('Auto-detect finds side-view joints – place the front-view markers by hand or use Populate Points.', true);
+            return;
+        }
+        if (BODY_JOINTS.some(i => points[i]) &&
+            !confirm('Replace the placed Toe → Hand markers with detected ones?')) return;
+
+        const photo = img.src; // Ignore the result if the photo changes meanwhile
+        autoDetectBtn.disabled = true;
+        let detected;
+        try {
+            setMarkerToolStatus('Loading the pose model…', false);
+            let model;
+            try {
+                model = await loadPoseModel();
+            } catch (err) {
+                console.warn('Pose model could not be loaded:', err);
+                setMarkerToolStatus('Automatic detection could not start in this browser – place the markers by hand.', true);
+                return;
+            }
+            if (img.src !== photo) {
+                setMarkerToolStatus('', false); // A new photo: nothing was detected
+                return;
+            }
+
+            setMarkerToolStatus('Detecting joints…', false);
+            try {
+                detected = jointsFromLandmarks(await detectPose(model, img), img.naturalWidth, img.naturalHeight);
+            } catch (err) {
+                console.warn('Pose detection failed:', err);
+                setMarkerToolStatus('Joint detection failed on this photo – place the markers by hand.', true);
+                return;
+            }
+            if (img.src !== photo) {
+                setMarkerToolStatus('', false);
+                return;
+            }
+        } finally {
+            autoDetectBtn.disabled = false;
+        }
+        if (!detected) {
+            setMarkerToolStatus('No rider was found in this photo – place the markers by hand.', true);
+            return;
+        }
+
+        detected.points.forEach((p, i) => {
+            placeMarker(i, p);
+            detectedConfidence.set(p, detected.confidence[i]);
+        });
+        activeJoint = null;
+        recordChange('Auto-detect joints');
+        draw();
+
+        const unsure = BODY_JOINTS.filter(i => isUncertain(points[i])).map(i => JOINT_NAMES[i]);
+        setMarkerToolStatus(`Detected the ${detected.side}-side joints. ` + (unsure.length
+            ? `Check the ${unsure.length === 1 ? 'one' : 'ones'} ringed in orange (${unsure.join(', ')}) and drag ${unsure.length === 1 ? 'it' : 'them'} into place.`
+            : 'Check each marker and drag any that are off.'), false);
+    }
+
+    autoDetectBtn.addEventListener('click', autoDetectJoints);
+
+    // ============================================================
+    // RIDER FACING & GENERIC SKELETON
+    // ============================================================
+
+    // The analysis measures a rider facing right and mirrors a left-facing
+    // photo first (see facePoints() in analysis.js). "Facing: auto" infers the
+    // direction from the Toe (or Hand) relative to the Hip; the manual choices
+    // are for photos where that guess is wrong and for dropping the generic
+    // skeleton the right way round before any marker is placed. The setting
+    // belongs to the photo, so a new photo or Clear goes back to auto.
+    const riderFacingSelect = document.getElementById('riderFacing');
+    const populateBtn       = document.getElementById('populateBtn');
+
+    // The manual facing setting, or undefined for auto (what fits save).
+    function facingSetting() {
+        return FACING_DIRECTIONS.includes(riderFacingSelect.value) ? riderFacingSelect.value : undefined;
+    }
+
+    function setFacingSetting(facing) {
+        riderFacingSelect.value = FACING_DIRECTIONS.includes(facing) ? facing : 'auto';
+    }
+
+    /**
+     * riderFacing()
+     *
+     * The direction every measurement treats the rider as facing: the manual
+     * setting, else inferred from the markers (right until it can be).
+     *
+     * @returns {'right'|'left'}
+     */
+    function riderFacing() {
+        return facingSetting() || inferFacing(points) || 'right';
+    }
+
+    // Shows the inferred direction on the auto option, e.g. "Facing: auto (left)".
+    function updateFacingLabel() {
+        const inferred = inferFacing(points);
+        riderFacingSelect.options[0].textContent = inferred ? `Facing: auto (${inferred})` : 'Facing: auto';
+    }
+
+    /**
+     * populateGenericPoints()
+     *
+     * Drops a generic seven-point skeleton (see genericPose()) facing the
+     * current direction, sized to the photo, for the user to drag each marker
+     * onto the rider. Placed Toe → Hand markers are replaced after confirmation;
+     * Heel and Cleat are left alone. In the front view every marker is placed
+     * from FRONT_GENERIC_POSE instead. One undo step.
+     */
+    function populateGenericPoints() {
+        if (!hasFitPhoto()) {
+            alert('Please upload a photo before populating points.');
+            return;
+        }
+        if (isFrontView()) {
+            if (placedCount() && !confirm('Replace the placed markers with a generic front-view skeleton?')) return;
+            points = genericPose(img.naturalWidth, img.naturalHeight, 'right', FRONT_GENERIC_POSE);
+            activeJoint = null;
+            recordChange('Populate generic points');
+            draw();
+            setMarkerToolStatus("Placed a generic front-view skeleton. Drag each marker onto the matching point – L is the rider's left, on the right of the photo.", false);
+            return;
+        }
+        if (BODY_JOINTS.some(i => points[i]) &&
+            !confirm('Replace the placed Toe → Hand markers with a generic skeleton?')) return;
+
+        const facing = riderFacing();
+        genericPose(img.naturalWidth, img.naturalHeight, facing).forEach((p, i) => placeMarker(i, p));
+        activeJoint = null;
+        recordChange('Populate generic points');
+        draw();
+        setMarkerToolStatus(`Placed a generic skeleton facing ${facing}. Drag each marker onto the matching joint` +
+            (facingSetting() ? '.' : ` – if the rider faces ${facing === 'right' ? 'left' : 'right'}, set the facing and populate again.`), false);
+    }
+
+    populateBtn.addEventListener('click', populateGenericPoints);
+
+    riderFacingSelect.addEventListener('change', () => {
+        recordChange('Change facing direction');
+        draw();
+    });
+
+    // ============================================================
+    // FIT VIEW (side / front)
+    // ============================================================
+
+    // The view is chosen before placing markers: the side view measures joint
+    // angles, the front view measures alignment (bar and stance width, knee
+    // tracking, hip tilt) from its own marker set. The two sets share nothing,
+    // so switching view removes the placed markers as one undoable step. The
+    // view is a choice about the photo being taken, not the photo itself, so
+    // a new photo and Clear keep it. Facing, auto-detect, the simulator, the
+    // plan and comparisons are side-view tools.
+
+    // Sign conventions of the front-view table, shown under it and in the PDF.
+    const FRONT_NOTE = "Front view: L / R are the rider's left and right. Bar and stance widths are % of shoulder width. " +
+        'Knee tracking is the sideways offset from the dashed hip–foot line as % of its length (+ = outside, − = inside). ' +
+        "Hip tilt is the lean of the hip from the centre of the feet (+ = toward the rider's left).";
+
+    /**
+     * setFitView(name)
+     *
+     * Selects a view ('side' by default) and rebuilds the joint palette for
+     * its markers. Callers replace `points` with markers of that view.
+     *
+     * @param {string} [name] – One of FIT_VIEWS
+     */
+    function setFitView(name) {
+        fitViewSelect.value = FIT_VIEWS.includes(name) ? name : 'side';
+        activeJoint = null;
+        if (paletteView !== fitView()) buildJointPalette();
+        updateViewControls();
+    }
+
+    // Side-view-only controls are hidden or disabled in the front view.
+    function updateViewControls() {
+        const front = isFrontView();
+        riderFacingSelect.hidden = front;
+        autoDetectBtn.disabled   = front;
+        autoDetectBtn.title      = front ? 'Auto-detect finds side-view joints only' : '';
+        fitTypeSelect.disabled   = front;
+        fitTypeSelect.title      = front ? 'Riding style does not apply to the front view' : '';
+        fitTheorySelect.disabled = front;
+        fitTheorySelect.title    = front ? 'The fit theory applies to the side view' : '';
+    }
+
+    fitViewSelect.addEventListener('change', () => {
+        const keyFrames = video ? video.frames.length : 0;
+        if ((placedCount() || keyFrames) &&
+            !confirm(`The ${VIEW_LABELS[fitView()].toLowerCase()} uses different markers. Remove the placed markers` +
+                     `${keyFrames ? ' and marked video frames' : ''} and switch?`)) {
+            fitViewSelect.value = paletteView;
+            return;
+        }
+        points = [];
+        if (keyFrames) {
+            video.frames = [];
+            renderKeyFrames();
+        }
+        resetSimulation();
+        comparison = null; // Comparisons are side-view only
+        setFitView(fitView());
+        recordChange('Change view');
+        setMarkerToolStatus('', false);
+        draw();
+    });
+
+    updateViewControls();
+
+    // ============================================================
+    // FIT THEORY (joint angles / reach & drop / TT / Tri aero)
+    // ============================================================
+
+    // Reach & drop (RAD) reads the side view as lengths – saddle height from
+    // the bottom bracket, saddle setback, and the reach and drop from the
+    // saddle to the hands – against targets worked out from the rider's
+    // inseam, torso and arm (see radTargets() in analysis.js). It needs a
+    // calibrated photo scale (the inseam fallback would make the saddle height
+    // measure itself) and the Saddle marker; the BB marker can be estimated
+    // from the Cleat.
+    //
+    // The TT / Tri aero theory reads a rider on the extensions: the leg and
+    // back against the TT / Tri ranges, plus hip angle, shoulder over pads,
+    // forearm angle and head position (see analyzeAero()). The optional Arm
+    // Pad, Ext Tip and Ear markers feed the last three; without the first two
+    // the Elbow and Hand stand in.
+    //
+    // Every theory uses the same markers, so switching keeps them and is one
+    // undoable step.
+    const theoryStatus = document.getElementById('theoryStatus');
+
+    // Where the RAD targets come from, under its table and in the PDF.
+    const RAD_NOTE = 'Reach & drop: saddle height runs from the bottom bracket to the top of the saddle; setback is how far the saddle sits behind the bottom bracket. ' +
+        'Reach and drop run from the saddle to the hands (+ = ahead of / below the saddle). ' +
+        "Targets come from the rider's inseam, torso and arm lengths and the ideal back, shoulder and elbow angles for the riding style.";
+
+    const AERO_NOTE = "TT / Tri aero: measured at 6 o'clock with the forearms on the pads, always against the TT / Tri ranges. " +
+        'Hip angle is torso to thigh; shoulder over pads is the upper arm from vertical (+ = pads ahead of the shoulder); ' +
+        'forearm angle is pad to extension tip from horizontal (+ = hands higher); head position is shoulder to ear above the back line. ' +
+        'Relaxed suits long-course triathlon, Aggressive a short time trial.';
+
+    // The note under the results table and in the PDF, or null when there is none.
+    function theoryNote() {
+        if (isFrontView())  return FRONT_NOTE;
+        if (isRadTheory())  return RAD_NOTE;
+        if (isAeroTheory()) return AERO_NOTE;
+        return null;
+    }
+
+    function setFitTheory(name) {
+        fitTheorySelect.value = FIT_THEORIES.includes(name) ? name : 'angles';
+    }
+
+    // Rider torso (hip joint → shoulder joint) and arm (shoulder joint → centre
+    // of the grip) in mm, or NaN when blank or implausible.
+    function riderTorsoMm() {
+        const mm = parseFloat(riderTorso.value);
+        return isValidTorso(mm) ? mm : NaN;
+    }
+
+    function riderArmMm() {
+        const mm = parseFloat(riderArm.value);
+        return isValidArm(mm) ? mm : NaN;
+    }
+
+    function isValidTorso(mm) {
+        return mm >= TORSO_MIN_MM && mm <= TORSO_MAX_MM;
+    }
+
+    function isValidArm(mm) {
+        return mm >= ARM_MIN_MM && mm <= ARM_MAX_MM;
+    }
+
+    function setTheoryStatus(message, isError) {
+        theoryStatus.textContent = message;
+        theoryStatus.classList.toggle('is-error', !!isError);
+        theoryStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    // Status line under the fit axes: what reach & drop still needs, or the
+    // body measurements its targets use; the markers the aero metrics still
+    // need. Hidden for the angle theory.
+    function updateTheoryStatus() {
+        theoryStatus.hidden = !isRadTheory() && !isAeroTheory();
+        if (isAeroTheory()) {
+            updateAeroStatus();
+            return;
+        }
+        if (!isRadTheory()) return;
+        const missing = [];
+        if (!calibratedMmPerPx())      missing.push('calibrate the photo scale (step 7)');
+        if (!points[9])                missing.push('place the Saddle marker');
+        if (!points[10] && !points[8]) missing.push('place the BB marker (or the Cleat, to estimate it)');
+        if (!riderInseamMm())          missing.push('enter the inseam (saddle height and setback)');
+        if (!riderTorsoMm() || !riderArmMm()) missing.push('enter the torso and arm lengths (reach and drop)');
+        if (missing.length) {
+            setTheoryStatus(`Reach & drop: ${missing.join('; ')}.`, true);
+        } else {
+            setTheoryStatus(`Reach & drop targets for a ${riderInseamMm()} mm inseam, ${riderTorsoMm()} mm torso and ${riderArmMm()} mm arm.`, false);
+        }
+    }
+
+    function updateAeroStatus() {
+        const missing = [];
+        if (!points[11]) missing.push('place the Arm Pad marker (the Elbow stands in)');
+        if (!points[12]) missing.push('place the Ext Tip marker (the Hand stands in)');
+        if (!points[13]) missing.push('place the Ear marker (head position)');
+        if (missing.length) {
+            setTheoryStatus(`TT / Tri aero: ${missing.join('; ')}.`, true);
+        } else {
+            setTheoryStatus('TT / Tri aero: pad, extension and head markers placed.', false);
+        }
+    }
+
+    fitTheorySelect.addEventListener('change', () => {
+        recordChange('Change fit theory');
+        draw();
+    });
+
+    // The body measurements only change the RAD targets, so just redraw.
+    [riderTorso, riderArm].forEach(input => input.addEventListener('input', draw));
+
+    // ============================================================
+    // VIDEO MODE (pedal-stroke key frames)
+    // ============================================================
+
+    // A photo catches one crank position, and riders often miss 6 o'clock.
+    // Video mode opens a local video in a hidden <video> element and copies
+    // the frame being worked on into the photo element as a still, so markers,
+    // zoom, the loupe, level and calibration all work exactly as on a photo.
+    // Markers carry over from frame to frame to be dragged into the new pose;
+    // "Mark Frame" keeps the current frame and its markers as a key frame, and
+    // the results gain a pedal-stroke table with each metric's min and max
+    // across the key frames (see strokeExtremes() in analysis.js). The video
+    // is read through an object URL and never leaves the device.
+    const VIDEO_FRAME_S       = 1 / 30; // One frame step – browsers don't report the frame rate, so assume 30 fps
+    const VIDEO_MAX_FRAMES    = 12;     // Key frames kept; each holds a full-size still
+    const VIDEO_STILL_QUALITY = 0.92;   // JPEG quality of the captured stills
+
+    // Crank positions a key frame can be tagged with, in pedal-stroke order.
+    const CRANK_POSITIONS = {
+        bottom:  "6 o'clock",
+        forward: "3 o'clock",
+        top:     "12 o'clock",
+        back:    "9 o'clock",
+        other:   'Other'
+    };
+
+    // How to read the pedal-stroke table (results area and PDF).
+    const STROKE_NOTE = 'Knee max is full extension at the bottom of the stroke, knee min the flexion at the top. ' +
+                        "The ideal ranges are for the 6 o'clock position.";
+    const FRONT_STROKE_NOTE = 'A knee that tracks straight keeps a similar offset in every frame; a wide min–max spread means it wanders across the stroke.';
+    const RAD_STROKE_NOTE   = 'Saddle height and setback should match in every frame – a spread means a marker moved. ' +
+                              "Reach and drop shift as the rider moves on the bike; the targets are for the 6 o'clock position.";
+
+    // The stroke table's range heading and note for the current view and theory.
+    function strokeRangeHeading() {
+        return isFrontView() ? 'Ideal Range' : `${rangeHeading()} (6 o'clock)`;
+    }
+
+    function strokeNote() {
+        return isFrontView() ? FRONT_STROKE_NOTE : isRadTheory() ? RAD_STROKE_NOTE : STROKE_NOTE;
+    }
+
+    const videoUpload   = document.getElementById('videoUpload');
+    const videoSource   = document.getElementById('videoSource');
+    const videoControls = document.getElementById('videoControls');
+    const videoScrub    = document.getElementById('videoScrub');
+    const videoTime     = document.getElementById('videoTime');
+    const videoPosition = document.getElementById('videoPosition');
+    const videoFrames   = document.getElementById('videoFrames');
+    const videoStatus   = document.getElementById('videoStatus');
+
+    // The open video: { name, url, time, frames: [{ time, position, points, still }] }, or null.
+    let video = null;
+
+    function setVideoStatus(message, isError) {
+        videoStatus.textContent = message;
+        videoStatus.classList.toggle('is-error', !!isError);
+        videoStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    // "6 o'clock · 1.23 s" for a key frame.
+    function frameLabel(frame) {
+        return `${CRANK_POSITIONS[frame.position]} · ${frame.time.toFixed(2)} s`;
+    }
+
+    // The key frame at the current video time, or null.
+    function currentKeyFrame() {
+        if (!video) return null;
+        return video.frames.find(f => Math.abs(f.time - video.time) < VIDEO_FRAME_S / 2) || null;
+    }
+
+    // Keeps the key frame on screen in step with marker edits; called from draw().
+    function syncKeyFrame() {
+        const frame = currentKeyFrame();
+        if (frame && img.src === frame.still) frame.points = copyMarkers(points);
+    }
+
+    // Resolves once the hidden video has finished seeking to `time`.
+    function seekVideo(time) {
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                videoSource.removeEventListener('seeked', done);
+                videoSource.removeEventListener('error', fail);
+                resolve();
+            };
+            const fail = () => {
+                videoSource.removeEventListener('seeked', done);
+                videoSource.removeEventListener('error', fail);
+                reject(new Error('The video could not be read at this position.'));
+            };
+            videoSource.addEventListener('seeked', done);
+            videoSource.addEventListener('error', fail);
+            videoSource.currentTime = time;
+        });
+    }
+
+    // The video's current frame as a JPEG data URL at its full resolution.
+    function captureStill() {
+        const still  = document.createElement('canvas');
+        still.width  = videoSource.videoWidth;
+        still.height = videoSource.videoHeight;
+        still.getContext('2d').drawImage(videoSource, 0, 0, still.width, still.height);
+        return still.toDataURL('image/jpeg', VIDEO_STILL_QUALITY);
+    }
+
+    /**
+     * showFrame(src)
+     *
+     * Puts a video frame in the photo element. Unlike showPhoto() the scale,
+     * level, facing and zoom are kept – every frame comes from the same camera –
+     * but the undo history starts afresh, since it belongs to one frame's markers.
+     *
+     * @param {string} src – Still from captureStill() or a key frame
+     */
+    function showFrame(src) {
+        isHelpImage = false;
+        img.onerror = null;
+        img.onload  = () => {
+            img.style.display = 'block';
+            resetHistory();
+            draw();
+            if (typeof window.cycl3dSendHeight === 'function') {
+                requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
+            }
+        };
+        img.src = src;
+    }
+
+    /**
+     * goToTime(time)
+     *
+     * Moves to another frame. A key frame brings back its own markers; any other
+     * frame carries the current markers over to be dragged into the new pose.
+     *
+     * @param {number} time – Seconds; clamped to the video
+     */
+    async function goToTime(time) {
+        if (!video) return;
+        time = Math.max(0, Math.min(videoSource.duration || 0, time));
+        const opened = video;
+        video.time = time;
+        videoScrub.value      = time;
+        videoTime.textContent = `${time.toFixed(2)} s`;
+
+        const frame = currentKeyFrame();
+        draggingPoint = null;
+        ghostPoint    = null;
+        activeJoint   = null;
+        if (frame) {
+            points = copyMarkers(frame.points);
+            videoPosition.value = frame.position;
+            showFrame(frame.still);
+        } else {
+            points = copyMarkers(points); // Fresh objects: a carried marker isn't where detection put it
+            try {
+                await seekVideo(time);
+            } catch (err) {
+                setVideoStatus(err.message, true);
+                return;
+            }
+            if (video !== opened || video.time !== time) return; // Moved on meanwhile
+            showFrame(captureStill());
+        }
+        renderKeyFrames();
+    }
+
+    /**
+     * openVideo(file)
+     *
+     * Loads a local video file and shows its first frame. Like a new photo, it
+     * clears the simulator, scale, level, facing and zoom of the previous photo.
+     *
+     * @param {File} file
+     */
+    async function openVideo(file) {
+        closeVideo();
+        const url = URL.createObjectURL(file);
+        try {
+            await new Promise((resolve, reject) => {
+                videoSource.onloadeddata = resolve;
+                videoSource.onerror      = () => reject(new Error('unreadable'));
+                videoSource.src = url;
+            });
+        } catch (err) {
+            URL.revokeObjectURL(url);
+            videoSource.removeAttribute('src');
+            alert(`"${file.name}" could not be opened – this browser may not support its video format. Try an MP4 (H.264) or WebM file.`);
+            return;
+        } finally {
+            videoSource.onloadeddata = null;
+            videoSource.onerror      = null;
+        }
+
+        video = { name: file.name, url, time: 0, frames: [] };
+        resetSimulation();   // Slider positions, scale, level and facing belong to the previous photo
+        setCalibration(null);
+        setLevel(null);
+        setFacingSetting(null);
+        view = { zoom: 1, x: 0, y: 0 };
+        videoScrub.max = videoSource.duration;
+        videoControls.hidden = false;
+        setVideoStatus('Place the markers, pick the crank position and press Mark Frame. Step to the next position – the markers follow – drag them into place and mark again.', false);
+        await goToTime(0);
+    }
+
+    /**
+     * closeVideo()
+     *
+     * Leaves video mode. The frame on screen stays as the photo with its
+     * markers; the key frames are dropped.
+     */
+    function closeVideo() {
+        if (!video) return;
+        URL.revokeObjectURL(video.url);
+        video = null;
+        videoSource.removeAttribute('src');
+        videoSource.load();
+        videoUpload.value    = '';
+        videoControls.hidden = true;
+        setVideoStatus('', false);
+        renderKeyFrames();
+    }
+
+    // Keeps the current frame and its markers as a key frame (or updates it).
+    function markKeyFrame() {
+        if (!video) return;
+        if (!placedCount()) {
+            alert('Place the joint markers on this frame before marking it.');
+            return;
+        }
+        let frame = currentKeyFrame();
+        if (!frame) {
+            if (video.frames.length >= VIDEO_MAX_FRAMES) {
+                alert(`Up to ${VIDEO_MAX_FRAMES} frames can be marked – remove one first.`);
+                return;
+            }
+            frame = { time: video.time, still: img.src };
+            video.frames.push(frame);
+            video.frames.sort((a, b) => a.time - b.time);
+        }
+        frame.position = videoPosition.value;
+        frame.points   = copyMarkers(points);
+        setVideoStatus(`Marked ${frameLabel(frame)}.`, false);
+        renderKeyFrames();
+        draw();
+    }
+
+    function removeKeyFrame(index) {
+        video.frames.splice(index, 1);
+        renderKeyFrames();
+        draw();
+    }
+
+    // One row per key frame: a button to go back to it and one to remove it.
+    function renderKeyFrames() {
+        videoFrames.textContent = '';
+        const current = currentKeyFrame();
+        (video ? video.frames : []).forEach((frame, i) => {
+            const li = document.createElement('li');
+            if (frame === current) li.setAttribute('aria-current', 'true');
+            const count = frame.points.filter(Boolean).length;
+            [['show', `${frameLabel(frame)} · ${count} marker${count === 1 ? '' : 's'}`], ['remove', '×']].forEach(([action, label]) => {
+                const btn = document.createElement('button');
+                btn.type           = 'button';
+                btn.textContent    = label;
+                btn.dataset.action = action;
+                btn.dataset.index  = i;
+                btn.setAttribute('aria-label', `${action === 'show' ? 'Show' : 'Remove'} frame ${frameLabel(frame)}`);
+                li.appendChild(btn);
+            });
+            videoFrames.appendChild(li);
+        });
+        if (typeof window.cycl3dSendHeight === 'function') {
+            requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
+        }
+    }
+
+    // Each key frame measured against the current bike type and riding style
+    // (its own facing is inferred unless set by hand).
+    function analyzeKeyFrames() {
+        return (video ? video.frames : []).map(frame => ({
+            frame,
+            label:    frameLabel(frame),
+            analysis: shownMetrics(analyzeCurrentFit(frame.points, facingSetting() || inferFacing(frame.points) || 'right'))
+        }));
+    }
+
+    /**
+     * strokeCurrentFit()
+     *
+     * Every metric's range across the pedal stroke, from the key frames.
+     *
+     * @returns {Array|null} Rows from strokeExtremes(), or null without key frames
+     */
+    function strokeCurrentFit() {
+        if (!video || !video.frames.length) return null;
+        return strokeExtremes(analyzeKeyFrames());
+    }
+
+    videoUpload.addEventListener('change', () => {
+        const file = videoUpload.files[0];
+        if (file) openVideo(file);
+    });
+
+    videoScrub.addEventListener('input', () => goToTime(Number(videoScrub.value)));
+    document.getElementById('videoPrevBtn').addEventListener('click', () => goToTime(video.time - VIDEO_FRAME_S));
+    document.getElementById('videoNextBtn').addEventListener('click', () => goToTime(video.time + VIDEO_FRAME_S));
+    document.getElementById('videoMarkBtn').addEventListener('click', markKeyFrame);
+    document.getElementById('videoCloseBtn').addEventListener('click', closeVideo);
+
+    videoFrames.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn || !video) return;
+        const index = Number(btn.dataset.index);
+        if (btn.dataset.action === 'show')   goToTime(video.frames[index].time);
+        if (btn.dataset.action === 'remove') removeKeyFrame(index);
+    });
+
+    // ============================================================
+    // KEYBOARD MARKER EDITING
+    // ============================================================
+
+    // The canvas is focusable, so every marker can be placed and fine-tuned
+    // without a pointer: Tab / Shift-Tab select the placed markers in turn, the
+    // arrow keys nudge the selected one by 1 photo pixel (10 with Shift), Delete
+    // removes it and N places the next joint (see nextJoint()) in the middle of
+    // the visible area.
+    // Tabbing past the last marker (or Shift-Tab before the first) lets focus
+    // leave the canvas as usual. Each change is read out through a live region.
+    const NUDGE_PX       = 1;  // Arrow-key step in natural-image pixels
+    const NUDGE_FAST_PX  = 10; // … with Shift held
+    const canvasAnnounce = document.getElementById('canvasAnnounce');
+
+    let selectedIndex = null; // Joint index of the keyboard-selected marker, or null
+
+    // The selected marker's index, or null once it no longer exists (removed, cleared, re-imported).
+    function selectedMarker() {
+        return selectedIndex !== null && points[selectedIndex] ? selectedIndex : null;
+    }
+
+    function announce(text) {
+        canvasAnnounce.textContent = text;
+    }
+
+    // "Knee 142.3° (ideal 140–150°, in range)" for one analyzeFit() result.
+    function describeMetric(m) {
+        return `${m.label} ${formatValue(m.angle, m.unit)} (ideal ${m.range[0]}–${m.range[1]}${m.unit}, ${m.isOk ? 'in range' : 'out of range'})`;
+    }
+
+    /**
+     * describeMarker(index)
+     *
+     * Spoken summary of one marker: its joint and the live measurement(s)
+     * labelled at it.
+     *
+     * @param {number} index – Index into `points`
+     * @returns {string}
+     */
+    function describeMarker(index) {
+        const measured   = shownMetrics(analyzeCurrentFit()).filter(m => m.at === index);
+        const confidence = markerConfidence(points[index]);
+        const text       = `${markerNames()[index]} marker` +
+            (confidence !== null ? ` (detected, ${Math.round(confidence * 100)}% confidence)` : '');
+        return measured.length ? `${text}: ${measured.map(describeMetric).join('; ')}.` : `${text}.`;
+    }
+
+    /**
+     * updateCanvasDescription(angleData)
+     *
+     * Keeps the canvas's accessible name in step with what it shows – how many
+     * joints are placed, which one comes next, and every measured angle against
+     * its range – so a screen reader gets the same results as the overlay.
+     * Called from draw().
+     *
+     * @param {Array} angleData – Joint results from analyzeFit()
+     */
+    function updateCanvasDescription(angleData) {
+        let text;
+        if (!hasFitPhoto()) {
+            text = 'Bike fit overlay. Upload a photo or load the demo image to start placing joint markers.';
+        } else {
+            const next = nextJoint();
+            text = `Bike fit overlay: ${placedCount()} of ${markerNames().length} ${isFrontView() ? 'front-view' : 'joint'} markers placed`;
+            text += next !== -1 && !points[next] ? `, next is ${markerNames()[next]}.` : '.';
+            if (angleData.length) text += ` ${angleData.map(describeMetric).join('. ')}.`;
+        }
+        canvas.setAttribute('aria-label', text);
+    }
+
+    // Selects a marker (or none) and reads it out.
+    function selectMarker(index) {
+        selectedIndex = index;
+        if (index !== null) announce(describeMarker(index));
+        draw();
+    }
+
+    canvas.addEventListener('keydown', (e) => {
+        if (!hasFitPhoto() || e.altKey || e.ctrlKey || e.metaKey) return;
+        const selected = selectedMarker();
+
+        if (e.key === 'Tab') {
+            const placed = points.map((p, i) => (p ? i : -1)).filter(i => i >= 0);
+            if (!placed.length) return;
+            const at   = placed.indexOf(selected);
+            const next = at === -1 ? (e.shiftKey ? placed.length - 1 : 0)
+                                   : at + (e.shiftKey ? -1 : 1);
+            // Past either end: deselect and let focus move on.
+            if (next < 0 || next >= placed.length) {
+                selectMarker(null);
+                return;
+            }
+            e.preventDefault();
+            selectMarker(placed[next]);
+            return;
+        }
+
+        const ARROWS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (ARROWS[e.key]) {
+            if (selected === null) return;
+            e.preventDefault(); // Don't scroll the page
+            const step = e.shiftKey ? NUDGE_FAST_PX : NUDGE_PX;
+            const p    = points[selected];
+            p.x = Math.max(0, Math.min(img.naturalWidth,  p.x + ARROWS[e.key][0] * step));
+            p.y = Math.max(0, Math.min(img.naturalHeight, p.y + ARROWS[e.key][1] * step));
+            detectedConfidence.delete(p);
+            draw();
+            recordChange(`Move ${markerNames()[selected]}`, `nudge-${selected}`);
+            announce(describeMarker(selected));
+            return;
+        }
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            if (selected === null) return;
+            e.preventDefault();
+            removeMarker(selected);
+            selectedIndex = null;
+            recordChange(`Remove ${markerNames()[selected]}`);
+            draw();
+            announce(`${markerNames()[selected]} marker removed. Press N to place it again.`);
+            return;
+        }
+
+        if (e.key === 'n' || e.key === 'N') {
+            e.preventDefault();
+            const next = nextJoint();
+            if (next === -1) {
+                announce('All joint markers are placed. Use Tab to select one and the arrow keys to move it.');
+                return;
+            }
+            const moved = !!points[next];
+            placeMarker(next, toImage({ x: canvas.width / 2, y: canvas.height / 2 }));
+            activeJoint = null;
+            recordChange(`${moved ? 'Move' : 'Place'} ${markerNames()[next]}`);
+            selectMarker(next);
+            return;
+        }
+
+        if (e.key === 'Escape' && selected !== null) {
+            selectMarker(null);
+            announce('No marker selected.');
+        }
+    });
+
+    // The selection ring is only drawn while the canvas has focus.
+    canvas.addEventListener('focus', () => { if (points.length) draw(); });
+    canvas.addEventListener('blur',  () => { if (points.length) draw(); });
+
+    // ============================================================
+    // UNDO / REDO HISTORY
+    // ============================================================
+
+    // Every committed marker change (a placement or drag in handleEnd(), a
+    // keyboard edit), riding style / bike type change, metric toggle and Clear is recorded
+    // as a step that Undo / Redo (Ctrl/Cmd-Z, Shift-Ctrl/Cmd-Z or the buttons
+    // under the photo) can step back and forth through. Steps hold snapshots:
+    // `settled` is the state after the last recorded step, so recording only
+    // needs the state afterwards. Loading a different photo or fit starts a
+    // fresh history – old marker positions mean nothing on a new photo.
+    const HISTORY_LIMIT = 100; // Oldest steps are dropped beyond this
+
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    let undoStack = [];   // Steps { label, before, after, merge?, fit? } – newest last
+    let redoStack = [];   // Undone steps, newest last
+    let settled   = null; // historyState() after the last recorded or replayed step
+
+    // Snapshot of everything a step can change, except Clear's extra state.
+    function historyState() {
+        return {
+            points:    copyMarkers(points),
+            style:     fitTypeSelect.value,
+            profileId: fitTypeSelect.value === CUSTOM_STYLE && activeProfile ? activeProfile.id : null,
+            bikeType:  bikeTypeSelect.value,
+            facing:    riderFacingSelect.value,
+            view:      fitView(),
+            theory:    fitTheory(),
+            hiddenMetrics: hiddenMetrics.slice()
+        };
+    }
+
+    function sameState(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function updateHistoryButtons() {
+        const undo = undoStack[undoStack.length - 1];
+        const redo = redoStack[redoStack.length - 1];
+        undoBtn.disabled = !undo;
+        redoBtn.disabled = !redo;
+        undoBtn.title    = undo ? `Undo: ${undo.label}` : 'Nothing to undo';
+        redoBtn.title    = redo ? `Redo: ${redo.label}` : 'Nothing to redo';
+    }
+
+    // Forgets all steps and takes the current state as the starting point.
+    function resetHistory() {
+        undoStack = [];
+        redoStack = [];
+        settled   = historyState();
+        updateHistoryButtons();
+    }
+
+    /**
+     * recordChange(label, merge)
+     *
+     * Records the change from `settled` to the current state as one undoable
+     * step. Nothing is recorded if nothing changed (e.g. a tap on a marker).
+     * Consecutive steps with the same `merge` key – arrow-key nudges of one
+     * marker – collapse into a single step.
+     *
+     * @param {string} label    – Shown in the button tooltip, e.g. "Move Knee"
+     * @param {string} [merge]  – Key of a step that may absorb the next one
+     */
+    function recordChange(label, merge) {
+        const after = historyState();
+        if (!settled) settled = after;
+        if (sameState(settled, after)) return;
+
+        const last = undoStack[undoStack.length - 1];
+        if (merge && last && last.merge === merge && !redoStack.length) {
+            last.after = after;
+            settled    = after;
+            updateHistoryButtons();
+        } else {
+            pushStep({ label, before: settled, after, merge });
+        }
+    }
+
+    // Adds a new step; any undone steps can no longer be redone.
+    function pushStep(step) {
+        undoStack.push(step);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+        settled   = step.after;
+        updateHistoryButtons();
+    }
+
+    // Puts markers, riding style, bike type, view, fit theory and the metrics
+    // switched off back to a snapshot.
+    function applyHistoryState(state) {
+        setFitView(state.view); // Before the markers: they are copied for the view's marker set
+        points        = copyMarkers(state.points);
+        draggingPoint = null;
+        ghostPoint    = null;
+        const profile = state.profileId && profiles.find(p => p.id === state.profileId);
+        if (profile) {
+            setActiveProfile(profile);
+            fitTypeSelect.value = CUSTOM_STYLE;
+            updateProfileControls();
+        } else {
+            // A deleted custom profile falls back to the last built-in style.
+            setRidingStyle(state.style === CUSTOM_STYLE ? lastStdStyle : state.style);
+        }
+        bikeTypeSelect.value = state.bikeType;
+        riderFacingSelect.value = state.facing;
+        setFitTheory(state.theory);
+        hiddenMetrics = state.hiddenMetrics.slice();
+        draw();
+    }
+
+    function undo() {
+        const step = undoStack.pop();
+        if (!step) return;
+        redoStack.push(step);
+        if (step.fit) {
+            // Undoing Clear reloads the photo with everything Clear wiped.
+            comparison = step.fit.comparison;
+            restoreFit(step.fit, true);
+        } else {
+            applyHistoryState(step.before);
+        }
+        settled = step.before;
+        updateHistoryButtons();
+        announce(`Undone: ${step.label}.`);
+    }
+
+    function redo() {
+        const step = redoStack.pop();
+        if (!step) return;
+        undoStack.push(step);
+        if (step.fit) {
+            clearFit();
+        } else {
+            applyHistoryState(step.after);
+        }
+        settled = step.after;
+        updateHistoryButtons();
+        announce(`Redone: ${step.label}.`);
+    }
+
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+
+    // Ctrl/Cmd-Z undoes, Shift-Ctrl/Cmd-Z (or Ctrl-Y) redoes. Text fields keep
+    // their own undo.
+    window.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo(); else undo();
+    });
+
+    updateHistoryButtons();
+
+    // ============================================================
+    // LAYOUT CHANGES
+    // ============================================================
+
+    // Markers are stored in natural-image pixels, so keeping them on their joints
+    // after a window resize, phone rotation or iframe reflow only needs a redraw
+    // at the photo's new display size. Redraws are batched to one per frame.
+    let redrawFrame = 0;
+    function scheduleRedraw() {
+        if (redrawFrame) return;
+        redrawFrame = requestAnimationFrame(() => {
+            redrawFrame = 0;
+            draw();
+        });
+    }
+
+    window.addEventListener('resize', scheduleRedraw);
+    if (window.ResizeObserver) {
+        new ResizeObserver(scheduleRedraw).observe(img);
+    }
+
+    // ============================================================
+    // IMAGE UPLOAD
+    // ============================================================
+
+    // Everything tied to the previous photo goes when a new one is loaded –
+    // uploaded, restored or the demo: any video, the simulator's slider
+    // positions, the scale, the level line, the facing setting and the zoom.
+    function resetForNewPhoto() {
+        closeVideo();        // A photo replaces any video being analysed
+        isHelpImage = false; // A real photo dismisses the help placeholder
+        resetSimulation();
+        setCalibration(null);
+        setLevel(null);
+        setFacingSetting(null);
+        view = { zoom: 1, x: 0, y: 0 }; // A new photo starts fully in view
+    }
+
+    /**
+     * showPhoto(src, onReady)
+     *
+     * Displays a real fit photo in the image element and redraws once it has
+     * loaded. Used by both the upload input and session restore so a restored
+     * photo goes through exactly the same path as a freshly uploaded one.
+     *
+     * @param {string}   src       – Image source (usually a base64 data URL)
+     * @param {Function} [onReady] – Optional callback run after the photo is
+     *                               visible but before the canvas is redrawn
+     * @param {boolean}  [keepHistory] – Keep the undo history instead of starting afresh
+     */
+    function showPhoto(src, onReady, keepHistory) {
+        resetForNewPhoto();
+        img.onerror = null;
+        img.onload  = () => {
+            img.style.display = 'block'; // Make the image visible once it has loaded
+            if (onReady) onReady();
+            applyPendingFit(); // Place markers from a fit code imported before the photo
+            if (!keepHistory) resetHistory(); // A new photo starts a fresh undo history
+            draw();
+            // Tell the parent iframe to resize now that the image is visible.
+            if (typeof window.cycl3dSendHeight === 'function') {
+                requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
+            }
+        };
+        img.src = src;
+    }
+
+    // When the user selects a photo, read it as a data URL and display it in the image element.
+    document.getElementById('upload').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return; // User closed the file dialog without selecting anything
+
+        isHelpImage = false; // User has provided a real photo – dismiss the help placeholder
+        const reader  = new FileReader(); // Browser built-in API for reading local files
+        reader.onload = (event) => showPhoto(event.target.result); // base64-encoded image data
+        reader.readAsDataURL(file); // Encode the file as a base64 data URL string
+    });
+
+    // ============================================================
+    // DEMO IMAGE LOADER
+    // ============================================================
+
+    /**
+     * loadDemoImage(url, clearMarkers)
+     *
+     * Loads a remote image into the photo display area.
+     * The demoLoading flag prevents double-clicks from firing two simultaneous loads.
+     *
+     * @param {string}  url          – Full URL of the image to display
+     * @param {boolean} clearMarkers – If true, resets all existing joint markers
+     */
+    function loadDemoImage(url, clearMarkers) {
+        if (demoLoading) return; // Guard against duplicate simultaneous requests
+        demoLoading = true;
+        resetForNewPhoto(); // Demo image is a real fit photo, not the help placeholder
+
+        img.onload = () => {
+            demoLoading       = false;
+            img.style.display = 'block';
+            applyPendingFit(); // Place markers from a fit code imported before the photo
+            resetHistory();
+            draw();
+            // Tell the parent iframe to resize now that the demo image is visible.
+            if (typeof window.cycl3dSendHeight === 'function') {
+                requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
+            }
+        };
+
+        img.onerror = () => {
+            demoLoading = false;
+            console.warn('Demo image failed to load:', url);
+            alert('Failed to load the demo image. Please ensure the Assets folder is present.');
+        };
+
+        if (clearMarkers) points = []; // Optionally wipe existing joint markers
+        img.src = url;
+    }
+
+    // ============================================================
+    // BUTTON ACTIONS
+    // ============================================================
+
+    // ============================================================
+    // HELP IMAGE LOADER
+    // ============================================================
+
+    /**
+     * loadHelpImage()
+     *
+     * Loads the help screenshot into the photo display area without clearing
+     * any existing markers (there should be none). Sets isHelpImage = true so
+     * the rest of the app knows this is a placeholder, not a real fit photo.
+     * Called on first load and after Clear.
+     */
+    function loadHelpImage() {
+        isHelpImage       = true;
+        view              = { zoom: 1, x: 0, y: 0 };
+        img.onload = () => {
+            img.style.display = 'block';
+            draw();
+            if (typeof window.cycl3dSendHeight === 'function') {
+                requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
+            }
+        };
+        img.onerror = () => {
+            // If the help screenshot is missing just leave the canvas blank.
+            isHelpImage       = false;
+            img.style.display = 'none';
+            console.warn('Help screenshot not found:', HELP_URL);
+        };
+        img.src = HELP_URL;
+    }
+
+    // Demo: loads the built-in sample image. Existing markers are kept so users
+    // can immediately see what positioned markers look like.
+    document.getElementById('demoBtn').addEventListener('click', () => loadDemoImage(DEMO_URL, false));
+
+    /**
+     * clearFit()
+     *
+     * Removes all joint markers, hides the image, and wipes the title, notes
+     * and inseam. Sessions in the saved-session library are left untouched.
+     */
+    function clearFit() {
+        points                = [];
+        activeJoint           = null;
+        pendingFit            = null;
+        resultsArea.innerHTML = '';
+        resetSimulation();
+        setCalibration(null);
+        setLevel(null);
+        setFacingSetting(null);
+        closeVideo();
+        comparison            = null;
+        hiddenMetrics         = [];
+        demoLoading           = false;
+        img.onload            = null;  // Cancel any pending image load callbacks
+        img.onerror           = null;
+        img.src               = '';
+        img.style.display     = 'none';
+
+        // Reset the file input field so the same file can be re-uploaded if needed.
+        const uploadInput = document.getElementById('upload');
+        if (uploadInput) uploadInput.value = '';
+
+        // Clear the session title and notes fields.
+        const fitTitle = document.getElementById('fitTitle');
+        const fitNotes = document.getElementById('fitNotes');
+        if (fitTitle) fitTitle.value = '';
+        if (fitNotes) fitNotes.value = '';
+        riderInseam.value = '';
+        riderTorso.value  = '';
+        riderArm.value    = '';
+
+        draw();
+
+        // Restore the help placeholder so the canvas is never left blank.
+        loadHelpImage();
+    }
+
+    // Clear is one undo step: the step keeps everything needed to bring the
+    // photo and fit back.
+    document.getElementById('clearBtn').addEventListener('click', () => {
+        if (!hasFitPhoto()) {
+            clearFit();
+            return;
+        }
+        const before = historyState();
+        const fit    = {
+            style:       fitTypeSelect.value,
+            customProfile: currentCustomProfile(),
+            bikeType:    bikeTypeSelect.value,
+            facing:      facingSetting(),
+            view:        fitView(),
+            theory:      fitTheory(),
+            title:       document.getElementById('fitTitle').value,
+            notes:       document.getElementById('fitNotes').value,
+            photo:       img.src,
+            points:      before.points,
+            calibration: currentCalibration(),
+            inseamMm:    riderInseamMm() || null,
+            torsoMm:     riderTorsoMm() || null,
+            armMm:       riderArmMm() || null,
+            level:       currentLevel(),
+            hiddenMetrics: before.hiddenMetrics,
+            comparison
+        };
+        clearFit();
+        pushStep({ label: 'Clear', before: settled || before, after: historyState(), fit });
+    });
+
+    // Redraw the canvas whenever the bike type changes (new angle ranges apply).
+    // The riding style listener lives with the custom range profiles below.
+    bikeTypeSelect.addEventListener('change', () => {
+        recordChange('Change bike type');
+        draw();
+    });
+
+    // Help modal: toggle the instruction panel open or closed.
+    document.getElementById('helpBtn').addEventListener('click', () =>
+        document.getElementById('help-modal').style.display = 'block'
+    );
+    document.getElementById('closeModal').addEventListener('click', () =>
+        document.getElementById('help-modal').style.display = 'none'
+    );
+    document.getElementById('closeHelpBtn').addEventListener('click', () =>
+        document.getElementById('help-modal').style.display = 'none'
+    );
+
+    // ============================================================
+    // CUSTOM RANGE PROFILES
+    // ============================================================
+
+    // Choosing "Custom" in the riding style dropdown measures against the
+    // fitter's own [min, max] per joint instead of the built-in tables – e.g.
+    // to copy the fit of an old bike onto a new one. Profiles are tiny, so
+    // they live in localStorage:
+    //   cycl3d-range-profiles → [{ id, name, ranges: { Knee: [min, max], … } }]
+    //   cycl3d-active-profile → id of the profile "Custom" currently means
+    // Sessions, fit codes and fit files saved with the Custom style carry a copy
+    // of their profile, so they analyse identically on another device.
+    const CUSTOM_STYLE         = 'Custom';
+    const PROFILE_INDEX_KEY    = 'cycl3d-range-profiles';
+    const PROFILE_ACTIVE_KEY   = 'cycl3d-active-profile';
+    const PROFILE_FILE_FORMAT  = 'cycl3d-range-profiles';
+    const PROFILE_FILE_VERSION = 1;
+    const PROFILE_MAX_NAME     = 60;
+    const PROFILE_BACKFILL     = ['HeelAnkle', 'Foot', 'Cleat', 'Hip', 'KOPS']; // Range keys added after profiles shipped
+
+    const profileModal     = document.getElementById('profile-modal');
+    const profileSelect    = document.getElementById('profileSelect');
+    const profileNameInput = document.getElementById('profileName');
+    const profileSeed      = document.getElementById('profileSeed');
+    const profileRows      = document.getElementById('profileRows');
+    const profileStatus    = document.getElementById('profileStatus');
+    const profileFileInput = document.getElementById('profileFileInput');
+    const editProfileBtn   = document.getElementById('editProfileBtn');
+
+    /**
+     * normalizeProfile(raw)
+     *
+     * Checks an untrusted { name, ranges } object (from storage, a fit code, a
+     * fit file or a profile export) and returns a clean copy, or null when the
+     * name is missing or the ranges fail validateRanges().
+     *
+     * @param {Object} raw
+     * @returns {{ name: string, ranges: Object }|null}
+     */
+    function normalizeProfile(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string') return null;
+        const name = raw.name.trim();
+        if (!name || name.length > PROFILE_MAX_NAME) return null;
+        if (!raw.ranges || typeof raw.ranges !== 'object') return null;
+
+        // Profiles made before the Heel and Cleat markers stop at Elbow, and
+        // those made before the hip angle and KOPS at Cleat; give them the
+        // built-in Road · Balanced ranges for the metrics they lack.
+        const ranges = {};
+        RANGE_JOINTS.forEach(joint => {
+            const r = raw.ranges[joint] || (PROFILE_BACKFILL.includes(joint) ? IDEAL_RANGES[joint].Road.Balanced : null);
+            ranges[joint] = Array.isArray(r) ? [r[0], r[1]] : r;
+        });
+        return validateRanges(ranges).length ? null : { name, ranges };
+    }
+
+    function readProfiles() {
+        try {
+            const list = JSON.parse(localStorage.getItem(PROFILE_INDEX_KEY) || '[]');
+            if (!Array.isArray(list)) return [];
+            return list.map(raw => {
+                const profile = normalizeProfile(raw);
+                return profile && typeof raw.id === 'string' ? Object.assign({ id: raw.id }, profile) : null;
+            }).filter(Boolean);
+        } catch (err) {
+            console.warn('Custom range profiles could not be read:', err);
+            return [];
+        }
+    }
+
+    // Throws (e.g. QuotaExceededError); callers decide whether that matters.
+    function writeProfiles() {
+        localStorage.setItem(PROFILE_INDEX_KEY, JSON.stringify(profiles));
+    }
+
+    let profiles      = readProfiles();
+    let activeProfile = null;       // The profile "Custom" means right now
+    let lastStdStyle  = 'Balanced'; // Built-in style to fall back to when Custom is abandoned
+
+    try {
+        const activeId = localStorage.getItem(PROFILE_ACTIVE_KEY);
+        activeProfile  = profiles.find(p => p.id === activeId) || profiles[0] || null;
+    } catch (err) {
+        activeProfile = profiles[0] || null;
+    }
+
+    function setActiveProfile(profile) {
+        activeProfile = profile;
+        try {
+            if (profile) localStorage.setItem(PROFILE_ACTIVE_KEY, profile.id);
+        } catch (err) {
+            console.warn('Active range profile could not be remembered:', err);
+        }
+    }
+
+    // Copy of one built-in range table, e.g. seedRanges('Gravel', 'Balanced').
+    function seedRanges(bikeType, style) {
+        const ranges = {};
+        RANGE_JOINTS.forEach(joint => { ranges[joint] = IDEAL_RANGES[joint][bikeType][style].slice(); });
+        return ranges;
+    }
+
+    function sameRanges(a, b) {
+        return RANGE_JOINTS.every(joint => a[joint][0] === b[joint][0] && a[joint][1] === b[joint][1]);
+    }
+
+    /**
+     * adoptProfile(profile)
+     *
+     * Makes a profile that arrived with a fit (or a profile export) available in
+     * this browser. An identical saved profile is reused; a different one with
+     * the same name is added as "Name (imported)" so nothing is overwritten.
+     * Storage failures are logged only – the profile still works this session.
+     *
+     * @param {{ name: string, ranges: Object }} profile – Already normalized
+     * @returns {Object} The saved profile record
+     */
+    function adoptProfile(profile) {
+        const same = profiles.find(p => p.name === profile.name && sameRanges(p.ranges, profile.ranges)) ||
+                     profiles.find(p => sameRanges(p.ranges, profile.ranges) && p.name.startsWith(`${profile.name} (imported`));
+        if (same) return same;
+
+        let name = profile.name;
+        if (profiles.some(p => p.name === name)) {
+            name = `${profile.name} (imported)`;
+            for (let n = 2; profiles.some(p => p.name === name); n++) name = `${profile.name} (imported ${n})`;
+        }
+
+        const record = { id: newSessionId(), name, ranges: profile.ranges };
+        profiles.push(record);
+        try {
+            writeProfiles();
+        } catch (err) {
+            console.warn('Custom range profile could not be saved:', err);
+        }
+        return record;
+    }
+
+    // The active profile as embedded in sessions, fit codes and fit files
+    // (undefined when a built-in riding style is selected).
+    function currentCustomProfile() {
+        if (fitTypeSelect.value !== CUSTOM_STYLE || !activeProfile) return undefined;
+        return normalizeProfile(activeProfile);
+    }
+
+    // The custom range table analyzeFit() should use, or null for built-in ranges.
+    function customRanges() {
+        if (fitTypeSelect.value !== CUSTOM_STYLE) return null;
+        return activeProfile ? activeProfile.ranges : seedRanges(bikeTypeSelect.value, lastStdStyle);
+    }
+
+    // "Balanced", or "Custom (Old road bike)" for a custom profile.
+    function styleLabel(style, profile) {
+        return style === CUSTOM_STYLE && profile ? `Custom (${profile.name})` : style;
+    }
+
+    function isKnownStyle(style) {
+        return RIDING_STYLES.includes(style) || style === CUSTOM_STYLE;
+    }
+
+    /**
+     * setRidingStyle(style, customProfile)
+     *
+     * Selects a riding style when a fit is restored or imported. The Custom
+     * style brings its profile along, which is adopted and made active.
+     *
+     * @param {string} style
+     * @param {Object} [customProfile] – Normalized profile; required for Custom
+     */
+    function setRidingStyle(style, customProfile) {
+        if (style === CUSTOM_STYLE && customProfile) {
+            setActiveProfile(adoptProfile(customProfile));
+        } else if (style === CUSTOM_STYLE) {
+            style = lastStdStyle; // Cannot happen for validated input; never show Custom without ranges
+        } else {
+            lastStdStyle = style;
+        }
+        fitTypeSelect.value = style;
+        updateProfileControls();
+    }
+
+    function updateProfileControls() {
+        editProfileBtn.hidden = fitTypeSelect.value !== CUSTOM_STYLE;
+    }
+
+    function setProfileStatus(message, isError) {
+        profileStatus.textContent = message;
+        profileStatus.classList.toggle('is-error', !!isError);
+        profileStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    // ── Editor ────────────────────────────────────────────────────────────────
+
+    // One row of min/max inputs per joint, built once.
+    RANGE_JOINTS.forEach(joint => {
+        const [lo, hi] = RANGE_LIMITS[joint];
+        const label    = METRIC_LABELS[joint] || joint;
+        const unit     = METRIC_UNITS[joint] || '°';
+        const tr = document.createElement('tr');
+        const th = document.createElement('td');
+        th.textContent = label;
+        tr.appendChild(th);
+        ['min', 'max'].forEach(end => {
+            const td    = document.createElement('td');
+            const input = document.createElement('input');
+            input.type          = 'number';
+            input.min           = lo;
+            input.max           = hi;
+            input.step          = '0.5';
+            input.dataset.joint = joint;
+            input.dataset.end   = end;
+            input.setAttribute('aria-label', `${label} ${end}imum (${unit})`);
+            td.appendChild(input);
+            tr.appendChild(td);
+        });
+        const limits = document.createElement('td');
+        limits.textContent = `${lo} to ${hi}${unit}`;
+        tr.appendChild(limits);
+        profileRows.appendChild(tr);
+    });
+
+    // Seed choices: every bike type × riding style in the built-in tables.
+    BIKE_TYPES.forEach(bike => RIDING_STYLES.forEach(style => {
+        const opt = document.createElement('option');
+        opt.value       = `${bike}|${style}`;
+        opt.textContent = `${BIKE_TYPE_LABELS[bike]} · ${style}`;
+        profileSeed.appendChild(opt);
+    }));
+
+    function fillRangeInputs(ranges) {
+        profileRows.querySelectorAll('input').forEach(input => {
+            input.value = ranges[input.dataset.joint][input.dataset.end === 'min' ? 0 : 1];
+        });
+    }
+
+    // parseFloat('') is NaN, so an emptied box fails validation instead of reading as 0.
+    function readRangeInputs() {
+        const ranges = {};
+        RANGE_JOINTS.forEach(joint => { ranges[joint] = [NaN, NaN]; });
+        profileRows.querySelectorAll('input').forEach(input => {
+            ranges[input.dataset.joint][input.dataset.end === 'min' ? 0 : 1] = parseFloat(input.value);
+        });
+        return ranges;
+    }
+
+    function renderProfileSelect(selectedId) {
+        profileSelect.textContent = '';
+        const fresh = document.createElement('option');
+        fresh.value       = '';
+        fresh.textContent = 'New profile…';
+        profileSelect.appendChild(fresh);
+        profiles.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value       = p.id;
+            opt.textContent = p.name;
+            profileSelect.appendChild(opt);
+        });
+        profileSelect.value = selectedId || '';
+    }
+
+    // Loads a saved profile into the editor, or a blank one seeded from the picker.
+    function showProfileInEditor(id) {
+        const profile = profiles.find(p => p.id === id);
+        renderProfileSelect(profile ? profile.id : '');
+        profileNameInput.value = profile ? profile.name : '';
+        if (profile) {
+            fillRangeInputs(profile.ranges);
+        } else {
+            const [bike, style] = profileSeed.value.split('|');
+            fillRangeInputs(seedRanges(bike, style));
+        }
+    }
+
+    function openProfileEditor() {
+        profileSeed.value = `${bikeTypeSelect.value}|${lastStdStyle}`;
+        setProfileStatus('', false);
+        showProfileInEditor(activeProfile && activeProfile.id);
+        profileModal.style.display = 'block';
+    }
+
+    // Closing without any profile leaves nothing for Custom to mean, so fall back.
+    function closeProfileEditor() {
+        profileModal.style.display = 'none';
+        if (fitTypeSelect.value === CUSTOM_STYLE && !activeProfile) {
+            fitTypeSelect.value = lastStdStyle;
+            updateProfileControls();
+        }
+        draw();
+    }
+
+    /**
+     * saveProfileFromEditor()
+     *
+     * Validates the editor, saves the profile (updating the one selected, or
+     * adding a new one), makes it active with the Custom style and closes.
+     */
+    function saveProfileFromEditor() {
+        const name   = profileNameInput.value.trim();
+        const ranges = readRangeInputs();
+        const errors = validateRanges(ranges);
+        if (!name) errors.unshift('Give the profile a name.');
+        if (errors.length) {
+            setProfileStatus(errors.join(' '), true);
+            return;
+        }
+
+        const editing = profiles.find(p => p.id === profileSelect.value);
+        const clash   = profiles.find(p => p.name === name && p !== editing);
+        if (clash && !confirm(`Overwrite the profile "${name}"?`)) return;
+
+        const before = profiles;
+        let record;
+        if (clash) {
+            record   = Object.assign(clash, { ranges });
+            profiles = profiles.filter(p => p !== editing);
+        } else if (editing) {
+            record = Object.assign(editing, { name, ranges });
+        } else {
+            record   = { id: newSessionId(), name, ranges };
+            profiles = profiles.concat(record);
+        }
+
+        try {
+            writeProfiles();
+        } catch (err) {
+            profiles = before;
+            console.error('Custom range profile save failed:', err);
+            setProfileStatus(isQuotaError(err)
+                ? 'Not enough browser storage to save this profile.'
+                : 'Could not save the profile. Your browser may be blocking local storage.', true);
+            return;
+        }
+
+        setActiveProfile(record);
+        fitTypeSelect.value = CUSTOM_STYLE;
+        updateProfileControls();
+        closeProfileEditor();
+    }
+
+    function deleteProfileFromEditor() {
+        const profile = profiles.find(p => p.id === profileSelect.value);
+        if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+
+        profiles = profiles.filter(p => p !== profile);
+        try {
+            writeProfiles();
+        } catch (err) {
+            console.warn('Custom range profiles could not be saved:', err);
+        }
+        if (activeProfile === profile) setActiveProfile(profiles[0] || null);
+        showProfileInEditor(activeProfile && activeProfile.id);
+        setProfileStatus(`Deleted "${profile.name}".`, false);
+    }
+
+    function exportProfiles() {
+        if (!profiles.length) {
+            setProfileStatus('There are no saved profiles to export yet.', true);
+            return;
+        }
+        const doc = {
+            format:   PROFILE_FILE_FORMAT,
+            version:  PROFILE_FILE_VERSION,
+            savedAt:  new Date().toISOString(),
+            profiles: profiles.map(p => ({ name: p.name, ranges: p.ranges }))
+        };
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const url  = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href     = url;
+        link.download = 'Cycl3D_Range_Profiles.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * importProfiles(file)
+     *
+     * Adds every valid profile from a profile export to this browser. Invalid
+     * entries are skipped and counted rather than failing the whole file.
+     *
+     * @param {File} file
+     */
+    async function importProfiles(file) {
+        let doc;
+        try {
+            doc = JSON.parse(await file.text());
+        } catch (err) {
+            setProfileStatus('That file is not valid JSON.', true);
+            return;
+        }
+        if (!doc || doc.format !== PROFILE_FILE_FORMAT || !Array.isArray(doc.profiles)) {
+            setProfileStatus('That file is not a Cycl3D range profile export.', true);
+            return;
+        }
+        if (doc.version > PROFILE_FILE_VERSION) {
+            setProfileStatus('That file was made by a newer version of the app.', true);
+            return;
+        }
+
+        const valid   = doc.profiles.map(normalizeProfile).filter(Boolean);
+        const skipped = doc.profiles.length - valid.length;
+        const added   = valid.map(adoptProfile);
+        showProfileInEditor(added.length ? added[added.length - 1].id : profileSelect.value);
+        setProfileStatus(`Imported ${added.length} profile${added.length === 1 ? '' : 's'}` +
+                         (skipped ? ` – skipped ${skipped} with invalid ranges.` : '.'), !added.length);
+    }
+
+    fitTypeSelect.addEventListener('change', () => {
+        if (fitTypeSelect.value === CUSTOM_STYLE) {
+            openProfileEditor();
+        } else {
+            lastStdStyle = fitTypeSelect.value;
+        }
+        updateProfileControls();
+        recordChange('Change riding style');
+        draw();
+    });
+
+    editProfileBtn.addEventListener('click', openProfileEditor);
+    profileSelect.addEventListener('change', () => {
+        setProfileStatus('', false);
+        showProfileInEditor(profileSelect.value);
+    });
+    document.getElementById('profileSeedBtn').addEventListener('click', () => {
+        const [bike, style] = profileSeed.value.split('|');
+        fillRangeInputs(seedRanges(bike, style));
+        setProfileStatus('', false);
+    });
+    document.getElementById('useProfileBtn').addEventListener('click', saveProfileFromEditor);
+    document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfileFromEditor);
+    document.getElementById('exportProfilesBtn').addEventListener('click', exportProfiles);
+    document.getElementById('importProfilesBtn').addEventListener('click', () => profileFileInput.click());
+    document.getElementById('closeProfileModal').addEventListener('click', closeProfileEditor);
+    profileFileInput.addEventListener('change', () => {
+        const file = profileFileInput.files[0];
+        profileFileInput.value = ''; // Allow the same file to be picked again
+        if (file) importProfiles(file);
+    });
+
+    // ============================================================
+    // SESSION LIBRARY (named save / restore)
+    // ============================================================
+
+    // Session details (markers, riding style, title, notes) are small and are
+    // kept as one JSON list in localStorage. Photos are base64 data URLs that
+    // easily run to several MB – more than the whole localStorage quota – so
+    // each photo is stored in IndexedDB under the same id as its session.
+    const SESSION_INDEX_KEY = 'cycl3d-sessions';
+    const SESSION_DB_NAME   = 'cycl3d';
+    const SESSION_DB_STORE  = 'photos';
+
+    const sessionNameInput = document.getElementById('sessionName');
+    const sessionList      = document.getElementById('sessionList');
+    const sessionEmpty     = document.getElementById('sessionEmpty');
+
+    let sessionDB = null; // Cached promise for the IndexedDB connection
+
+    /**
+     * openSessionDB()
+     *
+     * Opens (and on first use creates) the IndexedDB database that holds the
+     * session photos. The connection promise is cached; a failed open is not,
+     * so the next save or restore can try again.
+     *
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openSessionDB() {
+        if (!sessionDB) {
+            sessionDB = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const req = indexedDB.open(SESSION_DB_NAME, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(SESSION_DB_STORE);
+                req.onsuccess       = () => resolve(req.result);
+                req.onerror         = () => reject(req.error);
+            });
+            sessionDB.catch(() => { sessionDB = null; });
+        }
+        return sessionDB;
+    }
+
+    /**
+     * photoStore(mode, action)
+     *
+     * Runs a single request against the photo object store and resolves with
+     * its result once the transaction has committed. Quota failures surface as
+     * a transaction abort, so both error paths reject with the transaction error.
+     *
+     * @param {'readonly'|'readwrite'} mode
+     * @param {function(IDBObjectStore): IDBRequest} action
+     * @returns {Promise<*>}
+     */
+    function photoStore(mode, action) {
+        return openSessionDB().then(db => new Promise((resolve, reject) => {
+            const tx  = db.transaction(SESSION_DB_STORE, mode);
+            const req = action(tx.objectStore(SESSION_DB_STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror    = () => reject(tx.error || req.error);
+            tx.onabort    = () => reject(tx.error || req.error);
+        }));
+    }
+
+    /**
+     * readSessionIndex()
+     *
+     * Returns the saved session records, newest first. A missing or corrupted
+     * index (or storage blocked by the browser) yields an empty list.
+     *
+     * @returns {Array<Object>}
+     */
+    function readSessionIndex() {
+        try {
+            const list = JSON.parse(localStorage.getItem(SESSION_INDEX_KEY) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (err) {
+            console.warn('Saved session list could not be read:', err);
+            return [];
+        }
+    }
+
+    // Throws (e.g. QuotaExceededError) so callers can roll back the photo write.
+    function writeSessionIndex(list) {
+        localStorage.setItem(SESSION_INDEX_KEY, JSON.stringify(list));
+    }
+
+    // Browsers disagree on how a full storage quota is reported.
+    function isQuotaError(err) {
+        return !!err && (err.name === 'QuotaExceededError' ||
+                         err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+                         err.code === 22);
+    }
+
+    function reportStorageError(err, action) {
+        console.error(`Session ${action} failed:`, err);
+        if (isQuotaError(err)) {
+            alert('Not enough browser storage to save this session. Delete some older saved sessions and try again.');
+        } else {
+            alert(`Could not ${action} the session. Your browser may be blocking local storage (e.g. private browsing).`);
+        }
+    }
+
+    function newSessionId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * getPhotoDataURL()
+     *
+     * Returns the current photo as a data URL. Uploads already are one; the
+     * demo image is a file URL, so it is re-encoded through a canvas to keep
+     * every saved session self-contained.
+     *
+     * @returns {string}
+     */
+    function getPhotoDataURL() {
+        if (img.src.startsWith('data:')) return img.src;
+        const c  = document.createElement('canvas');
+        c.width  = img.naturalWidth;
+        c.height = img.naturalHeight;
+        c.getContext('2d').drawImage(img, 0, 0);
+        return c.toDataURL('image/jpeg', 0.92);
+    }
+
+    /**
+     * saveSession()
+     *
+     * Saves the current photo, markers, riding style, title and notes under the
+     * name typed in the session name field (falling back to the session title,
+     * then a timestamp). Saving under an existing name overwrites that session
+     * after confirmation.
+     */
+    async function saveSession() {
+        if (!img.src || img.style.display === 'none' || !img.naturalWidth || isHelpImage) {
+            alert('Please upload a photo before saving a session.');
+            return;
+        }
+
+        const titleVal = document.getElementById('fitTitle').value.trim();
+        const name     = sessionNameInput.value.trim() || titleVal || `Session ${new Date().toLocaleString()}`;
+        const list     = readSessionIndex();
+        const existing = list.find(s => s.name === name);
+        if (existing && !confirm(`Overwrite the saved session "${name}"?`)) return;
+
+        const record = {
+            id:         existing ? existing.id : newSessionId(),
+            name,
+            savedAt:    new Date().toISOString(),
+            fitType:    fitTypeSelect.value,
+            customProfile: currentCustomProfile(),
+            bikeType:   bikeTypeSelect.value,
+            facing:     facingSetting(),
+            view:       fitView(),
+            theory:     fitTheory(),
+            title:      titleVal,
+            notes:      document.getElementById('fitNotes').value,
+            points:     copyMarkers(points),
+            calibration: currentCalibration(),
+            inseamMm:   riderInseamMm() || null,
+            torsoMm:    riderTorsoMm() || null,
+            armMm:      riderArmMm() || null,
+            level:      currentLevel(),
+            hiddenMetrics: hiddenMetrics.slice(),
+            // The pixel space the markers are expressed in (natural-image size).
+            pointSpace: { width: img.naturalWidth, height: img.naturalHeight }
+        };
+
+        try {
+            const photo = getPhotoDataURL();
+            await photoStore('readwrite', store => store.put(photo, record.id));
+        } catch (err) {
+            reportStorageError(err, 'save');
+            return;
+        }
+
+        try {
+            writeSessionIndex(existing
+                ? list.map(s => (s.id === record.id ? record : s))
+                : [record].concat(list));
+        } catch (err) {
+            // Don't leave an orphaned photo behind for a session that was never listed.
+            if (!existing) photoStore('readwrite', store => store.delete(record.id)).catch(() => {});
+            reportStorageError(err, 'save');
+            return;
+        }
+
+        sessionNameInput.value = name;
+        renderSessionList();
+    }
+
+    /**
+     * openSession(id)
+     *
+     * Restores a saved session: riding style, title and notes immediately, then
+     * the photo through showPhoto(), rescaling the saved markers into the photo's
+     * natural-image pixels. Sessions saved before markers were stored in natural
+     * pixels recorded their display size in `pointSpace`, so they rescale too.
+     *
+     * @param {string} id
+     */
+    async function openSession(id) {
+        const record = readSessionIndex().find(s => s.id === id);
+        if (!record) return;
+
+        let photo;
+        try {
+            photo = await photoStore('readonly', store => store.get(id));
+        } catch (err) {
+            reportStorageError(err, 'open');
+            return;
+        }
+        if (!photo) {
+            alert('The photo for this session is missing from browser storage.');
+            return;
+        }
+
+        sessionNameInput.value = record.name;
+        restoreFit({
+            style:      record.fitType,
+            customProfile: record.fitType === CUSTOM_STYLE ? normalizeProfile(record.customProfile) : undefined,
+            bikeType:   record.bikeType,
+            facing:     record.facing,
+            view:       record.view,
+            theory:     record.theory,
+            title:      record.title,
+            notes:      record.notes,
+            photo,
+            points:     record.points,
+            calibration: record.calibration,
+            inseamMm:   record.inseamMm,
+            torsoMm:    record.torsoMm,
+            armMm:      record.armMm,
+            level:      record.level,
+            hiddenMetrics: record.hiddenMetrics,
+            pointSpace: record.pointSpace
+        });
+    }
+
+    /**
+     * restoreFit(fit)
+     *
+     * Shared restore path for saved sessions and fit files: applies the riding
+     * style, title and notes, then loads the photo through showPhoto() and
+     * rescales the markers from the pixel space they were saved in into the
+     * photo's natural-image pixels.
+     *
+     * @param {Object} fit
+     * @param {string} fit.style        – Riding style
+     * @param {Object} [fit.customProfile] – { name, ranges } when style is Custom
+     * @param {string} [fit.bikeType]   – Bike type; fits saved before the bike
+     *                                    type existed were all Road
+     * @param {string} [fit.facing]     – 'right' / 'left' when set by hand; absent = Auto
+     * @param {string} fit.title
+     * @param {string} fit.notes
+     * @param {string} fit.photo        – Photo data URL
+     * @param {string} [fit.view]       – 'side' / 'front'; fits saved before the front view are side views
+     * @param {string} [fit.theory]     – 'angles' / 'rad' / 'aero'; fits saved before reach & drop use angles
+     * @param {Array<{x: number, y: number}|null>} fit.points – Markers in that view's order, null where not placed
+     * @param {Object} [fit.calibration] – Scale line { a, b, mm } in the same pixel space
+     * @param {number} [fit.inseamMm]   – Rider inseam for millimetre estimates
+     * @param {number} [fit.torsoMm]    – Rider torso length for reach & drop targets
+     * @param {number} [fit.armMm]      – Rider arm length for reach & drop targets
+     * @param {Object} [fit.level]      – Level line { a, b } in the same pixel space, or { tilt }
+     * @param {string[]} [fit.hiddenMetrics] – Metric keys switched off in the results table
+     * @param {{width: number, height: number}} [fit.pointSpace] – Size the markers
+     *        are expressed in; defaults to the photo's natural size
+     * @param {boolean} [keepHistory] – Keep the undo history (undoing Clear)
+     */
+    function restoreFit(fit, keepHistory) {
+        setRidingStyle(fit.style || 'Balanced', fit.customProfile);
+        bikeTypeSelect.value = fit.bikeType || 'Road';
+        setFitView(fit.view);
+        setFitTheory(fit.theory);
+        document.getElementById('fitTitle').value = fit.title || '';
+        document.getElementById('fitNotes').value = fit.notes || '';
+        riderInseam.value = fit.inseamMm || '';
+        riderTorso.value  = fit.torsoMm || '';
+        riderArm.value    = fit.armMm || '';
+        hiddenMetrics     = metricKeyList(fit.hiddenMetrics);
+
+        const uploadInput = document.getElementById('upload');
+        if (uploadInput) uploadInput.value = '';
+
+        points        = [];
+        draggingPoint = null;
+        ghostPoint    = null;
+        demoLoading   = false;
+        pendingFit    = null; // An explicit restore wins over a waiting fit code
+
+        showPhoto(fit.photo, () => {
+            const space = fit.pointSpace || { width: img.naturalWidth, height: img.naturalHeight };
+            const sx    = img.naturalWidth  / space.width;
+            const sy    = img.naturalHeight / space.height;
+            points = copyMarkers(fit.points, sx, sy);
+            setFacingSetting(fit.facing);
+            const c = fit.calibration;
+            if (isValidCalibration(c, space.width, space.height)) {
+                setCalibration({ a: { x: c.a.x * sx, y: c.a.y * sy }, b: { x: c.b.x * sx, y: c.b.y * sy }, mm: c.mm });
+            }
+            const l = fit.level;
+            if (isValidLevel(l, space.width, space.height)) {
+                setLevel(l.a ? { a: { x: l.a.x * sx, y: l.a.y * sy }, b: { x: l.b.x * sx, y: l.b.y * sy } } : { tilt: l.tilt });
+            }
+        }, keepHistory);
+    }
+
+    function renameSession(id) {
+        const list   = readSessionIndex();
+        const record = list.find(s => s.id === id);
+        if (!record) return;
+
+        const input = prompt('Rename session:', record.name);
+        if (input === null) return; // Cancelled
+        const name = input.trim();
+        if (!name || name === record.name) return;
+        if (list.some(s => s.name === name)) {
+            alert(`A session named "${name}" already exists.`);
+            return;
+        }
+
+        record.name = name;
+        try {
+            writeSessionIndex(list);
+        } catch (err) {
+            reportStorageError(err, 'rename');
+            return;
+        }
+        renderSessionList();
+    }
+
+    async function duplicateSession(id) {
+        const list   = readSessionIndex();
+        const record = list.find(s => s.id === id);
+        if (!record) return;
+
+        // Pick the first free "(copy)", "(copy 2)", … name.
+        let name = `${record.name} (copy)`;
+        for (let n = 2; list.some(s => s.name === name); n++) name = `${record.name} (copy ${n})`;
+
+        const copy = Object.assign({}, record, { id: newSessionId(), name, savedAt: new Date().toISOString() });
+        try {
+            const photo = await photoStore('readonly', store => store.get(id));
+            await photoStore('readwrite', store => store.put(photo, copy.id));
+            writeSessionIndex([copy].concat(list));
+        } catch (err) {
+            photoStore('readwrite', store => store.delete(copy.id)).catch(() => {});
+            reportStorageError(err, 'duplicate');
+            return;
+        }
+        renderSessionList();
+    }
+
+    async function deleteSession(id) {
+        const list   = readSessionIndex();
+        const record = list.find(s => s.id === id);
+        if (!record || !confirm(`Delete the saved session "${record.name}"? This cannot be undone.`)) return;
+
+        try {
+            writeSessionIndex(list.filter(s => s.id !== id));
+            await photoStore('readwrite', store => store.delete(id));
+        } catch (err) {
+            reportStorageError(err, 'delete');
+        }
+        renderSessionList();
+    }
+
+    /**
+     * renderSessionList()
+     *
+     * Rebuilds the saved-session list. Session names are user text, so rows are
+     * built with textContent rather than innerHTML.
+     */
+    function renderSessionList() {
+        const list = readSessionIndex();
+        sessionList.textContent = '';
+        sessionEmpty.style.display = list.length ? 'none' : 'block';
+
+        list.forEach(record => {
+            const li   = document.createElement('li');
+            const meta = document.createElement('div');
+            meta.className = 'session-meta';
+
+            const nameEl = document.createElement('strong');
+            nameEl.textContent = record.name;
+            const info = document.createElement('small');
+            const markerCount = (record.points || []).filter(Boolean).length;
+            info.textContent = `${new Date(record.savedAt).toLocaleString()} · ${BIKE_TYPE_LABELS[record.bikeType || 'Road']} · ${styleLabel(record.fitType, record.customProfile)} · ${markerCount} marker${markerCount === 1 ? '' : 's'}`;
+            meta.append(nameEl, info);
+            li.appendChild(meta);
+
+            [['open', 'Open'], ['compare', 'Compare'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']].forEach(([action, label]) => {
+                const btn = document.createElement('button');
+                btn.type           = 'button';
+                btn.textContent    = label;
+                btn.dataset.action = action;
+                btn.dataset.id     = record.id;
+                btn.setAttribute('aria-label', `${label} session ${record.name}`);
+                li.appendChild(btn);
+            });
+
+            sessionList.appendChild(li);
+        });
+
+        if (typeof window.cycl3dSendHeight === 'function') {
+            requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
+        }
+    }
+
+    document.getElementById('saveSessionBtn').addEventListener('click', saveSession);
+
+    // One delegated listener handles the buttons on every session row.
+    sessionList.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const id = btn.dataset.id;
+        if (btn.dataset.action === 'open')      openSession(id);
+        if (btn.dataset.action === 'compare')   compareSession(id);
+        if (btn.dataset.action === 'rename')    renameSession(id);
+        if (btn.dataset.action === 'duplicate') duplicateSession(id);
+        if (btn.dataset.action === 'delete')    deleteSession(id);
+    });
+
+    renderSessionList();
+
+    // ============================================================
+    // FIT CODE (shareable text code / #fit= link)
+    // ============================================================
+
+    // A fit code is "C3D<version>." followed by base64url-encoded JSON:
+    //   { s: ridingStyle, b: bikeType, p: [x0, y0, x1, y1, …], t: title, n: notes,
+    //     r: { n: profileName, v: [min0, max0, min1, max1, …] },    // Custom style only
+    //     c: [ax, ay, bx, by, mm],                                   // Scale calibration, if any
+    //     i: inseamMm,                                                // Rider inseam, if entered
+    //     l: [ax, ay, bx, by] or tiltDegrees,                         // Level line or slider tilt, if any
+    //     f: 'right' | 'left',                                        // Rider facing, if set by hand
+    //     v: 'front',                                                 // Front view; absent = side view
+    //     m: 'rad' | 'aero',                                          // Reach & drop or TT / Tri aero theory; absent = joint angles
+    //     h: ['KOPS', …],                                             // Metrics switched off, if any
+    //     o: torsoMm, a: armMm }                                      // Rider torso / arm, if entered
+    // `b` was added after the first codes were shared; codes without it are Road.
+    // `p` holds the markers of the code's view, in that view's order.
+    // Version 2 added the view (`v`) and fit theory (`m`): a front-view `p` read
+    // by a version-1 app would land on the side-view markers, so such an app
+    // must refuse these codes. Version-1 codes are side-view joint-angle fits.
+    // `r` carries the custom range profile in RANGE_JOINTS order.
+    // Marker coordinates are normalized to the photo (0–FIT_CODE_SCALE on each
+    // axis) so the code works with any copy of the same photo at any resolution.
+    // The photo itself is never part of the code – it stays on this device.
+    const FIT_CODE_VERSION   = 2;
+    const FIT_CODE_SCALE     = 10000; // 0.01% of the photo – far finer than a fingertip
+    const FIT_CODE_MAX_TITLE = 200;
+    const FIT_CODE_MAX_NOTES = 4000;
+
+    const fitCodeInput  = document.getElementById('fitCodeInput');
+    const fitCodeStatus = document.getElementById('fitCodeStatus');
+
+    let pendingFit = null; // Decoded fit waiting for a photo to be loaded
+
+    // base64url helpers – UTF-8 safe so titles and notes can hold any text.
+    function toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary  = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(code) {
+        const b64    = code.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+        return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    }
+
+    /**
+     * encodeFitCode()
+     *
+     * Builds a fit code for the current markers, riding style, title and notes.
+     *
+     * @returns {string}
+     */
+    function encodeFitCode() {
+        // A joint that has not been placed is a null pair.
+        const coords = [];
+        points.forEach(p => {
+            coords.push(
+                p ? Math.round(p.x / img.naturalWidth  * FIT_CODE_SCALE) : null,
+                p ? Math.round(p.y / img.naturalHeight * FIT_CODE_SCALE) : null
+            );
+        });
+        const payload = {
+            s: fitTypeSelect.value,
+            b: bikeTypeSelect.value,
+            p: coords,
+            t: document.getElementById('fitTitle').value.trim().slice(0, FIT_CODE_MAX_TITLE),
+            n: document.getElementById('fitNotes').value.slice(0, FIT_CODE_MAX_NOTES)
+        };
+        if (calibration) {
+            const { a, b, mm } = calibration;
+            payload.c = [
+                Math.round(a.x / img.naturalWidth * FIT_CODE_SCALE), Math.round(a.y / img.naturalHeight * FIT_CODE_SCALE),
+                Math.round(b.x / img.naturalWidth * FIT_CODE_SCALE), Math.round(b.y / img.naturalHeight * FIT_CODE_SCALE),
+                mm
+            ];
+        }
+        if (riderInseamMm()) payload.i = riderInseamMm();
+        if (facingSetting()) payload.f = facingSetting();
+        if (isFrontView()) payload.v = fitView();
+        if (fitTheory() !== 'angles') payload.m = fitTheory();
+        if (hiddenMetrics.length) payload.h = hiddenMetrics.slice();
+        if (riderTorsoMm()) payload.o = riderTorsoMm();
+        if (riderArmMm()) payload.a = riderArmMm();
+        const level = currentLevel();
+        if (level) {
+            payload.l = level.a ? [
+                Math.round(level.a.x / img.naturalWidth * FIT_CODE_SCALE), Math.round(level.a.y / img.naturalHeight * FIT_CODE_SCALE),
+                Math.round(level.b.x / img.naturalWidth * FIT_CODE_SCALE), Math.round(level.b.y / img.naturalHeight * FIT_CODE_SCALE)
+            ] : level.tilt;
+        }
+        const profile = currentCustomProfile();
+        if (profile) {
+            payload.r = { n: profile.name, v: [].concat(...RANGE_JOINTS.map(joint => profile.ranges[joint])) };
+        }
+        return `C3D${FIT_CODE_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+    }
+
+    /**
+     * decodeFitCode(text)
+     *
+     * Parses and validates a fit code. Accepts a bare code or any link that
+     * carries one in a #fit= fragment. Throws an Error with a user-facing
+     * message for anything malformed, unsupported or out of range.
+     *
+     * @param {string} text
+     * @returns {{ style: string, bikeType: string, points: Array<{x: number, y: number}>, title: string, notes: string, customProfile: Object, calibration: Object, inseamMm: number, torsoMm: number, armMm: number, level: Object, facing: string, view: string, theory: string }}
+     *          Marker positions (and calibration ends) are fractions (0–1) of the
+     *          photo width/height; customProfile is only set for the Custom style.
+     */
+    function decodeFitCode(text) {
+        let code = String(text || '').trim();
+        const hashAt = code.indexOf('#fit=');
+        if (hashAt !== -1) code = code.slice(hashAt + 5);
+        if (!code) throw new Error('Paste a fit code first.');
+
+        const match = /^C3D(\d+)\.([A-Za-z0-9_-]+)$/.exec(code);
+        if (!match) throw new Error('That does not look like a Cycl3D fit code.');
+        const version = Number(match[1]);
+        if (version > FIT_CODE_VERSION) {
+            throw new Error('This fit code was made by a newer version of the app. Please use the latest version to open it.');
+        }
+        if (version < 1) throw new Error(`This fit code uses format version ${match[1]}, which this version of the app cannot read.`);
+
+        let payload;
+        try {
+            payload = JSON.parse(fromBase64Url(match[2]));
+        } catch (err) {
+            throw new Error('This fit code is damaged or incomplete – check that it was copied in full.');
+        }
+        if (!payload || typeof payload !== 'object') throw new Error('This fit code is damaged.');
+
+        if (!isKnownStyle(payload.s)) throw new Error('This fit code has an unknown riding style.');
+        const bikeType = payload.b === undefined ? 'Road' : payload.b;
+        if (!BIKE_TYPES.includes(bikeType)) throw new Error('This fit code has an unknown bike type.');
+
+        if (payload.f !== undefined && !FACING_DIRECTIONS.includes(payload.f)) {
+            throw new Error('This fit code has an unknown facing direction.');
+        }
+
+        const view = payload.v === undefined ? 'side' : payload.v;
+        if (!FIT_VIEWS.includes(view)) throw new Error('This fit code has an unknown view.');
+        const theory = payload.m === undefined ? 'angles' : payload.m;
+        if (!FIT_THEORIES.includes(theory)) throw new Error('This fit code has an unknown fit theory.');
+        if (payload.h !== undefined && (!Array.isArray(payload.h) || payload.h.some(k => typeof k !== 'string'))) {
+            throw new Error('This fit code has an invalid list of hidden metrics.');
+        }
+
+        const coords = payload.p;
+        if (!Array.isArray(coords) || coords.length % 2 !== 0 || coords.length > VIEW_MARKERS[view].names.length * 2) {
+            throw new Error('This fit code has an invalid set of markers.');
+        }
+        for (let i = 0; i < coords.length; i += 2) {
+            const pair = [coords[i], coords[i + 1]];
+            if (pair[0] === null && pair[1] === null) continue; // Joint not placed
+            if (!pair.every(v => Number.isInteger(v) && v >= 0 && v <= FIT_CODE_SCALE)) {
+                throw new Error('This fit code has markers outside the photo.');
+            }
+        }
+        if (typeof payload.t !== 'string' || payload.t.length > FIT_CODE_MAX_TITLE ||
+            typeof payload.n !== 'string' || payload.n.length > FIT_CODE_MAX_NOTES) {
+            throw new Error('This fit code has an invalid title or notes.');
+        }
+
+        let customProfile;
+        if (payload.s === CUSTOM_STYLE) {
+            const r = payload.r;
+            const ranges = {};
+            // Codes shared before the foot metrics (or the hip angle and KOPS)
+            // existed carry fewer ranges; normalizeProfile() fills in the rest.
+            const fewest = (RANGE_JOINTS.length - PROFILE_BACKFILL.length) * 2;
+            if (r && Array.isArray(r.v) && r.v.length % 2 === 0 &&
+                r.v.length >= fewest && r.v.length <= RANGE_JOINTS.length * 2) {
+                RANGE_JOINTS.slice(0, r.v.length / 2).forEach((joint, i) => { ranges[joint] = [r.v[i * 2], r.v[i * 2 + 1]]; });
+            }
+            customProfile = normalizeProfile({ name: r && r.n, ranges });
+            if (!customProfile) throw new Error('This fit code has an invalid custom range profile.');
+        }
+
+        let calib;
+        if (payload.c !== undefined) {
+            const c = payload.c;
+            calib = Array.isArray(c) && c.length === 5 && c.slice(0, 4).every(Number.isInteger)
+                ? { a: { x: c[0] / FIT_CODE_SCALE, y: c[1] / FIT_CODE_SCALE }, b: { x: c[2] / FIT_CODE_SCALE, y: c[3] / FIT_CODE_SCALE }, mm: c[4] }
+                : null;
+            if (!isValidCalibration(calib, 1, 1)) throw new Error('This fit code has an invalid scale calibration.');
+        }
+        if (payload.i !== undefined && !isValidInseam(payload.i)) {
+            throw new Error('This fit code has an invalid rider inseam.');
+        }
+        if ((payload.o !== undefined && !isValidTorso(payload.o)) || (payload.a !== undefined && !isValidArm(payload.a))) {
+            throw new Error('This fit code has an invalid rider torso or arm length.');
+        }
+
+        let level;
+        if (payload.l !== undefined) {
+            const l = payload.l;
+            level = Array.isArray(l) && l.length === 4 && l.every(Number.isInteger)
+                ? { a: { x: l[0] / FIT_CODE_SCALE, y: l[1] / FIT_CODE_SCALE }, b: { x: l[2] / FIT_CODE_SCALE, y: l[3] / FIT_CODE_SCALE } }
+                : { tilt: l };
+            if (!isValidLevel(level, 1, 1)) throw new Error('This fit code has an invalid level reference.');
+        }
+
+        const decoded = [];
+        for (let i = 0; i < coords.length; i += 2) {
+            decoded.push(coords[i] === null ? null : { x: coords[i] / FIT_CODE_SCALE, y: coords[i + 1] / FIT_CODE_SCALE });
+        }
+        return {
+            style:    payload.s,
+            bikeType,
+            points:   decoded,
+            title:    payload.t,
+            notes:    payload.n,
+            customProfile,
+            calibration: calib,
+            inseamMm: payload.i,
+            torsoMm:  payload.o,
+            armMm:    payload.a,
+            level,
+            facing:   payload.f,
+            view,
+            theory,
+            hiddenMetrics: payload.h || []
+        };
+    }
+
+    function setFitCodeStatus(message, isError) {
+        fitCodeStatus.textContent = message;
+        fitCodeStatus.classList.toggle('is-error', !!isError);
+        fitCodeStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    // True when a real fit photo (not the help placeholder) is on screen.
+    function hasFitPhoto() {
+        return !!img.src && img.style.display !== 'none' && !!img.naturalWidth && !isHelpImage;
+    }
+
+    /**
+     * applyFit(fit)
+     *
+     * Applies a decoded fit code. Riding style, title and notes apply at once;
+     * the markers need the photo's size, so without a photo they are held in
+     * pendingFit and placed by applyPendingFit() once one loads.
+     *
+     * @param {Object} fit – Result of decodeFitCode()
+     */
+    function applyFit(fit) {
+        setRidingStyle(fit.style, fit.customProfile);
+        bikeTypeSelect.value = fit.bikeType;
+        setFitView(fit.view);
+        setFitTheory(fit.theory);
+        hiddenMetrics = fit.hiddenMetrics.slice();
+        document.getElementById('fitTitle').value = fit.title;
+        document.getElementById('fitNotes').value = fit.notes;
+        riderInseam.value = fit.inseamMm || '';
+        riderTorso.value  = fit.torsoMm || '';
+        riderArm.value    = fit.armMm || '';
+
+        if (!hasFitPhoto()) {
+            pendingFit = fit;
+            setFitCodeStatus('Fit code loaded – upload the matching photo to place the markers.', false);
+            return;
+        }
+
+        pendingFit    = null;
+        draggingPoint = null;
+        ghostPoint    = null;
+        points = copyMarkers(fit.points, img.naturalWidth, img.naturalHeight);
+        setFacingSetting(fit.facing);
+        const c = fit.calibration;
+        setCalibration(c ? {
+            a:  { x: c.a.x * img.naturalWidth, y: c.a.y * img.naturalHeight },
+            b:  { x: c.b.x * img.naturalWidth, y: c.b.y * img.naturalHeight },
+            mm: c.mm
+        } : null);
+        const l = fit.level;
+        setLevel(l && l.a ? {
+            a: { x: l.a.x * img.naturalWidth, y: l.a.y * img.naturalHeight },
+            b: { x: l.b.x * img.naturalWidth, y: l.b.y * img.naturalHeight }
+        } : l || null);
+        resetHistory();
+        draw();
+        const count = placedCount();
+        setFitCodeStatus(`Fit code imported – ${count} marker${count === 1 ? '' : 's'} placed.`, false);
+    }
+
+    // Called whenever a real photo finishes loading.
+    function applyPendingFit() {
+        if (pendingFit) applyFit(pendingFit);
+    }
+
+    function importFitCode(text) {
+        try {
+            applyFit(decodeFitCode(text));
+        } catch (err) {
+            setFitCodeStatus(err.message, true);
+        }
+    }
+
+    /**
+     * copyText(text, what)
+     *
+     * Copies text to the clipboard. The Clipboard API is often blocked inside
+     * iframes, so on failure the text is left selected in the code box for a
+     * manual copy.
+     *
+     * @param {string} text
+     * @param {string} what – Description used in the status message
+     */
+    async function copyText(text, what) {
+        fitCodeInput.value = text;
+        try {
+            await navigator.clipboard.writeText(text);
+            setFitCodeStatus(`${what} copied to the clipboard.`, false);
+        } catch (err) {
+            fitCodeInput.select();
+            setFitCodeStatus(`${what} is selected above – press Ctrl+C (or ⌘C) to copy it.`, false);
+        }
+    }
+
+    document.getElementById('copyCodeBtn').addEventListener('click', () => {
+        if (!hasFitPhoto() || !points.length) {
+            setFitCodeStatus('Place some joint markers on a photo before copying a fit code.', true);
+            return;
+        }
+        copyText(encodeFitCode(), 'Fit code');
+    });
+
+    document.getElementById('copyLinkBtn').addEventListener('click', () => {
+        if (!hasFitPhoto() || !points.length) {
+            setFitCodeStatus('Place some joint markers on a photo before copying a share link.', true);
+            return;
+        }
+        const hash = `#fit=${encodeFitCode()}`;
+        history.replaceState(null, '', hash);
+        copyText(location.href.split('#')[0] + hash, 'Share link');
+    });
+
+    document.getElementById('importCodeBtn').addEventListener('click', () => importFitCode(fitCodeInput.value));
+
+    // Links opened with a #fit= fragment (or a fragment pasted into the address bar).
+    // replaceState() above does not fire hashchange, so copying a link never re-imports.
+    function importFromHash() {
+        if (location.hash.startsWith('#fit=')) importFitCode(location.hash);
+    }
+    window.addEventListener('hashchange', importFromHash);
+    importFromHash();
+
+    // ============================================================
+    // FIT FILE (.cycl3d.json export / import)
+    // ============================================================
+
+    // A fit file is a self-contained JSON document for archiving a fit outside
+    // the browser. Unlike a fit code it embeds the photo, so it is lossless:
+    //   {
+    //     format: 'cycl3d-fit', schemaVersion, appVersion, savedAt,
+    //     title, notes, bikeType, ridingStyle,
+    //     customProfile: { name, ranges },              // ridingStyle 'Custom' only
+    //     photo:   { dataURL, width, height },          // natural image size
+    //     view: 'side' | 'front',                        // analysis view (marker set)
+    //     fitTheory: 'angles' | 'rad' | 'aero',          // joint angles, reach & drop or TT / Tri aero
+    //     markers: { Toe: { x, y }, Ankle: { x, y }, … }, // natural-image pixels, named for the view
+    //     calibration: { a: { x, y }, b: { x, y }, mm },  // optional scale line
+    //     riderInseamMm,                                 // optional, for mm estimates and RAD targets
+    //     riderTorsoMm, riderArmMm,                      // optional, for RAD targets
+    //     level: { a: { x, y }, b: { x, y } } or { tilt }, // optional level line or slider tilt
+    //     riderFacing: 'right' | 'left',                 // optional, when set by hand
+    //     hiddenMetrics: ['KOPS', …],                    // optional, metric keys switched off in the results table
+    //     angles:  { Knee: { degrees, idealRange, status }, … } // Cleat, widths, knee tracking: { percent, … };
+    //                                                     // RAD lengths: { mm, … }
+    //   }
+    // `angles` records what the app reported at export time; on import they are
+    // recalculated from the markers, so the file stays correct if ranges change.
+    const FIT_FILE_FORMAT         = 'cycl3d-fit';
+    const FIT_FILE_SCHEMA_VERSION = 12;
+    const FIT_FILE_EXTENSION      = '.cycl3d.json';
+
+    // FIT_FILE_MIGRATIONS[n] upgrades a schema-n document to schema n + 1.
+    // Add an entry whenever the schema changes so older archives keep opening.
+    const FIT_FILE_MIGRATIONS = {
+        // v2 added the bike type axis; every v1 fit was measured against Road ranges.
+        1: doc => Object.assign({}, doc, { schemaVersion: 2, bikeType: 'Road' }),
+        // v3 added the Custom riding style and its customProfile block; v2 files never use it.
+        2: doc => Object.assign({}, doc, { schemaVersion: 3 }),
+        // v4 added the optional Heel and Cleat markers; v3 files simply have none.
+        3: doc => Object.assign({}, doc, { schemaVersion: 4 }),
+        // v5 added the optional scale calibration line.
+        4: doc => Object.assign({}, doc, { schemaVersion: 5 }),
+        // v6 added the optional rider inseam.
+        5: doc => Object.assign({}, doc, { schemaVersion: 6 }),
+        // v7 added the optional level reference (camera tilt correction).
+        6: doc => Object.assign({}, doc, { schemaVersion: 7 }),
+        // v8 added the optional rider facing; v7 files infer it from the markers.
+        7: doc => Object.assign({}, doc, { schemaVersion: 8 }),
+        // v9 added the front view; every earlier fit is a side view.
+        8: doc => Object.assign({}, doc, { schemaVersion: 9, view: 'side' }),
+        // v10 added the reach & drop theory, the rider torso and arm lengths and
+        // the optional Saddle and BB markers; every earlier fit used joint angles.
+        9: doc => Object.assign({}, doc, { schemaVersion: 10, fitTheory: 'angles' }),
+        // v11 added the TT / Tri aero theory and the optional Arm Pad, Ext Tip
+        // and Ear markers; v10 files use neither.
+        10: doc => Object.assign({}, doc, { schemaVersion: 11 }),
+        // v12 added the hip angle, KOPS and knee-extension metrics and the list
+        // of metrics switched off; every v11 fit showed them all.
+        11: doc => Object.assign({}, doc, { schemaVersion: 12 })
+    };
+
+    const fitFileInput = document.getElementById('fitFileInput');
+
+    /**
+     * buildFitFile()
+     *
+     * Assembles the fit-file document for the current photo and markers.
+     *
+     * @returns {Object}
+     */
+    function buildFitFile() {
+        const markers = {};
+        points.forEach((p, i) => { if (p) markers[markerNames()[i]] = { x: p.x, y: p.y }; });
+
+        const angles = {};
+        analyzeCurrentFit().forEach(m => {
+            angles[m.name] = {
+                [m.unit === '%' ? 'percent' : m.unit === ' mm' ? 'mm' : 'degrees']: Number(m.angle.toFixed(2)),
+                idealRange: m.range.slice(),
+                status:     m.status
+            };
+        });
+
+        return {
+            format:        FIT_FILE_FORMAT,
+            schemaVersion: FIT_FILE_SCHEMA_VERSION,
+            appVersion:    APP_VERSION,
+            savedAt:       new Date().toISOString(),
+            title:         document.getElementById('fitTitle').value.trim(),
+            notes:         document.getElementById('fitNotes').value,
+            bikeType:      bikeTypeSelect.value,
+            ridingStyle:   fitTypeSelect.value,
+            customProfile: currentCustomProfile(),
+            photo:         { dataURL: getPhotoDataURL(), width: img.naturalWidth, height: img.naturalHeight },
+            view:          fitView(),
+            fitTheory:     fitTheory(),
+            markers,
+            calibration:   currentCalibration(),
+            riderInseamMm: riderInseamMm() || undefined,
+            riderTorsoMm:  riderTorsoMm() || undefined,
+            riderArmMm:    riderArmMm() || undefined,
+            level:         currentLevel(),
+            riderFacing:   facingSetting(),
+            hiddenMetrics: hiddenMetrics.slice(),
+            angles
+        };
+    }
+
+    /**
+     * migrateFitFile(doc)
+     *
+     * Upgrades an older fit file one schema version at a time. Throws for files
+     * written by a newer app than this one.
+     *
+     * @param {Object} doc
+     * @returns {Object} Document at FIT_FILE_SCHEMA_VERSION
+     */
+    function migrateFitFile(doc) {
+        if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion < 1) {
+            throw new Error('This fit file has no valid schema version.');
+        }
+        if (doc.schemaVersion > FIT_FILE_SCHEMA_VERSION) {
+            throw new Error('This fit file was made by a newer version of the app. Please use the latest version to open it.');
+        }
+        while (doc.schemaVersion < FIT_FILE_SCHEMA_VERSION) {
+            const migrate = FIT_FILE_MIGRATIONS[doc.schemaVersion];
+            if (!migrate) throw new Error(`Fit files from schema version ${doc.schemaVersion} can no longer be opened.`);
+            doc = migrate(doc);
+        }
+        return doc;
+    }
+
+    /**
+     * validateFitFile(doc)
+     *
+     * Checks a (migrated) fit file against the current schema and returns it in
+     * the shape restoreFit() expects. Throws an Error with a user-facing message
+     * describing the first problem found.
+     *
+     * @param {Object} doc
+     * @returns {Object} Argument for restoreFit()
+     */
+    function validateFitFile(doc) {
+        const photo = doc.photo;
+        if (!photo || typeof photo.dataURL !== 'string' || !/^data:image\/[\w.+-]+;base64,/.test(photo.dataURL)) {
+            throw new Error('This fit file does not contain a valid photo.');
+        }
+        if (!(photo.width > 0) || !(photo.height > 0)) {
+            throw new Error('This fit file has an invalid photo size.');
+        }
+
+        if (!isKnownStyle(doc.ridingStyle)) throw new Error('This fit file has an unknown riding style.');
+        const customProfile = doc.ridingStyle === CUSTOM_STYLE ? normalizeProfile(doc.customProfile) : undefined;
+        if (doc.ridingStyle === CUSTOM_STYLE && !customProfile) {
+            throw new Error('This fit file has an invalid custom range profile.');
+        }
+        if (!BIKE_TYPES.includes(doc.bikeType)) throw new Error('This fit file has an unknown bike type.');
+        if ((doc.title !== undefined && typeof doc.title !== 'string') ||
+            (doc.notes !== undefined && typeof doc.notes !== 'string')) {
+            throw new Error('This fit file has an invalid title or notes.');
+        }
+
+        if (!FIT_VIEWS.includes(doc.view)) throw new Error('This fit file has an unknown view.');
+        if (!FIT_THEORIES.includes(doc.fitTheory)) throw new Error('This fit file has an unknown fit theory.');
+        const names   = VIEW_MARKERS[doc.view].names;
+        const markers = doc.markers || {};
+        if (typeof markers !== 'object' || Array.isArray(markers)) throw new Error('This fit file has invalid markers.');
+        Object.keys(markers).forEach(name => {
+            const m = markers[name];
+            if (!names.includes(name)) throw new Error(`This fit file has an unknown marker "${name}".`);
+            if (!m || !Number.isFinite(m.x) || !Number.isFinite(m.y) ||
+                m.x < 0 || m.y < 0 || m.x > photo.width || m.y > photo.height) {
+                throw new Error(`The ${name} marker in this fit file is outside the photo.`);
+            }
+        });
+
+        if (doc.calibration !== undefined && !isValidCalibration(doc.calibration, photo.width, photo.height)) {
+            throw new Error('This fit file has an invalid scale calibration.');
+        }
+        if (doc.riderInseamMm !== undefined && !isValidInseam(doc.riderInseamMm)) {
+            throw new Error('This fit file has an invalid rider inseam.');
+        }
+        if ((doc.riderTorsoMm !== undefined && !isValidTorso(doc.riderTorsoMm)) ||
+            (doc.riderArmMm !== undefined && !isValidArm(doc.riderArmMm))) {
+            throw new Error('This fit file has an invalid rider torso or arm length.');
+        }
+        if (doc.level !== undefined && !isValidLevel(doc.level, photo.width, photo.height)) {
+            throw new Error('This fit file has an invalid level reference.');
+        }
+        if (doc.riderFacing !== undefined && !FACING_DIRECTIONS.includes(doc.riderFacing)) {
+            throw new Error('This fit file has an unknown rider facing direction.');
+        }
+        if (doc.hiddenMetrics !== undefined &&
+            (!Array.isArray(doc.hiddenMetrics) || doc.hiddenMetrics.some(k => typeof k !== 'string'))) {
+            throw new Error('This fit file has an invalid list of hidden metrics.');
+        }
+
+        // Any joint may be missing; it stays unplaced. restoreFit() trims the gaps.
+        const ordered = names.map(name => markers[name] || null);
+
+        return {
+            style:      doc.ridingStyle,
+            customProfile,
+            bikeType:   doc.bikeType,
+            title:      doc.title || '',
+            notes:      doc.notes || '',
+            photo:      photo.dataURL,
+            points:     ordered,
+            calibration: doc.calibration,
+            inseamMm:   doc.riderInseamMm,
+            torsoMm:    doc.riderTorsoMm,
+            armMm:      doc.riderArmMm,
+            level:      doc.level,
+            facing:     doc.riderFacing,
+            view:       doc.view,
+            theory:     doc.fitTheory,
+            hiddenMetrics: doc.hiddenMetrics,
+            pointSpace: { width: photo.width, height: photo.height }
+        };
+    }
+
+    // Turns a title into a safe file name stem ("Client A – Road" → "Client_A_Road").
+    function fileStem(title) {
+        return (title || '').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'Cycl3D_Fit';
+    }
+
+    document.getElementById('exportFitFileBtn').addEventListener('click', () => {
+        if (!hasFitPhoto()) {
+            alert('Please upload a photo before exporting a fit file.');
+            return;
+        }
+
+        let doc;
+        try {
+            doc = buildFitFile();
+        } catch (err) {
+            console.error('Fit file export failed:', err);
+            alert('The photo could not be included in the fit file. Please upload it again and retry.');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const url  = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href     = url;
+        link.download = fileStem(doc.title) + FIT_FILE_EXTENSION;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+
+    document.getElementById('openFitFileBtn').addEventListener('click', () => fitFileInput.click());
+
+    fitFileInput.addEventListener('change', async () => {
+        const file = fitFileInput.files[0];
+        fitFileInput.value = ''; // Allow the same file to be picked again
+        if (!file) return;
+
+        let fit;
+        try {
+            fit = await readFitFile(file);
+        } catch (err) {
+            alert(`Could not open "${file.name}": ${err.message}`);
+            return;
+        }
+        restoreFit(fit);
+    });
+
+    /**
+     * readFitFile(file)
+     *
+     * Parses, migrates and validates a fit file picked by the user.
+     *
+     * @param {File} file
+     * @returns {Promise<Object>} The restoreFit() input; throws with a user-facing message
+     */
+    async function readFitFile(file) {
+        let doc;
+        try {
+            doc = JSON.parse(await file.text());
+        } catch (err) {
+            throw new Error('This file is not valid JSON.');
+        }
+        if (!doc || doc.format !== FIT_FILE_FORMAT) throw new Error('This is not a Cycl3D fit file.');
+        return validateFitFile(migrateFitFile(doc));
+    }
+
+    // ============================================================
+    // SCALE CALIBRATION
+    // ============================================================
+
+    // Angles need no scale, but lengths do. The user draws a line over
+    // something of known size – usually a wheel, tyre edge to tyre edge – and
+    // picks or types its length, giving a millimetres-per-pixel scale for the
+    // photo. The line's ends stay draggable like joint markers, and the line is
+    // saved with sessions, fit codes and fit files.
+    const calibRef    = document.getElementById('calibRef');
+    const calibLength = document.getElementById('calibLength');
+    const calibStatus = document.getElementById('calibStatus');
+
+    // Length chosen in the reference picker (mm), or NaN when the typed one is invalid.
+    function calibReferenceMm() {
+        const mm = calibRef.value === 'custom' ? parseFloat(calibLength.value) : Number(calibRef.value);
+        return mm >= CALIB_MIN_MM && mm <= CALIB_MAX_MM ? mm : NaN;
+    }
+
+    // Calibrated millimetres per natural-image pixel, or null when uncalibrated.
+    function calibratedMmPerPx() {
+        return calibration ? scaleFromLine(calibration.a, calibration.b, calibration.mm) : null;
+    }
+
+    // Rider inseam (mm) typed under the calibration controls, or NaN when blank or implausible.
+    function riderInseamMm() {
+        const mm = parseFloat(riderInseam.value);
+        return isValidInseam(mm) ? mm : NaN;
+    }
+
+    function isValidInseam(mm) {
+        return mm >= INSEAM_MIN_MM && mm <= INSEAM_MAX_MM;
+    }
+
+    /**
+     * fitScale()
+     *
+     * Best available photo scale for millimetre estimates: the calibration
+     * line, then the rider's inseam, then an average thigh length.
+     *
+     * @returns {{ mmPerPx: number|null, source: 'calibrated'|'inseam'|'estimate' }}
+     */
+    function fitScale() {
+        return scaleFor(points, calibration, riderInseamMm());
+    }
+
+    // fitScale() for any fit: its markers, calibration line and inseam.
+    function scaleFor(pts, calib, inseamMm) {
+        if (calib) return { mmPerPx: scaleFromLine(calib.a, calib.b, calib.mm), source: 'calibrated' };
+        const fromInseam = scaleFromInseam(pts, inseamMm);
+        if (fromInseam) return { mmPerPx: fromInseam, source: 'inseam' };
+        return { mmPerPx: estimateMmPerPx(pts), source: 'estimate' };
+    }
+
+    // True for a { a, b, mm } calibration whose ends lie inside a photo of the given size.
+    function isValidCalibration(c, width, height) {
+        const inside = p => p && Number.isFinite(p.x) && Number.isFinite(p.y) &&
+                            p.x >= 0 && p.y >= 0 && p.x <= width && p.y <= height;
+        return !!c && inside(c.a) && inside(c.b) && (c.a.x !== c.b.x || c.a.y !== c.b.y) &&
+               Number.isFinite(c.mm) && c.mm >= CALIB_MIN_MM && c.mm <= CALIB_MAX_MM;
+    }
+
+    function setCalibStatus(message, isError) {
+        calibStatus.textContent = message;
+        calibStatus.classList.toggle('is-error', !!isError);
+        calibStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    function updateCalibStatus() {
+        const scale = calibratedMmPerPx();
+        if (calibrating) {
+            setCalibStatus(calibPending
+                ? 'Now click or tap the other end of the known length.'
+                : 'Click or tap one end of the known length on the photo.', false);
+        } else if (scale) {
+            setCalibStatus(`Calibrated: the line is ${calibration.mm} mm (1 px ≈ ${scale.toFixed(2)} mm). Drag its ends to fine-tune.`, false);
+        } else {
+            setCalibStatus('', false);
+        }
+    }
+
+    // Shows a restored calibration's length in the picker (a preset if one matches).
+    function showCalibrationLength(mm) {
+        const preset = Array.from(calibRef.options).find(o => Number(o.value) === mm);
+        calibRef.value     = preset ? preset.value : 'custom';
+        calibLength.value  = preset ? '' : mm;
+        calibLength.hidden = !!preset;
+    }
+
+    /**
+     * setCalibration(next)
+     *
+     * Replaces the calibration (null removes it) and cancels any line being drawn.
+     *
+     * @param {{ a: Object, b: Object, mm: number }|null} next – Natural-image pixels
+     */
+    function setCalibration(next) {
+        calibration  = next;
+        calibPending = null;
+        calibrating  = false;
+        if (next) showCalibrationLength(next.mm);
+        updateCalibStatus();
+    }
+
+    // Copy of the calibration for saving (undefined when uncalibrated).
+    function currentCalibration() {
+        if (!calibration) return undefined;
+        const { a, b, mm } = calibration;
+        return { a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y }, mm };
+    }
+
+    // Called by handleStart() while calibrating: the first press marks one end,
+    // the second finishes the line.
+    function placeCalibrationPoint(p) {
+        if (!calibPending) {
+            calibPending = p;
+        } else {
+            calibration  = { a: calibPending, b: p, mm: calibReferenceMm() };
+            calibPending = null;
+            calibrating  = false;
+        }
+        updateCalibStatus();
+    }
+
+    // Dashed magenta line with end dots and its length, in display space.
+    function drawCalibration() {
+        if (!calibration && !calibPending) return;
+        ctx.save();
+        ctx.strokeStyle = COLOR_CALIB;
+        ctx.fillStyle   = COLOR_CALIB;
+        if (calibration) {
+            const a = toDisplay(calibration.a);
+            const b = toDisplay(calibration.b);
+            ctx.lineWidth = 3;
+            ctx.setLineDash([10, 6]);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            ctx.font = 'bold 14px Arial';
+            ctx.fillText(`${calibration.mm} mm`, (a.x + b.x) / 2 + 8, (a.y + b.y) / 2 - 8);
+            [a, b].forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+        if (calibPending) {
+            const p = toDisplay(calibPending);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    // A new reference length rescales an existing line straight away.
+    function onCalibReferenceChange() {
+        calibLength.hidden = calibRef.value !== 'custom';
+        const mm = calibReferenceMm();
+        if (calibration && mm) {
+            calibration.mm = mm;
+            updateCalibStatus();
+            draw();
+        }
+    }
+
+    calibRef.addEventListener('change', onCalibReferenceChange);
+    calibLength.addEventListener('input', onCalibReferenceChange);
+
+    // The inseam only rescales the millimetre estimates and sets the RAD
+    // saddle targets, so just redraw.
+    riderInseam.addEventListener('input', draw);
+
+    document.getElementById('calibDrawBtn').addEventListener('click', () => {
+        if (!hasFitPhoto()) {
+            setCalibStatus('Upload a photo before calibrating.', true);
+            return;
+        }
+        if (!calibReferenceMm()) {
+            setCalibStatus(`Enter the known length in mm (${CALIB_MIN_MM}–${CALIB_MAX_MM}).`, true);
+            return;
+        }
+        // Only one reference line can be drawn at a time.
+        leveling     = false;
+        levelPending = null;
+        updateLevelStatus();
+        calibration  = null;
+        calibPending = null;
+        calibrating  = true;
+        updateCalibStatus();
+        draw();
+    });
+
+    document.getElementById('calibClearBtn').addEventListener('click', () => {
+        setCalibration(null);
+        draw();
+    });
+
+    // ============================================================
+    // LEVEL REFERENCE (camera tilt correction)
+    // ============================================================
+
+    // The back and foot angles, drop and reach are all measured against the
+    // horizon, so a photo taken a few degrees off level shifts them. The user
+    // either draws a level line (through both wheel axles, or along the floor)
+    // or turns the tilt slider until the gold horizon guides match the floor;
+    // every horizon-referenced metric then uses the corrected horizon. The
+    // line's ends stay draggable, and the level is saved with sessions, fit
+    // codes and fit files as { a, b } (a line) or { tilt } (the slider).
+    const tiltSlider  = document.getElementById('tiltSlider');
+    const tiltValue   = document.getElementById('tiltValue');
+    const levelStatus = document.getElementById('levelStatus');
+
+    /**
+     * photoTilt()
+     *
+     * The current photo tilt in degrees: from the level line when one is drawn,
+     * otherwise from the slider. 0 means the photo is treated as level.
+     *
+     * @returns {number}
+     */
+    function photoTilt() {
+        return levelLine ? tiltFromLine(levelLine.a, levelLine.b) : Number(tiltSlider.value) || 0;
+    }
+
+    // Tilt recorded by a saved { a, b } or { tilt } level (0 when missing or malformed).
+    function levelTilt(level) {
+        if (!level) return 0;
+        if (level.a && level.b) return isValidLevel(level, Infinity, Infinity) ? tiltFromLine(level.a, level.b) : 0;
+        return isValidLevel(level, 0, 0) ? level.tilt : 0;
+    }
+
+    // True for a level line inside a photo of the given size, or a slider tilt in range.
+    function isValidLevel(level, width, height) {
+        if (!level || typeof level !== 'object') return false;
+        if (level.a === undefined && level.b === undefined) {
+            return Number.isFinite(level.tilt) && Math.abs(level.tilt) <= TILT_MAX_DEG;
+        }
+        const inside = p => p && Number.isFinite(p.x) && Number.isFinite(p.y) &&
+                            p.x >= 0 && p.y >= 0 && p.x <= width && p.y <= height;
+        return inside(level.a) && inside(level.b) && (level.a.x !== level.b.x || level.a.y !== level.b.y) &&
+               Math.abs(tiltFromLine(level.a, level.b)) <= LEVEL_MAX_DEG;
+    }
+
+    function setLevelStatus(message, isError) {
+        levelStatus.textContent = message;
+        levelStatus.classList.toggle('is-error', !!isError);
+        levelStatus.classList.toggle('is-ok', !isError && !!message);
+    }
+
+    // Status line and slider readout; warns once the tilt passes TILT_WARN_DEG.
+    function updateLevelStatus() {
+        const tilt = photoTilt();
+        tiltSlider.disabled   = !!levelLine;
+        tiltValue.textContent = `${tilt.toFixed(1)}°`;
+        if (levelLine) tiltSlider.value = Math.max(-TILT_MAX_DEG, Math.min(TILT_MAX_DEG, tilt));
+
+        if (leveling) {
+            setLevelStatus(levelPending
+                ? 'Now click or tap the other wheel axle (or the other end of the floor line).'
+                : 'Click or tap one wheel axle (or one end of a floor line) on the photo.', false);
+        } else if (Math.abs(tilt) > TILT_WARN_DEG) {
+            setLevelStatus(`This photo is ${Math.abs(tilt).toFixed(1)}° off level – angles use the corrected horizon, but a level photo is more reliable.`, true);
+        } else if (tilt) {
+            setLevelStatus(`Horizon corrected by ${tilt.toFixed(1)}°.`, false);
+        } else {
+            setLevelStatus('', false);
+        }
+    }
+
+    /**
+     * setLevel(level)
+     *
+     * Replaces the level reference and cancels any line being drawn.
+     *
+     * @param {{ a: Object, b: Object }|{ tilt: number }|null} level – null resets to level
+     */
+    function setLevel(level) {
+        levelLine    = level && level.a ? { a: level.a, b: level.b } : null;
+        levelPending = null;
+        leveling     = false;
+        if (!levelLine) tiltSlider.value = level && level.tilt ? level.tilt : 0;
+        updateLevelStatus();
+    }
+
+    // Copy of the level for saving (undefined when the photo is treated as level).
+    function currentLevel() {
+        if (levelLine) {
+            const { a, b } = levelLine;
+            return { a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y } };
+        }
+        const tilt = Number(tiltSlider.value);
+        return tilt ? { tilt } : undefined;
+    }
+
+    // Called by handleStart() while levelling: the first press marks one end,
+    // the second replaces the level line (unless it is closer to vertical than
+    // level, which keeps the previous one).
+    function placeLevelPoint(p) {
+        if (!levelPending) {
+            levelPending = p;
+            updateLevelStatus();
+            return;
+        }
+        const line   = { a: levelPending, b: p };
+        levelPending = null;
+        leveling     = false;
+        if (Math.abs(tiltFromLine(line.a, line.b)) > LEVEL_MAX_DEG) {
+            updateLevelStatus();
+            setLevelStatus('That line is closer to vertical than level – draw it through both wheel axles or along the floor.', true);
+            return;
+        }
+        levelLine = line;
+        updateLevelStatus();
+    }
+
+    // Gold level line with end dots, plus dashed horizon guides at the
+    // corrected angle across the photo, in display space.
+    function drawLevel() {
+        const tilt = photoTilt();
+        if (!levelLine && !levelPending && !tilt) return;
+        ctx.save();
+        ctx.strokeStyle = COLOR_LEVEL;
+        ctx.fillStyle   = COLOR_LEVEL;
+
+        if (tilt) {
+            const slope = Math.tan(tilt * Math.PI / 180);
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth   = 1;
+            ctx.setLineDash([4, 8]);
+            ctx.beginPath();
+            [0.25, 0.5, 0.75].forEach(k => {
+                const midY = canvas.height * k;
+                const dy   = slope * canvas.width / 2;
+                ctx.moveTo(0, midY - dy);
+                ctx.lineTo(canvas.width, midY + dy);
+            });
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+
+        if (levelLine) {
+            const a = toDisplay(levelLine.a);
+            const b = toDisplay(levelLine.b);
+            ctx.lineWidth = 3;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            [a, b].forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+        if (levelPending) {
+            const p = toDisplay(levelPending);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    tiltSlider.min = -TILT_MAX_DEG;
+    tiltSlider.max = TILT_MAX_DEG;
+    tiltSlider.addEventListener('input', () => {
+        updateLevelStatus();
+        if (hasFitPhoto()) draw();
+    });
+
+    document.getElementById('levelDrawBtn').addEventListener('click', () => {
+        if (!hasFitPhoto()) {
+            setLevelStatus('Upload a photo before drawing a level line.', true);
+            return;
+        }
+        // Only one reference line can be drawn at a time.
+        calibrating  = false;
+        calibPending = null;
+        updateCalibStatus();
+        levelPending = null;
+        leveling     = true;
+        updateLevelStatus();
+        draw();
+    });
+
+    document.getElementById('levelClearBtn').addEventListener('click', () => {
+        setLevel(null);
+        draw();
+    });
+
+    // ============================================================
+    // ADJUSTMENT SIMULATOR
     // ============================================================
 
-    // When the user selects a photo, read it as a data URL and display it in the image element.
-    document.getElementById('upload').addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (!file) return; // User closed the file dialog without selecting anything
+    // Sliders that answer "what would a 10 mm saddle raise do?". Moving one
+    // shifts the matching contact point and simulateAdjustment() re-solves the
+    // pose with every limb kept at its measured length. The proposed skeleton
+    // is drawn over the original and the results table gains a Proposed column.
+    const simSliders = document.getElementById('simSliders');
+    const simStatus  = document.getElementById('simStatus');
 
-        isHelpImage = false; // User has provided a real photo – dismiss the help placeholder
-        const reader  = new FileReader(); // Browser built-in API for reading local files
-        reader.onload = (event) => {
-            img.src    = event.target.result; // Assign the base64-encoded image data as the src
-            img.onload = () => {
-                img.style.display = 'block'; // Make the image visible once it has loaded
-                draw();
-                // Tell the parent iframe to resize now that the image is visible.
-                if (typeof window.cycl3dSendHeight === 'function') {
-                    requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
-                }
-            };
-        };
-        reader.readAsDataURL(file); // Encode the file as a base64 data URL string
-    });
+    // Outcome wording for compareToRange(), shown under each proposed value.
+    const SIM_OUTCOME_TEXT = {
+        into:      'moves into range ✓',
+        stays:     'stays in range',
+        out:       'moves out of range',
+        closer:    'closer to range',
+        further:   'further from range',
+        unchanged: 'no change'
+    };
 
-    // ============================================================
-    // DEMO IMAGE LOADER
-    // ============================================================
+    // "+10 mm higher" / "−5 mm shorter" / "0 mm"
+    function formatAdjustment(def, mm) {
+        if (!mm) return '0 mm';
+        return `${mm > 0 ? '+' : '−'}${Math.abs(mm)} mm ${mm > 0 ? def.plus : def.minus}`;
+    }
+
+    // True when at least one slider is off zero.
+    function simulationActive() {
+        return ADJUSTMENTS.some(def => simAdjust[def.key]);
+    }
 
     /**
-     * loadDemoImage(url, clearMarkers)
+     * simulateCurrentFit()
      *
-     * Loads a remote image into the photo display area.
-     * The demoLoading flag prevents double-clicks from firing two simultaneous loads.
+     * Runs the simulator on the placed markers with the current slider values
+     * and analyses the proposed pose with the same ranges as the original.
      *
-     * @param {string}  url          – Full URL of the image to display
-     * @param {boolean} clearMarkers – If true, resets all existing joint markers
+     * @returns {{ points: Array, warnings: string[], analysis: Array }|null}
+     *          null when no slider is moved, the body markers are incomplete or
+     *          the fit is a front view
      */
-    function loadDemoImage(url, clearMarkers) {
-        if (demoLoading) return; // Guard against duplicate simultaneous requests
-        demoLoading = true;
-        isHelpImage = false; // Demo image is a real fit photo, not the help placeholder
+    function simulateCurrentFit() {
+        if (!simulationActive() || isFrontView()) return null;
+        const facing = riderFacing();
+        const sim    = simulateAdjustment({ points, adjust: simAdjust, mmPerPx: fitScale().mmPerPx, tilt: photoTilt(), facing });
+        if (!sim) return null;
+        sim.analysis = analyzeCurrentFit(sim.points, facing);
+        return sim;
+    }
 
-        img.onload = () => {
-            demoLoading       = false;
-            img.style.display = 'block';
-            draw();
-            // Tell the parent iframe to resize now that the demo image is visible.
-            if (typeof window.cycl3dSendHeight === 'function') {
-                requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
-            }
-        };
+    // Status line under the sliders: what is being simulated, or why it can't be.
+    function updateSimStatus(sim) {
+        let message = '';
+        if (simulationActive() && isFrontView()) {
+            message = 'The simulator works on side-view fits.';
+        } else if (simulationActive() && !hasJoints(points, BODY_JOINTS)) {
+            message = 'Place the seven body markers (Toe → Hand) to see the simulated position.';
+        } else if (sim) {
+            message = 'Dashed orange skeleton = proposed position. ' + PLAN_SCALE_TEXT[fitScale().source];
+            if (sim.warnings.length) message += ' ' + sim.warnings.join(' ');
+        }
+        simStatus.textContent = message;
+    }
 
-        img.onerror = () => {
-            demoLoading = false;
-            console.warn('Demo image failed to load:', url);
-            alert('Failed to load the demo image. Please ensure the Assets folder is present.');
-        };
+    // Where the millimetre figures come from, shown with the simulator and the plan.
+    const PLAN_SCALE_TEXT = {
+        calibrated: 'Millimetres use the calibrated photo scale.',
+        inseam:     "Millimetres are scaled from the rider's inseam – calibrate the scale for more accuracy.",
+        estimate:   `Millimetres are estimated from an average ${ASSUMED_THIGH_MM} mm thigh length – enter the inseam or calibrate the scale for accuracy.`
+    };
 
-        if (clearMarkers) points = []; // Optionally wipe existing joint markers
-        img.src = url;
+    /**
+     * planCurrentFit()
+     *
+     * Millimetre estimates for bringing each out-of-range joint back into range,
+     * from the markers as placed (the simulator sliders do not affect the plan).
+     *
+     * @returns {Array} Steps from planAdjustments(), empty when nothing needs
+     *          changing, for a front view (its advice is not in millimetres)
+     *          and for reach & drop (its advice already is). Only steps for
+     *          metrics the results table shows are kept – the aero theory plans
+     *          on the TT / Tri ranges but reports fewer metrics, and any metric
+     *          can be switched off – and the kept steps are renumbered.
+     */
+    function planCurrentFit() {
+        if (isFrontView() || isRadTheory()) return [];
+        const { mmPerPx } = fitScale();
+        if (!mmPerPx) return [];
+        const plan = planAdjustments({
+            points,
+            style:      fitTypeSelect.value,
+            bikeType:   isAeroTheory() ? 'TT' : bikeTypeSelect.value,
+            ranges:     customRanges(),
+            mmPerPx,
+            calibrated: calibratedMmPerPx(),
+            tilt:       photoTilt(),
+            facing:     riderFacing()
+        });
+        const reported = shownMetrics(analyzeCurrentFit()).map(m => m.key);
+        return plan.filter(p => reported.includes(p.metric)).map((p, i) => Object.assign({}, p, { step: i + 1 }));
     }
 
-    // ============================================================
-    // BUTTON ACTIONS
-    // ============================================================
+    function resetSimulation() {
+        simAdjust = {};
+        simSliders.querySelectorAll('input[type="range"]').forEach(input => {
+            input.value = 0;
+            input.nextElementSibling.textContent = '0 mm';
+        });
+    }
+
+    // One slider per ADJUSTMENTS entry, built once.
+    ADJUSTMENTS.forEach(def => {
+        const row    = document.createElement('div');
+        const label  = document.createElement('label');
+        const input  = document.createElement('input');
+        const output = document.createElement('output');
+        row.className     = 'sim-row';
+        label.htmlFor     = `sim-${def.key}`;
+        label.textContent = def.label;
+        input.type  = 'range';
+        input.id    = `sim-${def.key}`;
+        input.min   = def.min;
+        input.max   = def.max;
+        input.step  = def.step;
+        input.value = 0;
+        output.htmlFor     = input.id;
+        output.textContent = '0 mm';
+        input.addEventListener('input', () => {
+            simAdjust[def.key]  = Number(input.value);
+            output.textContent  = formatAdjustment(def, simAdjust[def.key]);
+            draw();
+        });
+        row.append(label, input, output);
+        simSliders.appendChild(row);
+    });
+
+    document.getElementById('simResetBtn').addEventListener('click', () => {
+        resetSimulation();
+        draw();
+    });
 
     // ============================================================
-    // HELP IMAGE LOADER
+    // FIT COMPARISON (before / after)
     // ============================================================
 
+    // Loads a second fit (A) – a saved session or a fit file – and compares it
+    // with the fit on screen (B). A's skeleton is drawn in blue under B's,
+    // moved and rescaled so the two line up on the hip or the bottom bracket,
+    // and the results gain an A / B / Change table. A's own photo is not
+    // needed: only its markers and scale are kept.
+    const compareAnchorSelect = document.getElementById('compareAnchor');
+    const compareStatus       = document.getElementById('compareStatus');
+    const compareFileInput    = document.getElementById('compareFileInput');
+
+    // Change cell colour: toward the range, away from it, or no real change.
+    const COMPARE_OUTCOME_CLASS = {
+        into:      'status-ok',
+        closer:    'status-ok',
+        stays:     'compare-same',
+        unchanged: 'compare-same',
+        out:       'status-warn',
+        further:   'status-warn'
+    };
+
+    const COMPARE_ANCHOR_TEXT = { Hip: 'hip', BB: 'bottom bracket' };
+    const COMPARE_SIDE_ONLY   = 'Comparisons work on side-view fits – both fits need to be side views.';
+
     /**
-     * loadHelpImage()
+     * setComparison(fit)
      *
-     * Loads the help screenshot into the photo display area without clearing
-     * any existing markers (there should be none). Sets isHelpImage = true so
-     * the rest of the app knows this is a placeholder, not a real fit photo.
-     * Called on first load and after Clear.
+     * Makes `fit` the comparison fit A (null removes it). Both fits must be
+     * side views.
+     *
+     * @param {{ name: string, points: Array, calibration?: Object, inseamMm?: number, level?: Object, facing?: string, view?: string }|null} fit
+     *        Markers, calibration and level line in the same pixel space (any size);
+     *        `facing` is the fit's manual facing setting, inferred when absent
      */
-    function loadHelpImage() {
-        isHelpImage       = true;
-        img.onload = () => {
-            img.style.display = 'block';
-            draw();
-            if (typeof window.cycl3dSendHeight === 'function') {
-                requestAnimationFrame(() => requestAnimationFrame(window.cycl3dSendHeight));
-            }
-        };
-        img.onerror = () => {
-            // If the help screenshot is missing just leave the canvas blank.
-            isHelpImage       = false;
-            img.style.display = 'none';
-            console.warn('Help screenshot not found:', HELP_URL);
-        };
-        img.src = HELP_URL;
+    function setComparison(fit) {
+        if (fit && (isFrontView() || (fit.view || 'side') !== 'side')) {
+            alert(COMPARE_SIDE_ONLY);
+            return;
+        }
+        comparison = fit ? {
+            name:    fit.name,
+            points:  copyMarkers(fit.points),
+            mmPerPx: scaleFor(fit.points, fit.calibration, isValidInseam(fit.inseamMm) ? fit.inseamMm : NaN).mmPerPx,
+            tilt:    levelTilt(fit.level),
+            facing:  fit.facing
+        } : null;
+        draw();
     }
 
-    // Demo: loads the built-in sample image. Existing markers are kept so users
-    // can immediately see what positioned markers look like.
-    document.getElementById('demoBtn').addEventListener('click', () => loadDemoImage(DEMO_URL, false));
+    // Fit A's markers moved into this photo, or null when they can't be aligned.
+    function comparedPoints() {
+        if (!comparison) return null;
+        return alignFit({
+            points:      comparison.points,
+            mmPerPx:     comparison.mmPerPx,
+            onto:        points,
+            ontoMmPerPx: fitScale().mmPerPx,
+            anchor:      compareAnchorSelect.value,
+            facing:      comparison.facing,
+            ontoFacing:  riderFacing()
+        });
+    }
 
-    // Clear: removes all joint markers, hides the image, and wipes saved session data.
-    document.getElementById('clearBtn').addEventListener('click', () => {
-        points                = [];
-        resultsArea.innerHTML = '';
-        demoLoading           = false;
-        img.onload            = null;  // Cancel any pending image load callbacks
-        img.onerror           = null;
-        img.src               = '';
-        img.style.display     = 'none';
+    /**
+     * compareCurrentFit()
+     *
+     * Both fits measured against the current bike type, riding style and fit
+     * theory, so the change column shows movement relative to one set of
+     * targets. Reach & drop measures fit A with its own photo scale.
+     *
+     * @returns {Array|null} Rows from compareAnalyses(), or null without a comparison fit
+     */
+    function compareCurrentFit() {
+        if (!comparison) return null;
+        const facing = comparison.facing || inferFacing(comparison.points) || 'right';
+        const before = analyzeCurrentFit(comparison.points, facing, comparison.tilt, comparison.mmPerPx);
+        return shownMetrics(compareAnalyses(before, analyzeCurrentFit()));
+    }
 
-        // Reset the file input field so the same file can be re-uploaded if needed.
-        const uploadInput = document.getElementById('upload');
-        if (uploadInput) uploadInput.value = '';
+    // Blue skeleton for fit A, in display pixels.
+    function drawComparison(shown) {
+        ctx.save();
+        ctx.strokeStyle = COLOR_COMPARE;
+        ctx.fillStyle   = COLOR_COMPARE;
+        ctx.lineWidth   = 3;
+        ctx.lineCap     = 'round';
+        ctx.beginPath();
+        SKELETON_LINKS.forEach(([a, b]) => {
+            if (!shown[a] || !shown[b]) return;
+            ctx.moveTo(shown[a].x, shown[a].y);
+            ctx.lineTo(shown[b].x, shown[b].y);
+        });
+        ctx.stroke();
+        shown.forEach(p => {
+            if (!p) return;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
 
-        // Clear the session title and notes fields.
-        const fitTitle = document.getElementById('fitTitle');
-        const fitNotes = document.getElementById('fitNotes');
-        if (fitTitle) fitTitle.value = '';
-        if (fitNotes) fitNotes.value = '';
+    // Status line: which fit is A and how it is lined up (or why it isn't drawn).
+    function updateCompareStatus(compared) {
+        let message = '';
+        if (comparison) {
+            const anchor = COMPARE_ANCHOR_TEXT[compareAnchorSelect.value];
+            message = compared
+                ? `Comparing A = "${comparison.name}" (blue) with B = the current fit (green), aligned on the ${anchor}.`
+                : `Comparing A = "${comparison.name}" with the current fit. To overlay the skeletons, both fits need the ${
+                    compareAnchorSelect.value === 'BB' ? 'BB marker or the Cleat marker (pedal spindle)' : 'Hip marker'}.`;
+        }
+        compareStatus.textContent = message;
+        document.getElementById('compareClearBtn').disabled = !comparison;
+    }
 
-        draw();
+    // Session-list "Compare" button: the saved markers become fit A.
+    function compareSession(id) {
+        const record = readSessionIndex().find(s => s.id === id);
+        if (!record) return;
+        if (!hasFitPhoto()) {
+            alert('Open or upload the fit to compare against first, then choose Compare on the earlier session.');
+            return;
+        }
+        setComparison({
+            name:        record.name,
+            points:      (record.points || []).slice(0, JOINT_NAMES.length),
+            calibration: record.calibration,
+            inseamMm:    record.inseamMm,
+            level:       record.level,
+            facing:      record.facing,
+            view:        record.view
+        });
+    }
 
-        // Restore the help placeholder so the canvas is never left blank.
-        loadHelpImage();
+    document.getElementById('compareFileBtn').addEventListener('click', () => {
+        if (!hasFitPhoto()) {
+            alert('Open or upload the fit to compare against first, then pick the earlier fit file.');
+            return;
+        }
+        if (isFrontView()) {
+            alert(COMPARE_SIDE_ONLY);
+            return;
+        }
+        compareFileInput.click();
     });
 
-    // Redraw the canvas whenever the riding style changes (new angle ranges apply).
-    fitTypeSelect.addEventListener('change', draw);
+    compareFileInput.addEventListener('change', async () => {
+        const file = compareFileInput.files[0];
+        compareFileInput.value = ''; // Allow the same file to be picked again
+        if (!file) return;
 
-    // Help modal: toggle the instruction panel open or closed.
-    document.getElementById('helpBtn').addEventListener('click', () =>
-        document.getElementById('help-modal').style.display = 'block'
-    );
-    document.getElementById('closeModal').addEventListener('click', () =>
-        document.getElementById('help-modal').style.display = 'none'
-    );
-    document.getElementById('closeHelpBtn').addEventListener('click', () =>
-        document.getElementById('help-modal').style.display = 'none'
-    );
+        let fit;
+        try {
+            fit = await readFitFile(file);
+        } catch (err) {
+            alert(`Could not open "${file.name}": ${err.message}`);
+            return;
+        }
+        setComparison({
+            name:        fit.title || file.name.replace(/\.cycl3d\.json$|\.json$/i, ''),
+            points:      fit.points,
+            calibration: fit.calibration,
+            inseamMm:    fit.inseamMm,
+            level:       fit.level,
+            facing:      fit.facing,
+            view:        fit.view
+        });
+    });
+
+    document.getElementById('compareClearBtn').addEventListener('click', () => setComparison(null));
+    compareAnchorSelect.addEventListener('change', draw);
+
+    /**
+     * drawFitOverlay(context, pts, analysis, scale)
+     *
+     * Draws one fit's skeleton lines, plumb lines, joint dots, joint names and
+     * angle labels at natural-image resolution for the PDF.
+     *
+     * @param {CanvasRenderingContext2D} context
+     * @param {Array<{x: number, y: number}|null>} pts – Markers in natural-image pixels
+     * @param {Array} analysis – analyzeCurrentFit() results for those markers
+     * @param {number} scale   – Natural pixels per display pixel; sizes strokes and text
+     */
+    function drawFitOverlay(context, pts, analysis, scale) {
+        // Skeleton lines
+        context.strokeStyle = COLOR_SKEL;
+        context.lineWidth   = 4 * scale;
+        context.lineCap     = 'round';
+        context.beginPath();
+        VIEW_MARKERS[fitView()].links.forEach(([a, b]) => {
+            if (!pts[a] || !pts[b]) return;
+            context.moveTo(pts[a].x, pts[a].y);
+            context.lineTo(pts[b].x, pts[b].y);
+        });
+        context.stroke();
+        if (isFrontView()) drawTrackingLines(context, pts, scale);
+        drawPlumbLines(context, pts, analysis, scale);
+
+        // Joint dots and names
+        context.fillStyle = COLOR_SKEL;
+        pts.forEach(p => {
+            if (!p) return;
+            context.beginPath();
+            context.arc(p.x, p.y, 8 * scale, 0, Math.PI * 2);
+            context.fill();
+        });
+        drawJointNames(context, pts, scale);
+
+        // Angle labels, coloured by the range check
+        context.font = `bold ${Math.round(16 * scale)}px Arial`;
+        const stacked = {};
+        analysis.forEach(m => {
+            const p   = pts[m.at];
+            const row = stacked[m.at] = (stacked[m.at] || 0) + 1;
+            context.fillStyle = m.isOk ? COLOR_GOOD : COLOR_WARN;
+            context.fillText(`${m.label}: ${formatValue(m.angle, m.unit)}`, p.x + 15 * scale, p.y - (15 + (row - 1) * 20) * scale);
+        });
+    }
+
+    // A video key frame's still with its skeleton drawn on, for the PDF.
+    async function keyFrameComposite({ frame, analysis }) {
+        const still = new Image();
+        await new Promise((resolve, reject) => {
+            still.onload  = resolve;
+            still.onerror = reject;
+            still.src     = frame.still;
+        });
+        const frameCanvas  = document.createElement('canvas');
+        frameCanvas.width  = still.naturalWidth;
+        frameCanvas.height = still.naturalHeight;
+        const frameCtx     = frameCanvas.getContext('2d');
+        frameCtx.drawImage(still, 0, 0);
+        drawFitOverlay(frameCtx, frame.points, analysis, still.naturalWidth / img.clientWidth);
+        return { dataURL: frameCanvas.toDataURL('image/jpeg', 0.85), width: still.naturalWidth, height: still.naturalHeight };
+    }
 
     // PDF Export – direct jsPDF construction (no html2canvas / no DOM screenshot).
     // Composites the photo + skeleton at full natural resolution, then builds the
@@ -691,11 +5015,10 @@ document.addEventListener('DOMContentLoaded', () => {
             const naturalW = img.naturalWidth;
             const naturalH = img.naturalHeight;
             const displayW = img.clientWidth;
-            const displayH = img.clientHeight;
 
-            // Scale factors map display-space marker coordinates to natural-image pixels.
+            // Markers are already in natural-image pixels. This factor only sizes
+            // strokes, dots and labels so they look the same as on screen.
             const scaleX = naturalW / displayW;
-            const scaleY = naturalH / displayH;
 
             const offCanvas  = document.createElement('canvas');
             offCanvas.width  = naturalW;
@@ -705,49 +5028,34 @@ document.addEventListener('DOMContentLoaded', () => {
             // Paint the photo at full resolution.
             offCtx.drawImage(img, 0, 0, naturalW, naturalH);
 
-            // Skeleton lines
-            if (points.length >= 2) {
-                offCtx.strokeStyle = COLOR_SKEL;
-                offCtx.lineWidth   = 4 * scaleX;
-                offCtx.lineJoin    = 'round';
+            // Comparison fit A, under the current skeleton (same look as on screen)
+            const comparedPts = comparedPoints();
+            if (comparedPts) {
+                offCtx.strokeStyle = COLOR_COMPARE;
+                offCtx.fillStyle   = COLOR_COMPARE;
+                offCtx.lineWidth   = 3 * scaleX;
+                offCtx.lineCap     = 'round';
                 offCtx.beginPath();
-                offCtx.moveTo(points[0].x * scaleX, points[0].y * scaleY);
-                points.forEach(p => offCtx.lineTo(p.x * scaleX, p.y * scaleY));
+                SKELETON_LINKS.forEach(([a, b]) => {
+                    if (!comparedPts[a] || !comparedPts[b]) return;
+                    offCtx.moveTo(comparedPts[a].x, comparedPts[a].y);
+                    offCtx.lineTo(comparedPts[b].x, comparedPts[b].y);
+                });
                 offCtx.stroke();
+                comparedPts.forEach(p => {
+                    if (!p) return;
+                    offCtx.beginPath();
+                    offCtx.arc(p.x, p.y, 5 * scaleX, 0, Math.PI * 2);
+                    offCtx.fill();
+                });
             }
 
-            // Joint dots and angle labels, scaled to match their browser positions.
-            points.forEach((p, i) => {
-                const sx = p.x * scaleX;
-                const sy = p.y * scaleY;
-
-                offCtx.fillStyle = COLOR_SKEL;
-                offCtx.beginPath();
-                offCtx.arc(sx, sy, 8 * scaleX, 0, Math.PI * 2);
-                offCtx.fill();
-
-                let angle = null;
-                let name  = '';
-
-                if (i === 1 && points[2]) { name = 'Ankle';    angle = calcAngle(points[0], points[1], points[2]); }
-                if (i === 2 && points[3]) { name = 'Knee';     angle = calcAngle(points[1], points[2], points[3]); }
-                if (i === 3 && points[4]) {
-                    name  = 'Back';
-                    angle = Math.abs(
-                        Math.atan2(points[4].y - points[3].y, points[4].x - points[3].x) * (180 / Math.PI)
-                    );
-                }
-                if (i === 4 && points[5]) { name = 'Shoulder'; angle = calcAngle(points[3], points[4], points[5]); }
-                if (i === 5 && points[6]) { name = 'Elbow';    angle = Math.abs(180 - calcAngle(points[4], points[5], points[6])); }
-
-                if (angle !== null) {
-                    const range = IDEAL_RANGES[name][fitTypeSelect.value];
-                    const isOk  = (angle >= range[0] && angle <= range[1]);
-                    offCtx.fillStyle = isOk ? COLOR_GOOD : COLOR_WARN;
-                    offCtx.font      = `bold ${Math.round(16 * scaleX)}px Arial`;
-                    offCtx.fillText(`${name}: ${angle.toFixed(1)}\u00b0`, sx + 15 * scaleX, sy - 15 * scaleY);
-                }
-            });
+            // Skeleton, dots, names and angle labels, sized to match their on-screen look.
+            // The same analysis feeds the labels here and the table in Step 3;
+            // metrics switched off in the results table are left out of both.
+            const analysis = shownMetrics(analyzeCurrentFit());
+            const plan     = planCurrentFit();
+            drawFitOverlay(offCtx, points, analysis, scaleX);
 
             const compositeDataURL = offCanvas.toDataURL('image/jpeg', 0.92);
 
@@ -769,41 +5077,38 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             // ── Step 3: Build table rows from angle data (pure JS, no DOM) ──────────
-            // Replicates the same angle calculations used in draw() / updateTable().
-            // Produces a structured array that autoTable() can render directly.
-            const ADVICE = {
-                Knee:     { low: 'RAISE saddle height',        high: 'LOWER saddle height'        },
-                Back:     { low: 'Higher bars (add spacers)',  high: 'Lower bars (remove spacers)' },
-                Shoulder: { low: 'Longer stem',                high: 'Shorter stem'                },
-                Elbow:    { low: 'Shorten reach',              high: 'Increase reach'              },
-                Ankle:    { low: 'Check cleat fore/aft',       high: 'Check cleat fore/aft'        }
-            };
+            // Uses the analyzeFit() results from Step 1, so the PDF always matches
+            // the on-screen table. Produces a structured array autoTable() can render.
+            const COLOR_OK   = [40, 167, 69];  // green
+            const COLOR_BAD  = [220, 53, 69];  // red
+            const COLOR_SAME = [85, 85, 85];   // gray
 
-            const fitType   = fitTypeSelect.value;
-            const COLOR_OK  = [40, 167, 69];  // green
-            const COLOR_BAD = [220, 53, 69];  // red
-
-            const jointDefs = [
-                { name: 'Ankle',    calc: () => (points[0] && points[1] && points[2]) ? calcAngle(points[0], points[1], points[2]) : null },
-                { name: 'Knee',     calc: () => (points[1] && points[2] && points[3]) ? calcAngle(points[1], points[2], points[3]) : null },
-                { name: 'Back',     calc: () => (points[3] && points[4]) ? Math.abs(Math.atan2(points[4].y - points[3].y, points[4].x - points[3].x) * (180 / Math.PI)) : null },
-                { name: 'Shoulder', calc: () => (points[3] && points[4] && points[5]) ? calcAngle(points[3], points[4], points[5]) : null },
-                { name: 'Elbow',    calc: () => (points[4] && points[5] && points[6]) ? Math.abs(180 - calcAngle(points[4], points[5], points[6])) : null }
-            ];
+            // With a comparison fit loaded the report becomes a comparison report:
+            // the angle table shows A, B and the change instead of the advice.
+            const compared     = compareCurrentFit();
+            const compareRows  = (compared || []).map(r => {
+                const better = ['into', 'closer'].includes(r.outcome);
+                const worse  = ['out', 'further'].includes(r.outcome);
+                return [
+                    { content: r.label },
+                    { content: r.before === null ? '–' : `${formatValue(r.before, r.unit)}` },
+                    { content: r.after  === null ? '–' : `${formatValue(r.after, r.unit)}` },
+                    { content: r.change === null ? '–' : `${r.change >= 0 ? '+' : ''}${formatValue(r.change, r.unit)} (${SIM_OUTCOME_TEXT[r.outcome].replace(' ✓', '')})`,
+                      styles: { textColor: better ? COLOR_OK : worse ? COLOR_BAD : COLOR_SAME, fontStyle: 'bold' } },
+                    { content: `${r.range[0]}–${r.range[1]}${r.unit}` }
+                ];
+            });
 
+            // The aero theory's own metrics get a section of their own.
             const tableRows = [];
-            for (const { name, calc } of jointDefs) {
-                const angle = calc();
-                if (angle === null) continue;
-                const range      = IDEAL_RANGES[name][fitType];
-                const isOk       = angle >= range[0] && angle <= range[1];
-                const direction  = angle < range[0] ? 'low' : 'high';
-                const adviceText = isOk ? 'Optimal ✓' : ADVICE[name][direction];
-                tableRows.push([
-                    { content: name },
-                    { content: `${angle.toFixed(1)}°`, styles: { textColor: isOk ? COLOR_OK : COLOR_BAD, fontStyle: 'bold' } },
-                    { content: `${range[0]}–${range[1]}°` },
-                    { content: adviceText }
+            const aeroRows  = [];
+            for (const { key, label, unit, angle, range, isOk, advice } of analysis) {
+                const step = plan.find(p => p.metric === key);
+                (isAeroTheory() && AERO_RANGES[key] ? aeroRows : tableRows).push([
+                    { content: label },
+                    { content: `${formatValue(angle, unit)}`, styles: { textColor: isOk ? COLOR_OK : COLOR_BAD, fontStyle: 'bold' } },
+                    { content: `${range[0]}–${range[1]}${unit}` },
+                    { content: step ? `${step.step}. ${step.text}` : advice }
                 ]);
             }
 
@@ -830,7 +5135,11 @@ document.addEventListener('DOMContentLoaded', () => {
             // Title
             doc.setFontSize(16);
             doc.setFont('helvetica', 'bold');
-            doc.text('Cycl3D Basic Bike Fit Report', pageW / 2, cursorY, { align: 'center' });
+            doc.text(compared ? 'Cycl3D Bike Fit Comparison Report'
+                : isFrontView() ? 'Cycl3D Front-View Fit Report'
+                : isRadTheory() ? 'Cycl3D Reach & Drop Fit Report'
+                : isAeroTheory() ? 'Cycl3D TT / Tri Aero Fit Report'
+                : 'Cycl3D Basic Bike Fit Report', pageW / 2, cursorY, { align: 'center' });
             cursorY += 7;
 
             // Session title (if provided by the user)
@@ -842,12 +5151,38 @@ document.addEventListener('DOMContentLoaded', () => {
                 cursorY += 6;
             }
 
-            // Riding style label
+            // Bike type and riding style label (the view, for a front view; the
+            // position, for the aero theory)
             doc.setFontSize(11);
             doc.setFont('helvetica', 'normal');
-            doc.text(`Riding Style: ${fitTypeSelect.value}`, pageW / 2, cursorY, { align: 'center' });
+            doc.text(`${isAeroTheory() ? `Position: ${THEORY_LABELS.aero}` : `Bike Type: ${BIKE_TYPE_LABELS[bikeTypeSelect.value]}`}  \u00b7  ${
+                isFrontView() ? `View: ${VIEW_LABELS.front}` : `Riding Style: ${styleLabel(fitTypeSelect.value, activeProfile)}`}`, pageW / 2, cursorY, { align: 'center' });
             cursorY += 8;
 
+            // Reach & drop: the body measurements its targets come from
+            if (isRadTheory()) {
+                const body = [['inseam', riderInseamMm()], ['torso', riderTorsoMm()], ['arm', riderArmMm()]]
+                    .filter(([, mm]) => mm).map(([name, mm]) => `${name} ${mm} mm`);
+                doc.setFontSize(10);
+                doc.text(`Rider: ${body.length ? body.join('  \u00b7  ') : 'no body measurements entered'}`, pageW / 2, cursorY, { align: 'center' });
+                cursorY += 6;
+            }
+
+            // Camera tilt correction, when the horizon was levelled
+            const tilt = photoTilt();
+            if (tilt) {
+                doc.setFontSize(10);
+                doc.text(`Horizon corrected for ${Math.abs(tilt).toFixed(1)}\u00b0 camera tilt${Math.abs(tilt) > TILT_WARN_DEG ? ' \u2013 photo noticeably off level' : ''}`, pageW / 2, cursorY, { align: 'center' });
+                cursorY += 6;
+            }
+
+            // Which fit is which in a comparison report
+            if (compared) {
+                doc.setFontSize(10);
+                doc.text(`A (blue) = ${comparison.name}   \u2192   B (green) = ${fitTitleVal || 'current fit'}`, pageW / 2, cursorY, { align: 'center' });
+                cursorY += 6;
+            }
+
             // Composite photo – capped at 100 mm tall so the table fits on the same page
             const maxPhotoH  = 100;
             const photoAspect = naturalW / naturalH;
@@ -858,11 +5193,23 @@ document.addEventListener('DOMContentLoaded', () => {
             doc.addImage(compositeDataURL, 'JPEG', photoX, cursorY, photoW, photoH);
             cursorY += photoH + 6;
 
-            // Measurements table
-            if (tableRows.length > 0) {
+            // Comparison table in a comparison report, otherwise the measurements table
+            if (compareRows.length > 0) {
+                doc.autoTable({
+                    startY:              cursorY,
+                    head:                [[metricHeading(), 'A', 'B', 'Change', rangeHeading()]],
+                    body:                compareRows,
+                    margin:              { left: margin, right: margin },
+                    headStyles:          { fillColor: [34, 34, 34], textColor: 255, fontStyle: 'bold' },
+                    alternateRowStyles:  { fillColor: [247, 247, 247] },
+                    styles:              { fontSize: 11, cellPadding: 3 },
+                    tableWidth:          contentW
+                });
+                cursorY = doc.lastAutoTable.finalY + 8;
+            } else if (tableRows.length > 0) {
                 doc.autoTable({
                     startY:              cursorY,
-                    head:                [['Joint', 'Measured', 'Ideal Range', 'Recommendation']],
+                    head:                [[metricHeading(), 'Measured', rangeHeading(), 'Recommendation']],
                     body:                tableRows,
                     margin:              { left: margin, right: margin },
                     headStyles:          { fillColor: [34, 34, 34], textColor: 255, fontStyle: 'bold' },
@@ -873,6 +5220,124 @@ document.addEventListener('DOMContentLoaded', () => {
                 cursorY = doc.lastAutoTable.finalY + 8;
             }
 
+            // TT / Tri aero: the position on the pads and extensions
+            if (!compareRows.length && aeroRows.length > 0) {
+                doc.setFontSize(12);
+                doc.setFont('helvetica', 'bold');
+                doc.text('Aero Position', margin, cursorY);
+                cursorY += 3;
+                doc.autoTable({
+                    startY:              cursorY,
+                    head:                [['Metric', 'Measured', rangeHeading(), 'Recommendation']],
+                    body:                aeroRows,
+                    margin:              { left: margin, right: margin },
+                    headStyles:          { fillColor: [34, 34, 34], textColor: 255, fontStyle: 'bold' },
+                    alternateRowStyles:  { fillColor: [247, 247, 247] },
+                    styles:              { fontSize: 11, cellPadding: 3 },
+                    tableWidth:          contentW
+                });
+                cursorY = doc.lastAutoTable.finalY + 8;
+            }
+
+            // Front view, reach & drop and aero: what the numbers mean
+            const note = theoryNote();
+            if (!compareRows.length && (tableRows.length || aeroRows.length) && note) {
+                const noteLines = doc.splitTextToSize(note, contentW);
+                cursorY -= 4;
+                doc.setFontSize(9);
+                doc.setFont('helvetica', 'italic');
+                doc.text(noteLines, margin, cursorY);
+                cursorY += noteLines.length * 4 + 4;
+            }
+
+            // Real-world lengths (only when the photo scale is calibrated)
+            const mmPerPx = calibratedMmPerPx();
+            const lengthRows = mmPerPx ? measureCurrentLengths(mmPerPx).map(l => [l.name, `${Math.round(l.mm)} mm`]) : [];
+            if (lengthRows.length > 0) {
+                doc.autoTable({
+                    startY:              cursorY,
+                    head:                [['Measurement (calibrated)', 'Length']],
+                    body:                lengthRows,
+                    margin:              { left: margin, right: margin },
+                    headStyles:          { fillColor: [34, 34, 34], textColor: 255, fontStyle: 'bold' },
+                    alternateRowStyles:  { fillColor: [247, 247, 247] },
+                    styles:              { fontSize: 11, cellPadding: 3 },
+                    tableWidth:          contentW
+                });
+                cursorY = doc.lastAutoTable.finalY + 8;
+            }
+
+            // Quantified changes, in the order to make them
+            if (plan.length > 0) {
+                doc.autoTable({
+                    startY:              cursorY,
+                    head:                [['Step', 'Suggested change', 'Fixes']],
+                    body:                plan.map(p => [p.step, p.text, analysis.find(m => m.key === p.metric).label]),
+                    margin:              { left: margin, right: margin },
+                    headStyles:          { fillColor: [34, 34, 34], textColor: 255, fontStyle: 'bold' },
+                    alternateRowStyles:  { fillColor: [247, 247, 247] },
+                    styles:              { fontSize: 11, cellPadding: 3 },
+                    tableWidth:          contentW
+                });
+                cursorY = doc.lastAutoTable.finalY + 4;
+                doc.setFontSize(9);
+                doc.setFont('helvetica', 'italic');
+                doc.text(doc.splitTextToSize(PLAN_SCALE_TEXT[fitScale().source], contentW), margin, cursorY);
+                cursorY += 8;
+            }
+
+            // Pedal stroke from the video key frames: min / max table, then each frame
+            const keyFrames = analyzeKeyFrames();
+            if (keyFrames.length > 0) {
+                const pageH = 297; // A4 height in mm
+                doc.autoTable({
+                    startY:              cursorY,
+                    head:                [[metricHeading(), 'Min', 'Max', strokeRangeHeading()]],
+                    body:                strokeExtremes(keyFrames).map(r => [
+                        r.label,
+                        `${formatValue(r.min.value, r.unit)} (${r.min.frame})`,
+                        `${formatValue(r.max.value, r.unit)} (${r.max.frame})`,
+                        `${r.range[0]}–${r.range[1]}${r.unit}`
+                    ]),
+                    margin:              { left: margin, right: margin },
+                    headStyles:          { fillColor: [34, 34, 34], textColor: 255, fontStyle: 'bold' },
+                    alternateRowStyles:  { fillColor: [247, 247, 247] },
+                    styles:              { fontSize: 11, cellPadding: 3 },
+                    tableWidth:          contentW
+                });
+                cursorY = doc.lastAutoTable.finalY + 4;
+                doc.setFontSize(9);
+                doc.setFont('helvetica', 'italic');
+                doc.text(doc.splitTextToSize(strokeNote(), contentW), margin, cursorY);
+                cursorY += 10;
+
+                // Key frames two to a row, each captioned with its crank position and time
+                const gap    = 6;
+                const frameW = (contentW - gap) / 2;
+                for (let i = 0; i < keyFrames.length; i += 2) {
+                    const row    = await Promise.all(keyFrames.slice(i, i + 2).map(keyFrameComposite));
+                    const frameH = Math.min(70, Math.max(...row.map(f => frameW * f.height / f.width)));
+                    if (cursorY + frameH + 8 > pageH - margin) {
+                        doc.addPage();
+                        cursorY = margin;
+                    }
+                    row.forEach((f, k) => {
+                        const h = Math.min(frameH, frameW * f.height / f.width);
+                        const w = h * f.width / f.height;
+                        const x = margin + k * (frameW + gap) + (frameW - w) / 2;
+                        doc.addImage(f.dataURL, 'JPEG', x, cursorY, w, h);
+                        doc.setFontSize(9);
+                        doc.setFont('helvetica', 'normal');
+                        doc.text(keyFrames[i + k].label, margin + k * (frameW + gap) + frameW / 2, cursorY + frameH + 4, { align: 'center' });
+                    });
+                    cursorY += frameH + 10;
+                }
+                if (cursorY + 20 > pageH - margin) {
+                    doc.addPage();
+                    cursorY = margin;
+                }
+            }
+
             // Notes section (if provided by the user)
             const fitNotesVal = document.getElementById('fitNotes').value.trim();
             if (fitNotesVal) {
@@ -0,0 +1,743 @@
+// ============================================================
+// Cycl3D Basic Bike Fit Tool – analysis.test.js
+// ============================================================
+// Unit tests for the headless analysis engine (analysis.js). They run under
+// Node's built-in test runner with no dependencies:
+//
+//     node --test test/
+//
+// Covered: every joint formula on a known pose; the back angle for riders
+// facing either way (and in a tilted photo); every METRICS entry placed on
+// and just beyond both edges of its range for every bike type and style; the
+// adjustment simulator and its two-link solver; fit comparison; the
+// pedal-stroke summary; the front view; and the reach-and-drop and TT / Tri
+// aero theories.
+// ============================================================
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    IDEAL_RANGES, BIKE_TYPES, RIDING_STYLES, RANGE_JOINTS, BALL_OF_FOOT,
+    calcAngle, torsoAngle, footAngle, cleatOffset, kneeExtension, facePoints, METRICS,
+    checkRange, validateRanges, analyzeFit, genericPose, estimateMmPerPx, planAdjustments,
+    SEAT_TUBE_ANGLE, solveTwoLink, simulateAdjustment, ASSUMED_CRANK_MM, bottomBracket, alignFit, compareAnalyses,
+    strokeExtremes, FRONT_JOINT_NAMES, kneeTracking, analyzeFront,
+    RAD_SADDLE_HEIGHT, RAD_SEAT_ANGLES, radTargets, radLengths, analyzeRad, AERO_RANGES, padAngle, analyzeAero
+} = require('../analysis.js');
+
+// Floating-point tolerance for angles built from exact coordinates.
+const EPSILON = 1e-9;
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// ── Known Pose ──────────────────────────────────────────────────────────────
+// A rider facing right (toward +x), image y pointing down, laid out so every
+// formula lands on a round number:
+//   Toe–Ankle–Knee 90°, Heel–Ankle–Knee 90°, Ankle–Knee–Hip 90°,
+//   Shoulder–Hip–Knee 45°, back 45° above horizontal, Hip–Shoulder–Elbow 135°,
+//   a straight arm (0° elbow bend), a flat foot, the spindle 10% of the foot
+//   ahead of the ball, and the crank at 3 o'clock.
+const SPINDLE_X = 280 + (BALL_OF_FOOT + 0.1) * 40;
+const POSE = [
+    { x: 320, y: 500 },        // Toe
+    { x: 300, y: 500 },        // Ankle
+    { x: 300, y: 300 },        // Knee
+    { x: 100, y: 300 },        // Hip
+    { x: 300, y: 100 },        // Shoulder
+    { x: 400, y: 100 },        // Elbow
+    { x: 500, y: 100 },        // Hand
+    { x: 280, y: 500 },        // Heel
+    { x: SPINDLE_X, y: 500 },  // Cleat (pedal spindle)
+    null,                      // Saddle
+    { x: 250, y: 500 }         // BB
+];
+const MM_PER_PX = 2;
+
+// The pose mirrored about x = 500, so the rider faces left.
+const mirror = points => points.map(p => (p ? { x: 1000 - p.x, y: p.y } : p));
+
+// The pose as a camera tilted by `deg` would see it (rotated about the origin).
+function tilt(points, deg) {
+    const t = deg * Math.PI / 180;
+    return points.map(p => (p ? { x: p.x * Math.cos(t) - p.y * Math.sin(t), y: p.x * Math.sin(t) + p.y * Math.cos(t) } : p));
+}
+
+const byKey = results => Object.fromEntries(results.map(m => [m.key, m]));
+
+// ── Joint Formulas ──────────────────────────────────────────────────────────
+
+test('calcAngle measures the angle at the middle point', () => {
+    near(calcAngle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 }), 90, 'right angle');
+    near(calcAngle({ x: -1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 }), 180, 'straight line');
+    near(calcAngle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 1 }), 45, 'half a right angle');
+    near(calcAngle({ x: 2, y: 0 }, { x: 0, y: 0 }, { x: 5, y: 0 }), 0, 'folded back on itself');
+});
+
+test('torsoAngle measures hip → shoulder against the horizontal', () => {
+    near(torsoAngle({ x: 0, y: 0 }, { x: 100, y: 0 }), 0, 'flat back');
+    near(torsoAngle({ x: 0, y: 0 }, { x: 100, y: -100 }), 45, 'back at 45°');
+    near(torsoAngle({ x: 0, y: 0 }, { x: 0, y: -100 }), 90, 'bolt upright');
+    near(torsoAngle({ x: 0, y: 0 }, { x: -100, y: -100 }), 135, 'leaning back past upright');
+});
+
+test('footAngle is positive when the toe is lower than the heel', () => {
+    near(footAngle({ x: 0, y: 0 }, { x: 100, y: 0 }), 0, 'flat foot');
+    near(footAngle({ x: 0, y: 0 }, { x: 100, y: 100 }), 45, 'toe down');
+    near(footAngle({ x: 0, y: 0 }, { x: 100, y: -100 }), -45, 'toe up');
+});
+
+test('cleatOffset is measured from the ball of the foot in % of foot length', () => {
+    const heel = { x: 0, y: 0 };
+    const toe  = { x: 100, y: 0 };
+    near(cleatOffset(heel, toe, { x: BALL_OF_FOOT * 100, y: 0 }), 0, 'under the ball');
+    near(cleatOffset(heel, toe, { x: BALL_OF_FOOT * 100 + 5, y: 0 }), 5, 'ahead of the ball');
+    near(cleatOffset(heel, toe, { x: BALL_OF_FOOT * 100 - 5, y: 12 }), -5, 'behind the ball, off the foot line');
+});
+
+// The knee of a leg with the given thigh and shin lengths reaching from the
+// hip to the ankle, bent forward (+x) like a rider facing right.
+function kneeFor(hip, ankle, thigh, shin) {
+    const dx = ankle.x - hip.x;
+    const dy = ankle.y - hip.y;
+    const d  = Math.hypot(dx, dy);
+    const a  = (thigh * thigh - shin * shin + d * d) / (2 * d);
+    const h  = Math.sqrt(thigh * thigh - a * a);
+    return { x: hip.x + (a * dx - h * dy) / d, y: hip.y + (a * dy + h * dx) / d };
+}
+
+test('kneeExtension gives the same angle from any crank position', () => {
+    const hip   = { x: 0, y: 0 };
+    const bb    = { x: 150, y: 520 };
+    const crank = 170;
+    const thigh = 420;
+    const shin  = 400;
+    const foot  = { x: -15, y: -70 }; // Ankle relative to the spindle, carried with the pedal
+    const pose  = deg => {
+        const t       = deg * Math.PI / 180;
+        const spindle = { x: bb.x + Math.cos(t) * crank, y: bb.y + Math.sin(t) * crank };
+        const ankle   = { x: spindle.x + foot.x, y: spindle.y + foot.y };
+        return { spindle, ankle, knee: kneeFor(hip, ankle, thigh, shin) };
+    };
+    // The pedal's furthest point from the hip is straight along the hip → BB line.
+    const bottom   = Math.atan2(bb.y - hip.y, bb.x - hip.x) * 180 / Math.PI;
+    const extended = pose(bottom);
+    const expected = calcAngle(hip, extended.knee, extended.ankle);
+    near(kneeExtension(hip, extended.knee, extended.ankle, extended.spindle, bb), expected, 'already at full extension');
+    [0, 45, 180, 270, 315].forEach(deg => {
+        const p = pose(deg);
+        assert.ok(Math.abs(kneeExtension(hip, p.knee, p.ankle, p.spindle, bb) - expected) < 1e-6, `crank at ${deg}°`);
+    });
+});
+
+test('analyzeFit reports every formula on a known pose', () => {
+    const m = byKey(analyzeFit({ points: POSE, style: 'Balanced', bikeType: 'Road', facing: 'right', mmPerPx: MM_PER_PX }));
+    near(m.HeelAnkle.angle, 90, 'Ankle (heel)');
+    near(m.Knee.angle, 90, 'Knee');
+    near(m.Hip.angle, 45, 'Hip');
+    near(m.Back.angle, 45, 'Back');
+    near(m.Shoulder.angle, 135, 'Shoulder');
+    near(m.Elbow.angle, 0, 'Elbow bend');
+    near(m.Foot.angle, 0, 'Foot');
+    near(m.Cleat.angle, 10, 'Cleat');
+    near(m.KOPS.angle, (300 - SPINDLE_X) * MM_PER_PX, 'KOPS');
+    near(m.KneeExtension.angle, kneeExtension(POSE[3], POSE[2], POSE[1], POSE[8], POSE[10]), 'Knee (full extension)');
+    assert.equal(m.Ankle, undefined, 'the heel-based ankle replaces the toe-based one');
+});
+
+test('analyzeFit uses the toe-based ankle without a Heel marker', () => {
+    const points = POSE.slice(0, 7);
+    const m = byKey(analyzeFit({ points, style: 'Balanced', bikeType: 'Road' }));
+    near(m.Ankle.angle, 90, 'Ankle');
+    assert.equal(m.HeelAnkle, undefined);
+});
+
+test("analyzeFit leaves KOPS out without a scale or away from 3 o'clock", () => {
+    assert.equal(byKey(analyzeFit({ points: POSE, style: 'Balanced' })).KOPS, undefined, 'no scale');
+    const sixOClock = POSE.slice();
+    sixOClock[10] = { x: SPINDLE_X, y: 400 };
+    assert.equal(byKey(analyzeFit({ points: sixOClock, style: 'Balanced', mmPerPx: MM_PER_PX })).KOPS, undefined, 'crank down');
+});
+
+// ── Rider Facing ────────────────────────────────────────────────────────────
+
+test('the back angle is the same for riders facing right and left', () => {
+    const right = byKey(analyzeFit({ points: POSE, style: 'Balanced', mmPerPx: MM_PER_PX }));
+    const left  = byKey(analyzeFit({ points: mirror(POSE), style: 'Balanced', mmPerPx: MM_PER_PX }));
+    near(right.Back.angle, 45, 'facing right');
+    near(left.Back.angle, 45, 'facing left (inferred)');
+    near(byKey(analyzeFit({ points: mirror(POSE), style: 'Balanced', facing: 'left' })).Back.angle, 45, 'facing left (set)');
+    // Unmirrored, atan2 would report the supplement for a left-facing rider.
+    near(torsoAngle(mirror(POSE)[3], mirror(POSE)[4]), 135, 'raw atan2, facing left');
+    // Every other metric agrees too.
+    Object.keys(right).forEach(key => near(left[key].angle, right[key].angle, key));
+});
+
+test('a leaning-back rider facing left is not read as leaning forward', () => {
+    const hip      = { x: 500, y: 300 };
+    const shoulder = { x: 540, y: 100 }; // Behind the hip for a rider facing left
+    const [h, s]   = facePoints([hip, shoulder], 0, 'left');
+    assert.ok(torsoAngle(h, s) > 90, 'past upright');
+});
+
+test('a tilted photo gives the same back angle once its tilt is passed', () => {
+    [-8, 5].forEach(deg => {
+        const m = byKey(analyzeFit({ points: tilt(POSE, deg), style: 'Balanced', tilt: deg, mmPerPx: MM_PER_PX }));
+        assert.ok(Math.abs(m.Back.angle - 45) < 1e-6, `tilt ${deg}°: back ${m.Back.angle}`);
+        assert.ok(Math.abs(m.Foot.angle) < 1e-6, `tilt ${deg}°: foot ${m.Foot.angle}`);
+    });
+});
+
+// ── Range Boundaries ────────────────────────────────────────────────────────
+// Each METRICS entry is driven onto both edges of every bike type / riding
+// style range by moving markers, then read back through analyzeFit().
+
+// A step just outside a range edge, smaller than any reported precision.
+const STEP = 1e-6;
+
+// Floating point puts a pose built for exactly an edge a few 1e-14 either
+// side of it, so the edge poses sit this far inside the range.
+const EDGE = 1e-9;
+
+// `from` turned about `centre` by `deg` (clockwise on screen).
+function around(centre, from, deg) {
+    const t  = deg * Math.PI / 180;
+    const dx = from.x - centre.x;
+    const dy = from.y - centre.y;
+    return { x: centre.x + dx * Math.cos(t) - dy * Math.sin(t), y: centre.y + dx * Math.sin(t) + dy * Math.cos(t) };
+}
+
+// Three-marker angles: [vertex, fixed arm, moved arm] marker indices.
+const ANGLE_MARKERS = {
+    Ankle:     [1, 2, 0],
+    HeelAnkle: [1, 2, 7],
+    Knee:      [2, 3, 1],
+    Hip:       [3, 4, 2],
+    Shoulder:  [4, 3, 5]
+};
+
+/**
+ * poseWith(key, value)
+ *
+ * The known pose with markers moved so the METRICS entry `key` measures
+ * `value` (degrees, % of foot length or mm), facing right.
+ */
+function poseWith(key, value) {
+    const p = POSE.slice();
+    if (ANGLE_MARKERS[key]) {
+        const [vertex, fixed, moved] = ANGLE_MARKERS[key];
+        p[moved] = around(p[vertex], p[fixed], -value);
+        if (key === 'Ankle') p[7] = null; // The toe-based ankle only applies without a Heel
+        return p;
+    }
+    const t = value * Math.PI / 180;
+    switch (key) {
+        case 'Elbow': // Degrees of bend from a straight arm
+            p[6] = around(p[5], p[4], value - 180);
+            return p;
+        case 'Back':
+            p[4] = { x: p[3].x + 200 * Math.cos(t), y: p[3].y - 200 * Math.sin(t) };
+            return p;
+        case 'Foot':
+            p[0] = { x: p[7].x + 40 * Math.cos(t), y: p[7].y + 40 * Math.sin(t) };
+            return p;
+        case 'Cleat':
+            p[8] = { x: p[7].x + (BALL_OF_FOOT + value / 100) * 40, y: p[7].y };
+            return p;
+        case 'KOPS':
+            p[2] = { x: p[8].x + value / MM_PER_PX, y: p[2].y };
+            return p;
+        case 'KneeExtension': {
+            // Already at full extension: the pedal (and ankle) straight along
+            // hip → BB, with equal 300 px thigh and shin bent to `value`.
+            const leg  = 2 * 300 * Math.sin(t / 2);
+            const away = { x: 0.6, y: 0.8 };
+            p[1]  = { x: p[3].x + away.x * leg, y: p[3].y + away.y * leg };
+            p[8]  = p[1];
+            p[10] = { x: p[3].x + away.x * (leg - 170), y: p[3].y + away.y * (leg - 170) };
+            p[2]  = kneeFor(p[3], p[1], 300, 300);
+            return p;
+        }
+        default:
+            return null;
+    }
+}
+
+METRICS.forEach(def => {
+    test(`${def.key} reads in range on both edges of every range, and out just beyond them`, () => {
+        assert.ok(poseWith(def.key, 0), `a test pose for ${def.key}`);
+        BIKE_TYPES.forEach(bike => RIDING_STYLES.forEach(style => {
+            const [min, max] = def.ranges[bike][style];
+            [
+                [min + EDGE, 'ok',   'min'],
+                [max - EDGE, 'ok',   'max'],
+                [min - STEP, 'low',  'below min'],
+                [max + STEP, 'high', 'above max']
+            ].forEach(([value, status, where]) => {
+                const fit = byKey(analyzeFit({ points: poseWith(def.key, value), style, bikeType: bike, facing: 'right', mmPerPx: MM_PER_PX }));
+                const m   = fit[def.key];
+                assert.ok(m, `${def.key} ${bike} ${style}: measured`);
+                assert.ok(Math.abs(m.angle - value) < 1e-10, `${def.key} ${bike} ${style} ${where}: reads ${m.angle}`);
+                assert.equal(m.status, status, `${def.key} ${bike} ${style}: ${where}`);
+            });
+        }));
+    });
+});
+
+test('every built-in range table is a valid custom profile', () => {
+    BIKE_TYPES.forEach(bike => RIDING_STYLES.forEach(style => {
+        const ranges = Object.fromEntries(RANGE_JOINTS.map(key => [key, IDEAL_RANGES[key][bike][style]]));
+        assert.deepEqual(validateRanges(ranges), [], `${bike} ${style}`);
+    }));
+});
+
+test('analyzeFit checks each metric against its bike type and riding style', () => {
+    BIKE_TYPES.forEach(bike => RIDING_STYLES.forEach(style => {
+        analyzeFit({ points: POSE, style, bikeType: bike, mmPerPx: MM_PER_PX }).forEach(m => {
+            const rangeKey = m.key === 'KneeExtension' ? 'Knee' : m.key;
+            assert.deepEqual(m.range, IDEAL_RANGES[rangeKey][bike][style], `${m.key} ${bike} ${style}`);
+            assert.equal(m.status, checkRange(m.angle, m.range), `${m.key} ${bike} ${style}`);
+            assert.equal(m.isOk, m.status === 'ok');
+        });
+    }));
+});
+
+test('a custom range edge that equals the measured angle is in range', () => {
+    const base   = Object.fromEntries(RANGE_JOINTS.map(key => [key, IDEAL_RANGES[key].Road.Balanced]));
+    const knee   = m => byKey(analyzeFit({ points: POSE, style: 'Custom', ranges: Object.assign({}, base, { Knee: m }) })).Knee;
+    assert.equal(knee([90, 100]).status, 'ok', 'at min');
+    assert.equal(knee([80, 90]).status, 'ok', 'at max');
+    assert.equal(knee([90 + STEP, 100]).status, 'low', 'just above');
+    assert.equal(knee([80, 90 - STEP]).status, 'high', 'just below');
+});
+
+test('the generic pose is in range for the default Road Balanced fit', () => {
+    for (const m of analyzeFit({ points: genericPose(1600, 1200, 'right'), style: 'Balanced', bikeType: 'Road' })) {
+        assert.equal(m.status, 'ok', `${m.key} ${m.angle.toFixed(1)}° against [${m.range}]`);
+    }
+});
+
+// ── Adjustment Simulator ────────────────────────────────────────────────────
+
+const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// The known pose has a straight arm, already at the limit of its reach, so
+// the simulator runs on the generic skeleton (bent elbows) instead.
+const RIDER = genericPose(1600, 1200, 'right');
+
+test('solveTwoLink puts the middle joint on the chosen side', () => {
+    // A 6-8-10 triangle: the middle joint sits at (3.6, ±4.8).
+    const root = { x: 0, y: 0 };
+    const end  = { x: 10, y: 0 };
+    const down = solveTwoLink(root, end, 6, 8, 1);
+    near(down.point.x, 3.6, 'x');
+    near(down.point.y, 4.8, 'bend +1');
+    assert.equal(down.reachable, true);
+    near(solveTwoLink(root, end, 6, 8, -1).point.y, -4.8, 'bend −1');
+});
+
+test('solveTwoLink straightens toward an end out of reach', () => {
+    const far = solveTwoLink({ x: 0, y: 0 }, { x: 20, y: 0 }, 6, 8, 1);
+    assert.equal(far.reachable, false);
+    near(far.point.x, 6, 'x');
+    near(far.point.y, 0, 'y');
+});
+
+test('simulateAdjustment with no change returns the same pose', () => {
+    const sim = simulateAdjustment({ points: RIDER, adjust: {}, mmPerPx: MM_PER_PX });
+    assert.deepEqual(sim.warnings, []);
+    RIDER.forEach((p, i) => {
+        if (!p) return assert.equal(sim.points[i], p);
+        near(sim.points[i].x, p.x, `${i} x`);
+        near(sim.points[i].y, p.y, `${i} y`);
+    });
+});
+
+test('simulateAdjustment raises the hip along the seat tube and keeps the leg lengths', () => {
+    const sim = simulateAdjustment({ points: RIDER, adjust: { saddleHeight: 20 }, mmPerPx: MM_PER_PX });
+    const t   = SEAT_TUBE_ANGLE * Math.PI / 180;
+    const [, ankle, knee, hip] = sim.points;
+    near(hip.x, RIDER[3].x - 10 * Math.cos(t), 'hip back');
+    near(hip.y, RIDER[3].y - 10 * Math.sin(t), 'hip up');
+    near(dist(hip, knee), dist(RIDER[3], RIDER[2]), 'thigh');
+    near(dist(knee, ankle), dist(RIDER[2], RIDER[1]), 'shin');
+    assert.ok(calcAngle(ankle, knee, hip) > calcAngle(RIDER[1], RIDER[2], RIDER[3]), 'the knee opens');
+    assert.deepEqual(sim.points[1], RIDER[1], 'the foot stays on the pedal');
+});
+
+test('simulateAdjustment mirrors the change for a rider facing left', () => {
+    const adjust = { saddleHeight: 10, saddleSetback: 6, barHeight: -8, stemLength: 10, crankLength: 2.5 };
+    const right  = simulateAdjustment({ points: RIDER, adjust, mmPerPx: MM_PER_PX });
+    const left   = simulateAdjustment({ points: mirror(RIDER), adjust, mmPerPx: MM_PER_PX, facing: 'left' });
+    mirror(right.points).forEach((p, i) => {
+        if (!p) return assert.equal(left.points[i], p);
+        assert.ok(dist(p, left.points[i]) < 1e-9, `${i}`);
+    });
+});
+
+test('simulateAdjustment warns when the leg can no longer reach the pedal', () => {
+    const sim = simulateAdjustment({ points: RIDER, adjust: { saddleHeight: 400 }, mmPerPx: MM_PER_PX });
+    assert.ok(sim.warnings.some(w => /leg cannot reach/.test(w)), 'leg warning');
+    near(calcAngle(sim.points[1], sim.points[2], sim.points[3]), 180, 'knee locked straight');
+    assert.ok(!simulateAdjustment({ points: RIDER, adjust: { saddleHeight: 5 }, mmPerPx: MM_PER_PX }).warnings.length, 'a small change is reachable');
+});
+
+test('simulateAdjustment needs the body markers and a scale', () => {
+    const noHand = RIDER.slice();
+    noHand[6] = null;
+    assert.equal(simulateAdjustment({ points: noHand, adjust: {}, mmPerPx: MM_PER_PX }), null, 'no Hand');
+    assert.equal(simulateAdjustment({ points: RIDER, adjust: {}, mmPerPx: null }), null, 'no scale');
+});
+
+// ── Adjustment Plan ─────────────────────────────────────────────────────────
+
+test('planAdjustments gives the mm into range even when the centre is out of reach', () => {
+    const points = genericPose(1600, 1200, 'right');
+    const plan   = planAdjustments({ points, style: 'Aggressive', bikeType: 'Road', mmPerPx: estimateMmPerPx(points) });
+    const back   = plan.find(p => p.metric === 'Back');
+    assert.ok(back, 'a step for the back angle');
+    assert.ok(back.mmToRange < 0, 'lower the bars');
+    assert.equal(back.mmToCentre, null);
+    assert.match(back.text, /^Lower bars ~\d+ mm/);
+    assert.doesNotMatch(back.text, /recheck the markers/);
+});
+
+// ── Fit Comparison ──────────────────────────────────────────────────────────
+
+// Fit B: the known pose moved and photographed from twice as far away.
+const shrink = points => points.map(p => (p ? { x: 50 + p.x / 2, y: 20 + p.y / 2 } : p));
+
+test("alignFit lays fit A over fit B on the hip at B's scale", () => {
+    const onto    = shrink(POSE);
+    const aligned = alignFit({ points: POSE, mmPerPx: MM_PER_PX, onto, ontoMmPerPx: MM_PER_PX * 2, anchor: 'Hip' });
+    POSE.forEach((p, i) => {
+        if (!p) return assert.equal(aligned[i], null);
+        near(aligned[i].x, onto[i].x, `${i} x`);
+        near(aligned[i].y, onto[i].y, `${i} y`);
+    });
+});
+
+test('alignFit mirrors a fit photographed from the other side', () => {
+    const aligned = alignFit({ points: mirror(POSE), mmPerPx: MM_PER_PX, onto: POSE, ontoMmPerPx: MM_PER_PX, anchor: 'BB' });
+    POSE.forEach((p, i) => {
+        if (!p) return;
+        near(aligned[i].x, p.x, `${i} x`);
+        near(aligned[i].y, p.y, `${i} y`);
+    });
+});
+
+test('bottomBracket is estimated one crank length above the pedal without a BB marker', () => {
+    const noBB = POSE.slice(0, 10);
+    const bb   = bottomBracket(noBB, MM_PER_PX);
+    near(bb.x, SPINDLE_X, 'x');
+    near(bb.y, 500 - ASSUMED_CRANK_MM / MM_PER_PX, 'y');
+    assert.deepEqual(bottomBracket(POSE, MM_PER_PX), POSE[10], 'the marker when placed');
+    assert.equal(bottomBracket(noBB, null), null, 'no scale');
+});
+
+test('alignFit needs the anchor and both scales', () => {
+    const noHip = POSE.slice();
+    noHip[3] = null;
+    const noFoot = POSE.slice(0, 8);
+    assert.equal(alignFit({ points: noHip, mmPerPx: 1, onto: POSE, ontoMmPerPx: 1, anchor: 'Hip' }), null, 'no Hip');
+    assert.equal(alignFit({ points: noFoot, mmPerPx: 1, onto: POSE, ontoMmPerPx: 1, anchor: 'BB' }), null, 'no BB or Cleat');
+    assert.equal(alignFit({ points: POSE, mmPerPx: null, onto: POSE, ontoMmPerPx: 1, anchor: 'Hip' }), null, 'A uncalibrated');
+    assert.equal(alignFit({ points: POSE, mmPerPx: 1, onto: POSE, ontoMmPerPx: 0, anchor: 'Hip' }), null, 'B uncalibrated');
+});
+
+test('compareAnalyses pairs the metrics of two fits', () => {
+    const before = analyzeFit({ points: POSE.slice(0, 7), style: 'Balanced' });
+    const after  = analyzeFit({ points: mirror(poseWith('Knee', 142)), style: 'Balanced' });
+    const rows   = byKey(compareAnalyses(before, after));
+    near(rows.Knee.before, 90, 'Knee before');
+    near(rows.Knee.after, 142, 'Knee after (facing left)');
+    near(rows.Knee.change, 52, 'Knee change');
+    assert.equal(rows.Knee.outcome, 'into');
+    assert.equal(rows.Back.outcome, 'stays');
+    assert.equal(rows.Shoulder.outcome, 'unchanged');
+    assert.equal(rows.Cleat.before, null, 'only B has the Cleat marker');
+    assert.equal(rows.Cleat.change, null);
+    assert.equal(rows.Cleat.outcome, null);
+    assert.equal(rows.Ankle.after, null, 'only A uses the toe-based ankle');
+});
+
+// ── Pedal Stroke ────────────────────────────────────────────────────────────
+
+// One marked video frame: the known pose with the knee bent to `knee`.
+const strokeFrame = (label, knee, opts = {}) => ({
+    label,
+    analysis: analyzeFit(Object.assign({ points: poseWith('Knee', knee), style: 'Balanced' }, opts))
+});
+
+test('strokeExtremes gives each metric its minimum and maximum frame', () => {
+    const rows = byKey(strokeExtremes([
+        strokeFrame("6 o'clock", 142),
+        strokeFrame("3 o'clock", 110),
+        strokeFrame("12 o'clock", 70)
+    ]));
+    near(rows.Knee.max.value, 142, 'full extension');
+    assert.equal(rows.Knee.max.frame, "6 o'clock");
+    near(rows.Knee.min.value, 70, 'top of the stroke');
+    assert.equal(rows.Knee.min.frame, "12 o'clock");
+    assert.equal(rows.Knee.count, 3);
+    assert.deepEqual(rows.Knee.range, [140, 145]);
+    near(rows.Back.min.value, 45, 'back min');
+    near(rows.Back.max.value, 45, 'back max');
+});
+
+test('strokeExtremes reads frames of a rider facing left the same way', () => {
+    const right = strokeExtremes([strokeFrame('a', 142), strokeFrame('b', 70)]);
+    const left  = strokeExtremes([
+        { label: 'a', analysis: analyzeFit({ points: mirror(poseWith('Knee', 142)), style: 'Balanced' }) },
+        { label: 'b', analysis: analyzeFit({ points: mirror(poseWith('Knee', 70)), style: 'Balanced' }) }
+    ]);
+    assert.deepEqual(left.map(r => r.key), right.map(r => r.key));
+    left.forEach((r, i) => {
+        near(r.min.value, right[i].min.value, `${r.key} min`);
+        near(r.max.value, right[i].max.value, `${r.key} max`);
+    });
+});
+
+test('strokeExtremes counts only the frames a metric was measured on', () => {
+    const noHand = poseWith('Knee', 100);
+    noHand[6] = null;
+    const rows = byKey(strokeExtremes([
+        strokeFrame('scaled', 142, { mmPerPx: MM_PER_PX }),
+        { label: 'no hand', analysis: analyzeFit({ points: noHand, style: 'Balanced' }) }
+    ]));
+    assert.equal(rows.Knee.count, 2);
+    assert.equal(rows.Elbow.count, 1, 'no Elbow without the Hand');
+    assert.equal(rows.KOPS.count, 1, 'KOPS only on the calibrated frame');
+    assert.deepEqual(strokeExtremes([]), [], 'no frames');
+});
+
+// ── Front View ──────────────────────────────────────────────────────────────
+// The rider faces the camera, so the rider's left (L) is on the right of the
+// photo: bars 110% of shoulder width, stance 60%, hips centred, the left knee
+// 20 px outside its hip–foot line at the bottom of the stroke and the right
+// knee 10 px inside it at the top.
+const FRONT = [
+    { x: 600, y: 100 },  // L Shoulder
+    { x: 400, y: 100 },  // R Shoulder
+    { x: 610, y: 200 },  // L Hand
+    { x: 390, y: 200 },  // R Hand
+    { x: 500, y: 300 },  // Hip
+    null,                // L Knee Top
+    { x: 550, y: 500 },  // L Knee Bottom
+    { x: 495, y: 400 },  // R Knee Top
+    null,                // R Knee Bottom
+    { x: 560, y: 700 },  // L Foot
+    { x: 440, y: 700 }   // R Foot
+];
+const FRONT_LEG = Math.hypot(60, 400);
+
+// The same rider seen in a mirror: sides swap across the photo and the L / R markers swap names.
+const SWAP = [1, 0, 3, 2, 4, 7, 8, 5, 6, 10, 9];
+const mirrorFront = points => SWAP.map(i => (points[i] ? { x: 1000 - points[i].x, y: points[i].y } : null));
+
+test('analyzeFront measures widths, knee tracking and hip tilt on a known pose', () => {
+    assert.equal(FRONT.length, FRONT_JOINT_NAMES.length);
+    const m = byKey(analyzeFront({ points: FRONT, bikeType: 'Road' }));
+    near(m.ShoulderBar.angle, 110, 'bar / shoulder');
+    near(m.Stance.angle, 60, 'stance');
+    near(m.HipTilt.angle, 0, 'hip tilt');
+    near(m.LKneeBottom.angle, 20 / FRONT_LEG * 100, 'L knee outside');
+    near(m.RKneeTop.angle, -10 / FRONT_LEG * 100, 'R knee inside');
+    assert.equal(m.RKneeTop.status, 'low');
+    assert.deepEqual(m.ShoulderBar.range, [95, 110]);
+    assert.deepEqual(byKey(analyzeFront({ points: FRONT, bikeType: 'MTB' })).ShoulderBar.range, [160, 200]);
+});
+
+test('analyzeFront reads the mirrored rider the same and hip tilt toward either side', () => {
+    const m = byKey(analyzeFront({ points: FRONT }));
+    const w = byKey(analyzeFront({ points: mirrorFront(FRONT) }));
+    near(w.ShoulderBar.angle, m.ShoulderBar.angle, 'bar / shoulder');
+    near(w.Stance.angle, m.Stance.angle, 'stance');
+    near(w.RKneeBottom.angle, m.LKneeBottom.angle, "the mirror's R knee is the L knee");
+    near(w.LKneeTop.angle, m.RKneeTop.angle, 'and the other way round');
+
+    const shifted = FRONT.slice();
+    shifted[4] = { x: 535, y: 300 }; // Toward the rider's left
+    const left  = byKey(analyzeFront({ points: shifted })).HipTilt;
+    const right = byKey(analyzeFront({ points: mirrorFront(shifted) })).HipTilt;
+    near(left.angle, Math.atan2(35, 400) * 180 / Math.PI, 'hip to the left');
+    near(right.angle, -left.angle, 'mirrored: hip to the right');
+    assert.equal(left.status, 'high');
+    assert.equal(right.status, 'low');
+});
+
+test('analyzeFront corrects hip tilt and stance for a tilted photo', () => {
+    const m = byKey(analyzeFront({ points: tilt(FRONT, 4), tilt: 4 }));
+    assert.ok(Math.abs(m.HipTilt.angle) < 1e-9, `hip tilt ${m.HipTilt.angle}`);
+    assert.ok(Math.abs(m.Stance.angle - 60) < 1e-9, `stance ${m.Stance.angle}`);
+});
+
+test('analyzeFront reports only the metrics whose markers are placed', () => {
+    const upper = FRONT.slice(0, 4).concat(Array(7).fill(null));
+    assert.deepEqual(analyzeFront({ points: upper }).map(m => m.key), ['ShoulderBar']);
+    assert.deepEqual(analyzeFront({ points: Array(11).fill(null) }), []);
+    assert.equal(kneeTracking({ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }, 1), 0, 'foot level with the hip');
+});
+
+// ── Reach & Drop ────────────────────────────────────────────────────────────
+// The known pose with the saddle 3-4-5 up and back from the bottom bracket:
+// at MM_PER_PX, saddle height 700 mm, setback 420 mm, the hands 920 mm ahead
+// of the saddle and 240 mm above it.
+const RAD_POSE = POSE.slice();
+RAD_POSE[9] = { x: 40, y: 220 };
+const INSEAM_MM = 800;
+
+// Custom angle ranges whose corners are easy to place: the torso flat or
+// upright, the upper arm square to it and the arm straight.
+const RAD_RANGES = { Back: [0, 90], Shoulder: [90, 90], Elbow: [0, 0] };
+
+test('radTargets puts the saddle on the inseam and the seat angle', () => {
+    const t      = radTargets({ inseamMm: INSEAM_MM, style: 'Balanced' });
+    const centre = (RAD_SADDLE_HEIGHT[0] + RAD_SADDLE_HEIGHT[1]) / 2 * INSEAM_MM;
+    near(t.SaddleHeight[0], RAD_SADDLE_HEIGHT[0] * INSEAM_MM, 'height min');
+    near(t.SaddleHeight[1], RAD_SADDLE_HEIGHT[1] * INSEAM_MM, 'height max');
+    // The saddle at either end of the setback range sits on the seat tube line.
+    const seatAngle = setback => Math.acos(setback / centre) * 180 / Math.PI;
+    near(seatAngle(t.Setback[0]), RAD_SEAT_ANGLES.Road[1], 'steepest seat angle');
+    near(seatAngle(t.Setback[1]), RAD_SEAT_ANGLES.Road[0], 'slackest seat angle');
+    near(seatAngle(radTargets({ inseamMm: INSEAM_MM, style: 'Balanced', bikeType: 'TT' }).Setback[0]), RAD_SEAT_ANGLES.TT[1], 'TT');
+    assert.equal(t.Reach, undefined, 'no reach without the torso and arm');
+});
+
+test('radTargets reaches the hands from the torso and arm', () => {
+    const t = radTargets({ torsoMm: 500, armMm: 600, style: 'Custom', ranges: RAD_RANGES });
+    near(t.Reach[0], 500, 'flat back: the torso ahead, the arm hanging');
+    near(t.Reach[1], 600, 'upright: the arm straight ahead');
+    near(t.Drop[0], -500 - 40, 'upright: the torso above the hip');
+    near(t.Drop[1], 600 - 40, 'flat back: the arm below it');
+    assert.equal(t.SaddleHeight, undefined, 'no saddle height without the inseam');
+    assert.deepEqual(radTargets({ torsoMm: 500, style: 'Balanced' }), {}, 'no arm');
+});
+
+test('radLengths measures the saddle and hands from the bottom bracket', () => {
+    const l = Object.fromEntries(radLengths(RAD_POSE, MM_PER_PX).map(r => [r.key, r.mm]));
+    near(l.SaddleHeight, 700, 'saddle height');
+    near(l.Setback, 420, 'setback');
+    near(l.Reach, 920, 'reach');
+    near(l.Drop, -240, 'drop');
+});
+
+test('analyzeRad checks each length against its target with the change in mm', () => {
+    const m = byKey(analyzeRad({ points: RAD_POSE, mmPerPx: MM_PER_PX, inseamMm: INSEAM_MM, torsoMm: 500, armMm: 600,
+                                 style: 'Custom', ranges: RAD_RANGES }));
+    assert.equal(m.SaddleHeight.angle, 700);
+    assert.deepEqual(m.SaddleHeight.range, [700, 712]);
+    assert.equal(m.SaddleHeight.status, 'ok');
+    assert.equal(m.Setback.status, 'high');
+    assert.match(m.Setback.advice, /^Move saddle forward ~\d+–\d+ mm$/);
+    assert.equal(m.Reach.status, 'high');
+    assert.equal(m.Reach.advice, 'Fit a stem ~320–370 mm shorter');
+    assert.equal(m.Drop.angle, -240);
+    assert.equal(m.Drop.status, 'ok');
+    const tt = byKey(analyzeRad({ points: RAD_POSE, mmPerPx: MM_PER_PX, torsoMm: 500, armMm: 600,
+                                  style: 'Custom', ranges: RAD_RANGES, bikeType: 'TT' }));
+    assert.match(tt.Reach.advice, /^Move arm pads back/);
+});
+
+test('analyzeRad reads a rider facing left or a tilted photo the same', () => {
+    const input = { mmPerPx: MM_PER_PX, inseamMm: INSEAM_MM, torsoMm: 500, armMm: 600, style: 'Custom', ranges: RAD_RANGES };
+    const right = analyzeRad(Object.assign({ points: RAD_POSE }, input));
+    const left  = analyzeRad(Object.assign({ points: mirror(RAD_POSE) }, input));
+    const level = analyzeRad(Object.assign({ points: tilt(RAD_POSE, 3), tilt: 3 }, input));
+    assert.deepEqual(left.map(r => [r.key, r.angle]), right.map(r => [r.key, r.angle]));
+    assert.deepEqual(level.map(r => [r.key, r.angle]), right.map(r => [r.key, r.angle]));
+    assert.deepEqual(analyzeRad(Object.assign({ points: mirror(RAD_POSE), facing: 'left' }, input)), left, 'facing given');
+});
+
+test('analyzeRad skips the lengths it has no markers, scale or target for', () => {
+    const input = { mmPerPx: MM_PER_PX, inseamMm: INSEAM_MM, torsoMm: 500, armMm: 600, style: 'Balanced' };
+    const keys  = points => analyzeRad(Object.assign({}, input, { points })).map(r => r.key);
+
+    const noBB = RAD_POSE.slice(0, 10);
+    const l    = Object.fromEntries(radLengths(noBB, MM_PER_PX).map(r => [r.key, r.mm]));
+    near(l.Setback, (SPINDLE_X - 40) * MM_PER_PX, 'BB estimated from the Cleat');
+
+    const noFoot = noBB.slice();
+    noFoot[8] = null;
+    assert.deepEqual(keys(noFoot), ['Reach', 'Drop'], 'no BB or Cleat');
+    const noSaddle = RAD_POSE.slice();
+    noSaddle[9] = null;
+    assert.deepEqual(keys(noSaddle), [], 'no Saddle');
+    assert.deepEqual(analyzeRad(Object.assign({}, input, { points: RAD_POSE, mmPerPx: null })), [], 'no scale');
+    assert.deepEqual(analyzeRad(Object.assign({}, input, { points: RAD_POSE, inseamMm: null })).map(r => r.key),
+                     ['Reach', 'Drop'], 'no inseam');
+});
+
+// ── TT / Tri Aero ───────────────────────────────────────────────────────────
+// The known pose on the extensions: the elbow straight below the shoulder, a
+// flat forearm and the ear straight above the shoulder (45° above the back).
+const AERO_POSE = POSE.concat([null, null, { x: 300, y: 0 }]);
+AERO_POSE[5] = { x: 300, y: 200 };
+AERO_POSE[6] = { x: 400, y: 200 };
+
+// The same with the arm pad 45° ahead of the shoulder and the extensions tilted up 45°.
+const withPads = (points, tip = true) => Object.assign(points.slice(), { 11: { x: 400, y: 200 }, 12: tip ? { x: 500, y: 100 } : null });
+
+test('padAngle measures the shoulder → pad line from the vertical', () => {
+    const shoulder = { x: 0, y: 0 };
+    near(padAngle(shoulder, { x: 0, y: 100 }), 0, 'pad below the shoulder');
+    near(padAngle(shoulder, { x: 100, y: 100 }), 45, 'pad ahead');
+    near(padAngle(shoulder, { x: -100, y: 100 }), -45, 'pad behind');
+});
+
+test('analyzeAero swaps the arm angles for the aero metrics on the TT ranges', () => {
+    const results = analyzeAero({ points: AERO_POSE, style: 'Balanced' });
+    const m       = byKey(results);
+    assert.ok(!m.Shoulder && !m.Elbow, 'no hoods-based arm angles');
+    assert.deepEqual(m.Back.range, IDEAL_RANGES.Back.TT.Balanced);
+    near(m.PadReach.angle, 0, 'shoulder over pads');
+    assert.equal(m.PadReach.status, 'ok');
+    near(m.Forearm.angle, 0, 'forearm');
+    assert.equal(m.Forearm.status, 'low');
+    assert.match(m.Forearm.advice, /^Forearms flat/);
+    near(m.Head.angle, 45, 'head');
+    assert.equal(m.Head.status, 'high');
+    assert.deepEqual(m.Head.range, AERO_RANGES.Head.Balanced);
+    assert.deepEqual(byKey(analyzeAero({ points: AERO_POSE, style: 'Aggressive' })).PadReach.range, AERO_RANGES.PadReach.Aggressive);
+});
+
+test('analyzeAero measures from the arm pad and extension tip once they are placed', () => {
+    const both = analyzeAero({ points: withPads(AERO_POSE), style: 'Balanced' });
+    const m    = byKey(both);
+    near(m.PadReach.angle, 45, 'shoulder over the pad');
+    assert.equal(m.PadReach.at, 11);
+    near(m.Forearm.angle, 45, 'pad → extension tip');
+    assert.equal(m.Forearm.at, 11);
+    assert.equal(both.filter(r => r.key === 'PadReach' || r.key === 'Forearm').length, 2, 'one row each');
+
+    const padOnly = byKey(analyzeAero({ points: withPads(AERO_POSE, false), style: 'Balanced' }));
+    near(padOnly.PadReach.angle, 45, 'the pad replaces the Elbow');
+    near(padOnly.Forearm.angle, 0, 'Elbow → Hand without the extension tip');
+    assert.equal(padOnly.Forearm.at, 5);
+});
+
+test('analyzeAero reads a rider facing left or a tilted photo the same', () => {
+    const right = analyzeAero({ points: withPads(AERO_POSE, false), style: 'Balanced' });
+    const left  = analyzeAero({ points: mirror(withPads(AERO_POSE, false)), style: 'Balanced' });
+    const level = analyzeAero({ points: tilt(withPads(AERO_POSE, false), -5), tilt: -5, style: 'Balanced' });
+    [left, level].forEach(other => {
+        assert.deepEqual(other.map(r => r.key), right.map(r => r.key));
+        other.forEach((r, i) => near(r.angle, right[i].angle, r.key));
+    });
+});
+
+test('analyzeAero skips the aero metrics it lacks markers for', () => {
+    const keys  = points => analyzeAero({ points, style: 'Balanced' }).map(r => r.key).filter(k => k in AERO_RANGES);
+    const strip = (...indices) => AERO_POSE.map((p, i) => (indices.includes(i) ? null : p));
+    assert.deepEqual(keys(AERO_POSE), ['PadReach', 'Forearm', 'Head']);
+    assert.deepEqual(keys(strip(13)), ['PadReach', 'Forearm'], 'no Ear');
+    assert.deepEqual(keys(strip(3)), ['PadReach', 'Forearm'], 'no Hip for the back line');
+    assert.deepEqual(keys(strip(5)), ['Head'], 'no Elbow or pad');
+    assert.deepEqual(keys(strip(6)), ['PadReach', 'Head'], 'no Hand or extension tip');
+    const ranges = Object.fromEntries(RANGE_JOINTS.map(key => [key, IDEAL_RANGES[key].TT.Aggressive]));
+    const custom = byKey(analyzeAero({ points: AERO_POSE, style: 'Custom', ranges }));
+    assert.deepEqual(custom.Head.range, AERO_RANGES.Head.Balanced, 'a custom profile reads the Balanced aero ranges');
+});